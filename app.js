@@ -15,8 +15,15 @@ import donationRoutes from './routes/donationRoutes.js';
 import bugRoutes from './routes/bugRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import userupdate from './routes/userupdate.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import phoneRevealRoutes from './routes/phoneRevealRoutes.js';
+import storage from './services/storageService.js';
+import { requestContext } from './middlewares/requestContext.js';
+import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
 
 // Middleware
+app.use(requestContext); // ✅ request id + access log - keep first
 app.use(cors());
 app.use(express.json());
 
@@ -36,6 +43,11 @@ app.use(express.json());
 //   message: 'Slow down with the messages!',
 // });
 
+// 📁 Development storage (STORAGE_DRIVER=local) - B2 files are served by the CDN
+if (storage.name === 'local') {
+  app.use('/storage', express.static(storage.root));
+}
+
 // Routes
 app.use('/api/auth', authRoute); // No limiter - Google handles it
 app.use('/api', userRoutes);
@@ -48,6 +60,9 @@ app.use('/api/reports', reportRoutes);
 app.use('/api/posts',  myPostsRoutes);
 app.use('/api',  donationRoutes);
 app.use('/api/bug', bugRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/phone-reveals', phoneRevealRoutes);
 
 // Add this route to your existing Express server.js or app.js
 // This is just ONE route - not a separate website!
@@ -88,4 +103,13 @@ app.get('/app', (req, res) => {
 
 // That's it! Just add this one route to your existing backend
 
+// ✅ server.js adds the Socket.IO debug + health routes here (it owns io) - mounted
+// before the 404 handler so they aren't swallowed by it
+export const socketRouter = express.Router();
+app.use('/api', socketRouter);
+
+// ✅ Keep last - unknown routes, then every error becomes the standard envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 export default app;
\ No newline at end of file
@@ -1,13 +1,13 @@
 import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
 
 const connectDB = async () => {
   try {
-    console.log('reached db');
+    logger.info('Connecting to MongoDB');
     await mongoose.connect(process.env.MONGO_URI);
-    console.log('MongoDB Connected Successfully 🚀');
+    logger.info('MongoDB connected');
   } catch (error) {
-    console.error('MongoDB Connection Failed ❌');
-    console.error(error);
+    logger.error('MongoDB connection failed', error);
     process.exit(1); // Exit with failure
   }
 };
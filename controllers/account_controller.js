@@ -0,0 +1,117 @@
+// controllers/account_controller.js
+import User from "../models/userModal.js";
+import Room from "../models/RoomSchema.js";
+import ChatRoom from "../models/RoomChatmodal.js";
+import Chat from "../models/chatmodal.js";
+import Report from "../models/report.js";
+import Donation from "../models/Donation.js";
+import BugReport from "../models/BugReport.js";
+import { revokeAllSessions } from "../utils/tokenService.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+import { BadRequestError, ConflictError } from "../utils/errors.js";
+
+// Days the user can still log in and cancel before AutoCleanupService purges the account
+export const ACCOUNT_DELETE_GRACE_DAYS = 14;
+
+// ✅ EXPORT all personal data as a JSON archive
+export const exportUserData = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const [profile, posts, chatRooms, favorites, reports, donations, bugReports] = await Promise.all([
+    User.findById(userId).select("-refreshToken -tokensValidAfter").lean(),
+    Room.find({ createdBy: userId }).select("-viewedBy -likes -favorites -reports").lean(),
+    ChatRoom.find({ participants: userId })
+      .select("name productId ownerId inquirerId status createdAt lastMessageAt")
+      .lean(),
+    Room.find({ favorites: userId }).select("title category location.fullAddress createdAt").lean(),
+    Report.find({ reporter: userId }).select("-adminNotes").lean(),
+    Donation.find({ userId }).lean(),
+    BugReport.find({ userId }).lean(),
+  ]);
+
+  // Only messages the user wrote - the other side's messages are their data, not ours to hand out
+  const chats = await Chat.find({ roomId: { $in: chatRooms.map(room => room._id) } }).lean();
+  const userIdStr = userId.toString();
+
+  const conversations = chatRooms.map(room => {
+    const chat = chats.find(c => c.roomId.toString() === room._id.toString());
+    const messages = (chat?.messages || [])
+      .filter(msg => msg.sender?.toString() === userIdStr)
+      .map(msg => ({
+        text: msg.messageType === "freetext" ? msg.text : msg.option,
+        messageType: msg.messageType,
+        senderRole: msg.senderRole,
+        createdAt: msg.createdAt,
+      }));
+
+    return { ...room, messages };
+  });
+
+  const archive = {
+    exportedAt: new Date().toISOString(),
+    profile,
+    posts,
+    conversations,
+    favorites,
+    reports,
+    donations,
+    bugReports,
+  };
+
+  res.setHeader("Content-Disposition", `attachment; filename="steya-export-${userIdStr}.json"`);
+  res.status(200).json({ success: true, data: archive });
+});
+
+// ✅ SCHEDULE ACCOUNT DELETION (soft delete, purged after the grace period)
+export const deleteAccount = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  if (req.user.isDeleted) {
+    throw new ConflictError("Account deletion already scheduled", {
+      details: { deleteExpiresAt: req.user.deleteExpiresAt },
+    });
+  }
+
+  // Same Date for user + posts so cancelling can restore exactly these posts
+  const deletedAt = new Date();
+  const deleteExpiresAt = new Date(deletedAt.getTime() + ACCOUNT_DELETE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await User.updateOne(
+    { _id: userId },
+    { isDeleted: true, deletedAt, deleteExpiresAt, tokensValidAfter: deletedAt, expoPushToken: null }
+  );
+
+  // Hide listings right away - the regular cleanup removes them (and their images) at the same time
+  await Room.updateMany(
+    { createdBy: userId, isDeleted: { $ne: true } },
+    { isDeleted: true, deletedAt, deleteExpiresAt }
+  );
+
+  await revokeAllSessions(userId, "logout");
+
+  res.json({
+    success: true,
+    message: `Account scheduled for deletion. Cancel within ${ACCOUNT_DELETE_GRACE_DAYS} days with POST /api/user/delete/cancel.`,
+    deleteExpiresAt,
+  });
+});
+
+// ✅ CANCEL ACCOUNT DELETION (only during the grace period)
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (!user.isDeleted) throw new BadRequestError("Account is not scheduled for deletion");
+
+  // Posts the user had already deleted themselves keep their own deletedAt and stay deleted
+  await Room.updateMany(
+    { createdBy: user._id, isDeleted: true, deletedAt: user.deletedAt },
+    { isDeleted: false, deletedAt: null, deleteExpiresAt: null }
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { isDeleted: false, deletedAt: null, deleteExpiresAt: null }
+  );
+
+  res.json({ success: true, message: "Account deletion cancelled" });
+});
@@ -1,275 +1,293 @@
 import { OAuth2Client } from "google-auth-library";
 import User from "../models/userModal.js";
-import jwt from "jsonwebtoken";
-import sharp from "sharp";
-import { v4 as uuidv4 } from "uuid";
-import B2 from "backblaze-b2";
+import { createSession } from "../utils/tokenService.js";
+import { normalizeTarget, requestOtp, verifyOtp } from "../services/otpService.js";
+import { processProfileImage } from "../services/imageService.js";
+import storage from "../services/storageService.js";
+import logger from "../utils/logger.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
 
 import dotenv from "dotenv";
 dotenv.config();
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-export const googleLogin = async (req, res) => {
+const verifyGoogleIdToken = async (idToken) => {
   try {
-    const { idToken } = req.body;
-
     const ticket = await client.verifyIdToken({
       idToken,
       audience: process.env.GOOGLE_CLIENT_ID,
     });
+    return ticket.getPayload();
+  } catch (err) {
+    logger.warn("Google ID token rejected", { err });
+    throw new BadRequestError("Invalid Google token");
+  }
+};
 
-    const { sub, email, name, picture } = ticket.getPayload();
+// Accounts created before identities existed only have googleId set
+const ensureLegacyIdentities = (user) => {
+  if (user.googleId && !user.identities.some(i => i.provider === "google")) {
+    user.addIdentity("google", user.googleId);
+  }
+  return user;
+};
 
-    let user = await User.findOne({ googleId: sub });
+const sendLoginResponse = async (req, res, user, extra = {}) => {
+  // New session for this device - other devices stay logged in
+  const { session, accessToken, refreshToken } = await createSession(user, {
+    deviceId: req.body.deviceId,
+    userAgent: req.headers["user-agent"],
+  });
 
-    if (!user) {
-      user = await User.create({
-        authType: "google",
-        googleId: sub,
-        email,
-        name,
-        picture,
-        location: null,
-      });
-    }
+  res.json({ success: true, accessToken, refreshToken, sessionId: session._id, user, ...extra });
+};
 
-    // Generate tokens
-    const accessToken = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
+export const googleLogin = asyncHandler(async (req, res) => {
+  const { idToken } = req.body;
 
-    const refreshToken = jwt.sign(
-      { id: user._id },
-      process.env.JWT_REFRESH_SECRET
-    );
+  const { sub, email, email_verified, name, picture } = await verifyGoogleIdToken(idToken);
 
-    // Store refresh token server-side
-    user.refreshToken = refreshToken;
-    await user.save();
+  // Legacy documents may still carry the old single refreshToken - never send it back
+  let user = await User.findByIdentity("google", sub).select("-refreshToken");
 
-    res.json({ success: true, accessToken, user }); // only send accessToken to frontend
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ success: false, message: "Google login failed" });
+  // Same verified email as an email-code account -> sign into that account
+  if (!user && email && email_verified) {
+    user = await User.findByIdentity("email", email.toLowerCase()).select("-refreshToken");
   }
-};
 
-export const updateLocation = async (req, res) => {
-  console.log("lkkkkkk");
+  if (!user) {
+    user = await User.create({
+      authType: "google",
+      googleId: sub,
+      email,
+      name,
+      picture,
+      identities: [{ provider: "google", value: sub }],
+      location: null,
+    });
+  } else {
+    ensureLegacyIdentities(user).addIdentity("google", sub);
+    if (user.isModified()) await user.save();
+  }
 
-  try {
+  await sendLoginResponse(req, res, user);
+});
 
+// ✅ REQUEST LOGIN CODE - POST /api/auth/:channel/request-otp (email | phone)
+export const requestLoginOtp = asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+  const target = normalizeTarget(channel, req.body[channel]);
 
-    const { userId, location } = req.body;
-    // console.log(userId, "userid");
-    // console.log(location, "location");
+  if (!target) throw new BadRequestError(`Valid ${channel} required`);
 
+  // Same response whether or not an account exists
+  const { expiresInMinutes } = await requestOtp({ channel, target, purpose: "login" });
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { location },
-      { new: true }
-    );
+  res.json({ success: true, message: "Code sent", expiresInMinutes });
+});
 
-    res.json({ success: true, user });
-  } catch (err) {
-    console.error(err);
-    res.status(400).json({ success: false, message: "Location update failed" });
-  }
-};
+// ✅ VERIFY LOGIN CODE - creates the account on first login
+export const verifyLoginOtp = asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+  const target = normalizeTarget(channel, req.body[channel]);
 
+  if (!target || !req.body.code) throw new BadRequestError(`${channel} and code required`);
 
+  await verifyOtp({ channel, target, code: req.body.code, purpose: "login" });
 
+  let user = await User.findByIdentity(channel, target).select("-refreshToken");
+  const isNewUser = !user;
 
+  if (!user) {
+    user = await User.create({
+      authType: channel,
+      [channel]: target,
+      name: channel === "email" ? target.split("@")[0] : "",
+      identities: [{ provider: channel, value: target }],
+      location: null,
+    });
+  } else {
+    ensureLegacyIdentities(user).addIdentity(channel, target);
+    if (user.isModified()) await user.save();
+  }
 
+  await sendLoginResponse(req, res, user, { isNewUser });
+});
 
-// Initialize B2
-const b2 = new B2({
-  applicationKeyId: process.env.B2_APP_KEY_ID,
-  applicationKey: process.env.B2_APP_KEY,
+// ✅ LIST linked sign-in methods
+export const getIdentities = asyncHandler(async (req, res) => {
+  const user = ensureLegacyIdentities(req.user);
+  if (user.isModified()) await user.save();
+
+  res.json({ success: true, identities: user.identities });
 });
 
-const BUCKET_ID = process.env.B2_BUCKET_ID;
-const CDN_URL = process.env.CDN_URL;
+// Another account already signs in with this identity
+const identityTaken = async (provider, value, userId) => {
+  const owner = await User.findByIdentity(provider, value).select("_id");
+  return owner && !owner._id.equals(userId);
+};
 
-let authToken = null;
-let uploadUrl = null;
-let uploadAuthToken = null;
+// ✅ LINK GOOGLE to the current account
+export const linkGoogle = asyncHandler(async (req, res) => {
+  const { sub } = await verifyGoogleIdToken(req.body.idToken);
+  const user = ensureLegacyIdentities(req.user);
 
-async function ensureB2Authorized() {
-  if (!authToken) {
-    const authResponse = await b2.authorize();
-    authToken = authResponse.data.authorizationToken;
+  if (await identityTaken("google", sub, user._id)) {
+    throw new ConflictError("This Google account is linked to another user");
   }
-  return authToken;
-}
 
-async function getUploadUrl() {
-  await ensureB2Authorized();
-  const response = await b2.getUploadUrl({ bucketId: BUCKET_ID });
-  uploadUrl = response.data.uploadUrl;
-  uploadAuthToken = response.data.authorizationToken;
-}
+  user.addIdentity("google", sub);
+  await user.save();
 
-async function uploadToB2(buffer, fileName, contentType) {
-  try {
-    await getUploadUrl();
-
-    const uploadResponse = await b2.uploadFile({
-      uploadUrl,
-      uploadAuthToken,
-      fileName,
-      data: buffer,
-      mime: contentType,
-      // ⚡ CACHE OPTIMIZATION: Aggressive caching for CDN
-      info: {
-        'Cache-Control': 'public, max-age=31536000, immutable'
-      }
-    });
+  res.json({ success: true, identities: user.identities });
+});
 
-    const fileUrl = `${CDN_URL}/${fileName}`;
-    // console.log(`✅ Uploaded: ${fileUrl}`);
-    return fileUrl;
-  } catch (error) {
-    console.error("❌ B2 Upload Error:", error.message);
-    throw error;
+// ✅ LINK EMAIL / PHONE - step 1: send a code to the new identity
+export const requestLinkOtp = asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+  const target = normalizeTarget(channel, req.body[channel]);
+
+  if (!target) throw new BadRequestError(`Valid ${channel} required`);
+
+  if (await identityTaken(channel, target, req.user._id)) {
+    throw new ConflictError(`This ${channel} is linked to another user`);
   }
-}
 
-async function deleteFromB2(fileUrl) {
-  try {
-    if (!fileUrl || !fileUrl.includes(CDN_URL)) {
-      // console.log(`⚠️ Skipping non-B2 URL: ${fileUrl}`);
-      return;
-    }
+  const { expiresInMinutes } = await requestOtp({
+    channel,
+    target,
+    purpose: "link",
+    userId: req.user._id,
+  });
 
-    const fileName = fileUrl.replace(`${CDN_URL}/`, '').split('?')[0];
-    await ensureB2Authorized();
+  res.json({ success: true, message: "Code sent", expiresInMinutes });
+});
 
-    const fileList = await b2.listFileNames({
-      bucketId: BUCKET_ID,
-      maxFileCount: 1,
-      prefix: fileName,
-    });
+// ✅ LINK EMAIL / PHONE - step 2: verify the code and attach the identity
+export const verifyLinkOtp = asyncHandler(async (req, res) => {
+  const { channel } = req.params;
+  const target = normalizeTarget(channel, req.body[channel]);
 
-    if (fileList.data.files.length > 0) {
-      const fileId = fileList.data.files[0].fileId;
-      await b2.deleteFileVersion({ fileId, fileName });
-      // console.log(`✅ Deleted old profile image: ${fileName}`);
-    }
-  } catch (error) {
-    console.error(`❌ Delete error:`, error.message);
+  if (!target || !req.body.code) throw new BadRequestError(`${channel} and code required`);
+
+  await verifyOtp({ channel, target, code: req.body.code, purpose: "link", userId: req.user._id });
+
+  if (await identityTaken(channel, target, req.user._id)) {
+    throw new ConflictError(`This ${channel} is linked to another user`);
   }
-}
 
-async function processProfileImage(fileBuffer, timestamp) {
-  const processedBuffer = await sharp(fileBuffer)
-    .resize({
-      width: 800,
-      height: 800,
-      fit: 'cover',
-      position: 'center'
-    })
-    .jpeg({ quality: 90, mozjpeg: true })
-    .toBuffer();
+  const user = ensureLegacyIdentities(req.user);
+  user.addIdentity(channel, target);
+  await user.save();
 
-  const fileName = `profiles/${uuidv4()}-${timestamp}.jpg`;
-  const fileUrl = await uploadToB2(processedBuffer, fileName, "image/jpeg");
+  res.json({ success: true, identities: user.identities });
+});
 
-  return fileUrl;
-}
+// ✅ UNLINK a sign-in method (at least one must remain)
+export const unlinkIdentity = asyncHandler(async (req, res) => {
+  const user = ensureLegacyIdentities(req.user);
+  const identity = user.identities.id(req.params.identityId);
 
-// ✅ UPDATE PROFILE
-export const updateProfile = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { name, about, userRole } = req.body;
+  if (!identity) throw new NotFoundError("Identity not found");
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
+  if (user.identities.length <= 1) throw new BadRequestError("You need at least one sign-in method");
 
-    const updateData = {};
+  // Legacy fields would otherwise still match in findByIdentity
+  if (identity.provider === "google" && user.googleId === identity.value) user.googleId = undefined;
+  if (identity.provider === "email" && user.email === identity.value) user.email = undefined;
+  if (identity.provider === "phone" && user.phone === identity.value) user.phone = undefined;
 
-    if (name && name.trim()) {
-      updateData.name = name.trim();
-    }
+  identity.deleteOne();
+  await user.save();
 
-    if (about !== undefined) {
-      updateData.about = about.trim();
-    }
+  res.json({ success: true, identities: user.identities });
+});
 
-    if (userRole !== undefined) {
-      updateData.userRole = userRole.trim();
-    }
+export const updateLocation = asyncHandler(async (req, res) => {
+  const { location } = req.body;
+
+  // Always the caller's own profile - any userId in the body is ignored
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { location },
+    { new: true }
+  ).select("-refreshToken -tokensValidAfter");
 
-    // Handle profile image upload
-    if (req.file) {
-      const file = req.file;
+  res.json({ success: true, user });
+});
 
-      if (file.buffer && file.buffer.length > 0) {
-        console.log(`📸 Processing profile image...`);
 
-        const timestamp = Date.now();
-        const newImageUrl = await processProfileImage(file.buffer, timestamp);
 
-        // Delete old profile image if exists (not Google profile pics)
-        if (user.picture && user.picture.includes(CDN_URL)) {
-          await deleteFromB2(user.picture);
-        }
 
-        updateData.picture = newImageUrl;
-        // console.log(`✅ Profile image uploaded: ${newImageUrl}`);
-      }
-    }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    ).select('-refreshToken');
 
-    res.status(200).json({
-      success: true,
-      message: "Profile updated successfully",
-      user: updatedUser,
-    });
+// ✅ UPDATE PROFILE
+export const updateProfile = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { name, about, userRole } = req.body;
 
-  } catch (error) {
-    console.error("❌ Update Profile Error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update profile",
-      error: error.message,
-    });
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  const updateData = {};
+
+  if (name && name.trim()) {
+    updateData.name = name.trim();
   }
-};
 
-// ✅ GET USER PROFILE
-export const getUserProfile = async (req, res) => {
-  try {
-    const userId = req.user.id;
+  if (about !== undefined) {
+    updateData.about = about.trim();
+  }
 
-    const user = await User.findById(userId).select('-refreshToken');
+  if (userRole !== undefined) {
+    updateData.userRole = userRole.trim();
+  }
 
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
+  // Handle profile image upload
+  if (req.file) {
+    const file = req.file;
 
-    res.status(200).json({
-      success: true,
-      user,
-    });
+    if (file.buffer && file.buffer.length > 0) {
+      logger.debug("Processing profile image");
 
-  } catch (error) {
-    console.error("❌ Get Profile Error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get profile",
-      error: error.message,
-    });
+      const timestamp = Date.now();
+      const newImageUrl = await processProfileImage(file.buffer, timestamp);
+
+      // Delete old profile image if exists (not Google profile pics)
+      if (user.picture && storage.owns(user.picture)) {
+        await storage.deleteByUrl(user.picture);
+      }
+
+      updateData.picture = newImageUrl;
+      // console.log(`✅ Profile image uploaded: ${newImageUrl}`);
+    }
   }
-};
\ No newline at end of file
+
+  const updatedUser = await User.findByIdAndUpdate(
+    userId,
+    { $set: updateData },
+    { new: true, runValidators: true }
+  ).select('-refreshToken');
+
+  res.status(200).json({
+    success: true,
+    message: "Profile updated successfully",
+    user: updatedUser,
+  });
+});
+
+// ✅ GET USER PROFILE
+export const getUserProfile = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findById(userId).select('-refreshToken');
+
+  if (!user) throw new NotFoundError("User not found");
+
+  res.status(200).json({
+    success: true,
+    user,
+  });
+});
\ No newline at end of file
@@ -1,1182 +1,1102 @@
-import B2 from "backblaze-b2";
-import sharp from "sharp";
-import Room from '../models/RoomSchema.js';
-import { v4 as uuidv4 } from 'uuid';
-import dotenv from 'dotenv';
-dotenv.config();
-
-// Initialize B2 client
-const b2 = new B2({
-  applicationKeyId: process.env.B2_APP_KEY_ID,
-  applicationKey: process.env.B2_APP_KEY,
-});
-
-const BUCKET_ID = process.env.B2_BUCKET_ID;
-const BUCKET_NAME = process.env.B2_BUCKET_NAME;
-const CDN_URL = process.env.CDN_URL;
-
-// Validate environment variables
-if (!BUCKET_ID || !BUCKET_NAME || !process.env.B2_APP_KEY_ID || !process.env.B2_APP_KEY || !CDN_URL) {
-  throw new Error("Missing required B2 environment variables!");
+import Room, { MAX_IMAGES } from '../models/RoomSchema.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { BadRequestError, ConflictError, NotFoundError, UpstreamError, ValidationError } from '../utils/errors.js';
+import {
+  CLUSTER_MAX_ZOOM,
+  autocomplete,
+  clusterCellDegrees,
+  clusterStages,
+  feedSort,
+  feedSortStages,
+  locateStages,
+  parseSearchQuery,
+  textMatchFilter,
+  textRankStages,
+} from '../services/roomSearchService.js';
+import { deleteRoomImages, imageProblem, photoCoordinates, processImage, processThumbnail } from '../services/imageService.js';
+import { checkDuplicatePhotosInBackground } from '../services/duplicatePhotoService.js';
+import { checkPhotoLocationsInBackground } from '../services/photoLocationService.js';
+import { withLocationPrivacy } from '../services/locationPrivacyService.js';
+import { recordRoomChangesInBackground } from '../services/roomHistoryService.js';
+import { applyListingStatus } from '../services/listingStatusService.js';
+import storage from '../services/storageService.js';
+import { afterCursor, pageOf, sortSpec, withCursor } from '../utils/pagination.js';
+import { bboxToRing, boundsCentre, closeRing, fitsHemisphere, haversineKm, parseBbox, ringBounds } from '../utils/geo.js';
+import { PHOTO_HASH_FIELDS, buildFilterQuery, visibleRoomsQuery } from '../utils/roomQuery.js';
+import { buildSearchFields } from '../utils/searchText.js';
+
+// 🔍 Files that aren't images or are too small are rejected before anything is uploaded
+async function assertUsableImages(files, field) {
+  const problems = await Promise.all(files.map(file => (file.buffer?.length ? imageProblem(file.buffer) : null)));
+  const details = problems
+    .map((message, index) => message && { location: 'files', field: `${field}[${index}]`, message })
+    .filter(Boolean);
+
+  if (details.length > 0) throw new ValidationError('Some images cannot be used', details);
 }
 
-// 🔐 B2 Authorization Cache (reuse for 23 hours)
-let b2Authorized = false;
-let b2AuthExpiry = null;
+// 📍 Where each uploaded photo says it was taken, by its stored URL - read from the upload, stored copies have no EXIF
+async function locatePhotos(files, processedImages) {
+  const coordinates = await Promise.all(files.map(file => (file.buffer?.length ? photoCoordinates(file.buffer) : null)));
+  return processedImages
+    .map((image, index) => image && { imageUrl: image.originalUrl, coordinates: coordinates[index] })
+    .filter(Boolean);
+}
 
-async function ensureB2Authorized() {
-  if (b2Authorized && b2AuthExpiry && Date.now() < b2AuthExpiry) {
-    return;
+// ⚡⚡⚡ ULTRA-FAST UPLOAD - Parallel Processing with Fresh Upload URLs
+export const uploadRooms = asyncHandler(async (req, res) => {
+  const timestamp = Date.now();
+
+  // 1️⃣ Collect files
+  let allFiles = [];
+  if (req.files) {
+    if (req.files.images && Array.isArray(req.files.images)) {
+      allFiles = [...allFiles, ...req.files.images];
+    }
+    if (Array.isArray(req.files)) {
+      allFiles = req.files;
+    }
+    if (allFiles.length === 0) {
+      for (const [key, value] of Object.entries(req.files)) {
+        if (Array.isArray(value)) {
+          allFiles = [...allFiles, ...value];
+        }
+      }
+    }
   }
 
-  await b2.authorize();
-  b2Authorized = true;
-  b2AuthExpiry = Date.now() + (23 * 60 * 60 * 1000);
-  console.log('✅ B2 authorized');
-}
+  if (allFiles.length === 0) throw new BadRequestError("No files uploaded");
 
-// ⚡ GET FRESH UPLOAD URL (for each parallel upload)
-async function getUploadUrl() {
-  await ensureB2Authorized();
+  await assertUsableImages(allFiles, 'images');
 
-  const uploadUrlResponse = await b2.getUploadUrl({
-    bucketId: BUCKET_ID,
-  });
+  logger.debug('Processing room images', { count: allFiles.length });
 
-  return {
-    authToken: uploadUrlResponse.data.authorizationToken,
-    uploadUrl: uploadUrlResponse.data.uploadUrl
-  };
-}
-
-// 📤 Upload to B2 Helper (gets fresh URL each time)
-async function uploadToB2(buffer, fileName, contentType = "image/jpeg") {
-  const { authToken, uploadUrl } = await getUploadUrl();
-
-  const response = await b2.uploadFile({
-    uploadUrl: uploadUrl,
-    uploadAuthToken: authToken,
-    fileName: fileName,
-    data: buffer,
-    mime: contentType,
-    // ⚡ CACHE OPTIMIZATION: Aggressive caching for CDN
-    info: {
-      'Cache-Control': 'public, max-age=31536000, immutable'
-    }
+  // ⚡ 2️⃣ PROCESS ALL IMAGES IN PARALLEL (each gets its own upload URL)
+  const imagePromises = allFiles.map((file, index) => {
+    if (!file.buffer || file.buffer.length === 0) return null;
+    return processImage(file.buffer, timestamp, index);
   });
 
-  return `${CDN_URL}/${fileName}`;
-}
-
-// 🗑️ Delete from B2 Helper
-async function deleteFromB2(fileUrl) {
-  try {
-    if (fileUrl.includes('s3.amazonaws.com') || fileUrl.includes('.s3.')) {
-      console.log(`⚠️ Skipping S3 URL: ${fileUrl}`);
-      return;
+  // ⚡ 3️⃣ PROCESS THUMBNAIL (only first image)
+  const thumbnailPromise = allFiles[0]?.buffer
+    ? processThumbnail(allFiles[0].buffer, timestamp)
+    : null;
+
+  // ⚡ 4️⃣ WAIT FOR ALL UPLOADS TO COMPLETE (parallel - each with fresh token)
+  const [processedImages, thumbnailUrl] = await Promise.all([
+    Promise.all(imagePromises),
+    thumbnailPromise
+  ]);
+
+  // 5️⃣ Filter out skipped files
+  const images = processedImages.filter(image => image !== null);
+
+  const thumbnail = thumbnailUrl ? { url: thumbnailUrl } : null;
+
+  if (images.length === 0) throw new BadRequestError("No images processed successfully");
+
+  logger.info('Room images uploaded', { count: images.length });
+
+  // 6️⃣ Parse location
+  let parsedLocation;
+  if (req.body.location) {
+    try {
+      let locationValue = Array.isArray(req.body.location)
+        ? req.body.location[req.body.location.length - 1]
+        : req.body.location;
+      parsedLocation = typeof locationValue === "string"
+        ? JSON.parse(locationValue)
+        : locationValue;
+    } catch {
+      parsedLocation = null;
     }
+  }
 
-    if (!fileUrl.includes(CDN_URL)) {
-      console.log(`⚠️ Skipping non-B2 URL: ${fileUrl}`);
-      return;
+  // Helper functions
+  const parseJSON = (field) => {
+    if (!req.body[field]) return undefined;
+    try {
+      let value = Array.isArray(req.body[field])
+        ? req.body[field][req.body[field].length - 1]
+        : req.body[field];
+      return JSON.parse(value);
+    } catch {
+      return Array.isArray(req.body[field])
+        ? req.body[field][req.body[field].length - 1]
+        : req.body[field];
     }
+  };
 
-    const fileName = fileUrl.replace(`${CDN_URL}/`, '').split('?')[0];
-    await ensureB2Authorized();
+  const getValue = (field) => {
+    const value = req.body[field];
+    return Array.isArray(value) ? value[value.length - 1] : value;
+  };
 
-    const fileList = await b2.listFileNames({
-      bucketId: BUCKET_ID,
-      maxFileCount: 1,
-      prefix: fileName,
-    });
+  // Auto-set expiry date
+  const expiryDate = new Date();
+  expiryDate.setDate(expiryDate.getDate() + 30);
+
+  // 7️⃣ Create room document
+  const roomData = {
+    category: getValue("category") || null,
+    title: getValue("title") || "",
+    description: getValue("description") || "",
+    images,
+    thumbnail,
+    location: parsedLocation || null,
+    locationPrivacy: getValue("locationPrivacy") || undefined,
+    contactPhone: getValue("contactPhone") || "",
+    showPhonePublic: getValue("showPhonePublic") === "true",
+    monthlyRent: getValue("monthlyRent") || null,
+    priceRange: parseJSON("priceRange") || {},
+    securityDeposit: getValue("securityDeposit") || null,
+    roommatesWanted: getValue("roommatesWanted") || null,
+    genderPreference: getValue("genderPreference") || null,
+    habitPreferences: parseJSON("habitPreferences") || [],
+    purpose: parseJSON("purpose") || [],
+    availableSpace: getValue("availableSpace") || null,
+    pgGenderCategory: getValue("pgGenderCategory") || null,
+    roomTypesAvailable: parseJSON("roomTypesAvailable") || [],
+    mealsProvided: parseJSON("mealsProvided") || [],
+    amenities: parseJSON("amenities") || [],
+    rules: parseJSON("rules") || [],
+    propertyType: getValue("propertyType") || null,
+    furnishedStatus: getValue("furnishedStatus") || null,
+    squareFeet: getValue("squareFeet") || null,
+    bedrooms: getValue("bedrooms") || null,
+    bathrooms: getValue("bathrooms") || null,
+    balconies: getValue("balconies") || null,
+    floorNumber: getValue("floorNumber") || null,
+    totalFloors: getValue("totalFloors") || null,
+    tenantPreference: getValue("tenantPreference") || null,
+    parking: getValue("parking") || null,
+    expiryDate: getValue("expiryDate") || expiryDate,
+    createdBy: req.user.id,
+  };
 
-    if (fileList.data.files.length > 0) {
-      const fileId = fileList.data.files[0].fileId;
-      await b2.deleteFileVersion({ fileId, fileName });
-      console.log(`✅ Deleted: ${fileName}`);
-    }
-  } catch (error) {
-    console.error(`❌ Delete error:`, error.message);
-  }
-}
+  const room = new Room(roomData);
+  await room.save();
+
+  // 🔍 Photos reused from another user's listing get a fake_listing report
+  checkDuplicatePhotosInBackground(room);
+  // 📍 ...and photos taken far from the pin a wrong_info one
+  checkPhotoLocationsInBackground(room, await locatePhotos(allFiles, processedImages));
+
+  res.status(201).json({
+    success: true,
+    room: {
+      ...room.toObject(),
+      imageCount: room.images.length,
+      hasThumbnail: !!room.thumbnail,
+    },
+  });
+});
 
-// 🗑️ Batch delete helper
-async function safelyDeleteImagesFromB2(imagesToDelete, roomId) {
-  console.log(`🗑️ Deleting ${imagesToDelete.length} images for room ${roomId}`);
+// ⚡⚡⚡ ULTRA-FAST UPDATE - Parallel Processing with Fresh Upload URLs
+export const updateRoom = asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const userId = req.user.id;
+  const timestamp = Date.now();
+
+  const existingRoom = await Room.findOne({
+    _id: roomId,
+    createdBy: userId
+  });
 
-  // ⚡ DELETE IN PARALLEL
-  await Promise.all(
-    imagesToDelete.map(img => img.originalUrl ? deleteFromB2(img.originalUrl) : Promise.resolve())
-  );
-}
+  if (!existingRoom) throw new NotFoundError('Room not found or unauthorized');
 
-// ⚡ OPTIMIZED: Process single image (NO WATERMARK)
-async function processImage(fileBuffer, timestamp, index) {
-  const mainBuffer = await sharp(fileBuffer)
-    .resize({
-      width: 1280,
-      withoutEnlargement: true,
-      fit: 'inside'
-    })
-    .jpeg({ quality: 85, mozjpeg: true })
-    .toBuffer();
-
-  const mainKey = `properties/${uuidv4()}-${timestamp}-${index}.jpg`;
-  const mainUrl = await uploadToB2(mainBuffer, mainKey, "image/jpeg");
-
-  return mainUrl;
-}
+  // Only URLs of images the room already has - anything else would be a URL of the caller's choosing
+  const currentUrls = new Set(existingRoom.images.map(image => image.originalUrl));
+  const existingImagesToKeep = (req.body.existingImages ? JSON.parse(req.body.existingImages) : [])
+    .filter(url => currentUrls.has(url));
 
-// ⚡ OPTIMIZED: Process thumbnail (ONLY for first image)
-async function processThumbnail(fileBuffer, timestamp) {
-  const thumbBuffer = await sharp(fileBuffer)
-    .resize({
-      width: 800,
-      withoutEnlargement: true,
-      fit: 'inside'
-    })
-    .jpeg({ quality: 90, mozjpeg: true })
-    .toBuffer();
-
-  const thumbKey = `properties/thumbs/${uuidv4()}-${timestamp}-thumb.jpg`;
-  const thumbUrl = await uploadToB2(thumbBuffer, thumbKey, "image/jpeg");
-
-  return thumbUrl;
-}
+  const imageFiles = req.files && req.files.images
+    ? (Array.isArray(req.files.images) ? req.files.images : [req.files.images])
+    : [];
 
-// ⚡⚡⚡ ULTRA-FAST UPLOAD - Parallel Processing with Fresh Upload URLs
-export const uploadRooms = async (req, res) => {
-  try {
-    const timestamp = Date.now();
+  // Before any existing image is deleted
+  await assertUsableImages(imageFiles, 'images');
 
-    // 1️⃣ Collect files
-    let allFiles = [];
-    if (req.files) {
-      if (req.files.images && Array.isArray(req.files.images)) {
-        allFiles = [...allFiles, ...req.files.images];
-      }
-      if (Array.isArray(req.files)) {
-        allFiles = req.files;
-      }
-      if (allFiles.length === 0) {
-        for (const [key, value] of Object.entries(req.files)) {
-          if (Array.isArray(value)) {
-            allFiles = [...allFiles, ...value];
-          }
-        }
-      }
-    }
+  logger.debug('Updating room images', {
+    roomId,
+    current: existingRoom.images.length,
+    keeping: existingImagesToKeep.length,
+    newFiles: imageFiles.length
+  });
 
-    if (allFiles.length === 0) {
-      return res.status(400).json({ success: false, message: "No files uploaded" });
-    }
+  // ⚡ DELETE OLD IMAGES IN PARALLEL (background)
+  const imagesToDelete = existingRoom.images.filter(existingImg =>
+    !existingImagesToKeep.includes(existingImg.originalUrl)
+  );
 
-    console.log(`📸 Processing ${allFiles.length} images...`);
+  if (imagesToDelete.length > 0) {
+    // console.log('🗑️ Deleting:', imagesToDelete.length);
+    deleteRoomImages(imagesToDelete, roomId).catch(err =>
+      logger.error('Background image delete failed', { err, roomId })
+    );
+  }
 
-    // ⚡ 2️⃣ PROCESS ALL IMAGES IN PARALLEL (each gets its own upload URL)
-    const imagePromises = allFiles.map((file, index) => {
+  // Start with existing images (in the order the app sent them, variants and all)
+  let images = existingImagesToKeep.map(url =>
+    existingRoom.images.find(image => image.originalUrl === url)
+  );
+  let thumbnail = null;
+  let newPhotos = [];
+
+  // ⚡ PROCESS NEW IMAGES IN PARALLEL (each gets fresh upload URL)
+  if (imageFiles.length > 0) {
+    // console.log('📤 Processing new images:', imageFiles.length);
+
+    const imagePromises = imageFiles.map((file, index) => {
       if (!file.buffer || file.buffer.length === 0) return null;
       return processImage(file.buffer, timestamp, index);
     });
 
-    // ⚡ 3️⃣ PROCESS THUMBNAIL (only first image)
-    const thumbnailPromise = allFiles[0]?.buffer
-      ? processThumbnail(allFiles[0].buffer, timestamp)
+    // ⚡ PROCESS THUMBNAIL (only if first image and no existing images)
+    const thumbnailPromise = (imageFiles[0]?.buffer && images.length === 0)
+      ? processThumbnail(imageFiles[0].buffer, timestamp)
       : null;
 
-    // ⚡ 4️⃣ WAIT FOR ALL UPLOADS TO COMPLETE (parallel - each with fresh token)
-    const [imageUrls, thumbnailUrl] = await Promise.all([
+    // ⚡ WAIT FOR ALL UPLOADS
+    const [processedImages, newThumbnailUrl] = await Promise.all([
       Promise.all(imagePromises),
       thumbnailPromise
     ]);
 
-    // 5️⃣ Filter out null values and format
-    const images = imageUrls
-      .filter(url => url !== null)
-      .map(url => ({ originalUrl: url }));
+    // Add new images
+    const newImages = processedImages.filter(image => image !== null);
 
-    const thumbnail = thumbnailUrl ? { url: thumbnailUrl } : null;
+    images = [...images, ...newImages];
+    newPhotos = await locatePhotos(imageFiles, processedImages);
 
-    if (images.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No images processed successfully",
-      });
+    if (newThumbnailUrl) {
+      thumbnail = { url: newThumbnailUrl };
     }
 
-    console.log(`✅ ${images.length} images uploaded successfully`);
-
-    // 6️⃣ Parse location
-    let parsedLocation;
-    if (req.body.location) {
-      try {
-        let locationValue = Array.isArray(req.body.location)
-          ? req.body.location[req.body.location.length - 1]
-          : req.body.location;
-        parsedLocation = typeof locationValue === "string"
-          ? JSON.parse(locationValue)
-          : locationValue;
-      } catch {
-        parsedLocation = null;
-      }
+    // console.log(`✅ ${newImages.length} new images uploaded`);
+  }
+
+  // Handle separate thumbnail upload
+  if (req.files && req.files.thumbnail && !thumbnail) {
+    const thumbFile = Array.isArray(req.files.thumbnail)
+      ? req.files.thumbnail[0]
+      : req.files.thumbnail;
+
+    const thumbnailUrl = await processThumbnail(thumbFile.buffer, timestamp);
+    thumbnail = { url: thumbnailUrl };
+  }
+
+  // Set thumbnail from first image if none exists
+  if (images.length > 0 && !thumbnail) {
+    thumbnail = { url: images[0].originalUrl };
+  }
+
+  // Parse helpers
+  const parseJSON = (field) => {
+    if (!req.body[field]) return undefined;
+    try {
+      let value = Array.isArray(req.body[field])
+        ? req.body[field][req.body[field].length - 1]
+        : req.body[field];
+      return JSON.parse(value);
+    } catch {
+      return Array.isArray(req.body[field])
+        ? req.body[field][req.body[field].length - 1]
+        : req.body[field];
     }
+  };
 
-    // Helper functions
-    const parseJSON = (field) => {
-      if (!req.body[field]) return undefined;
-      try {
-        let value = Array.isArray(req.body[field])
-          ? req.body[field][req.body[field].length - 1]
-          : req.body[field];
-        return JSON.parse(value);
-      } catch {
-        return Array.isArray(req.body[field])
-          ? req.body[field][req.body[field].length - 1]
-          : req.body[field];
-      }
-    };
+  const getValue = (field) => {
+    const value = req.body[field];
+    return Array.isArray(value) ? value[value.length - 1] : value;
+  };
 
-    const getValue = (field) => {
-      const value = req.body[field];
-      return Array.isArray(value) ? value[value.length - 1] : value;
-    };
+  let parsedLocation = existingRoom.location;
+  if (req.body.location) {
+    try {
+      let locationValue = Array.isArray(req.body.location)
+        ? req.body.location[req.body.location.length - 1]
+        : req.body.location;
+      parsedLocation = typeof locationValue === "string"
+        ? JSON.parse(locationValue)
+        : locationValue;
+    } catch (error) {
+      // console.log('Location parse error, keeping existing');
+    }
+  }
 
-    // Auto-set expiry date
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + 30);
-
-    // 7️⃣ Create room document
-    const roomData = {
-      category: getValue("category") || null,
-      title: getValue("title") || "",
-      description: getValue("description") || "",
-      images,
-      thumbnail,
-      location: parsedLocation || null,
-      contactPhone: getValue("contactPhone") || "",
-      showPhonePublic: getValue("showPhonePublic") === "true",
-      monthlyRent: getValue("monthlyRent") || null,
-      priceRange: parseJSON("priceRange") || {},
-      securityDeposit: getValue("securityDeposit") || null,
-      roommatesWanted: getValue("roommatesWanted") || null,
-      genderPreference: getValue("genderPreference") || null,
-      habitPreferences: parseJSON("habitPreferences") || [],
-      purpose: parseJSON("purpose") || [],
-      availableSpace: getValue("availableSpace") || null,
-      pgGenderCategory: getValue("pgGenderCategory") || null,
-      roomTypesAvailable: parseJSON("roomTypesAvailable") || [],
-      mealsProvided: parseJSON("mealsProvided") || [],
-      amenities: parseJSON("amenities") || [],
-      rules: parseJSON("rules") || [],
-      propertyType: getValue("propertyType") || null,
-      furnishedStatus: getValue("furnishedStatus") || null,
-      squareFeet: getValue("squareFeet") || null,
-      bedrooms: getValue("bedrooms") || null,
-      bathrooms: getValue("bathrooms") || null,
-      balconies: getValue("balconies") || null,
-      floorNumber: getValue("floorNumber") || null,
-      totalFloors: getValue("totalFloors") || null,
-      tenantPreference: getValue("tenantPreference") || null,
-      parking: getValue("parking") || null,
-      expiryDate: getValue("expiryDate") || expiryDate,
-      createdBy: req.user.id,
-    };
+  // Build update data
+  const updateData = {
+    category: getValue("category") || existingRoom.category,
+    title: getValue("title") || existingRoom.title,
+    description: getValue("description") || existingRoom.description,
+    images: images.length > 0 ? images : existingRoom.images,
+    thumbnail: thumbnail || existingRoom.thumbnail,
+    location: parsedLocation,
+    locationPrivacy: getValue("locationPrivacy") || existingRoom.locationPrivacy,
+    contactPhone: getValue("contactPhone") || existingRoom.contactPhone,
+    showPhonePublic: getValue("showPhonePublic") === "true" || existingRoom.showPhonePublic,
+    monthlyRent: getValue("monthlyRent") || existingRoom.monthlyRent,
+    priceRange: parseJSON("priceRange") || existingRoom.priceRange,
+    securityDeposit: getValue("securityDeposit") || existingRoom.securityDeposit,
+    roommatesWanted: getValue("roommatesWanted") || existingRoom.roommatesWanted,
+    genderPreference: getValue("genderPreference") || existingRoom.genderPreference,
+    habitPreferences: parseJSON("habitPreferences") || existingRoom.habitPreferences,
+    purpose: parseJSON("purpose") || existingRoom.purpose,
+    availableSpace: getValue("availableSpace") || existingRoom.availableSpace,
+    pgGenderCategory: getValue("pgGenderCategory") || existingRoom.pgGenderCategory,
+    roomTypesAvailable: parseJSON("roomTypesAvailable") || existingRoom.roomTypesAvailable,
+    mealsProvided: parseJSON("mealsProvided") || existingRoom.mealsProvided,
+    amenities: parseJSON("amenities") || existingRoom.amenities,
+    rules: parseJSON("rules") || existingRoom.rules,
+    propertyType: getValue("propertyType") || existingRoom.propertyType,
+    furnishedStatus: getValue("furnishedStatus") || existingRoom.furnishedStatus,
+    squareFeet: getValue("squareFeet") || existingRoom.squareFeet,
+    bedrooms: getValue("bedrooms") || existingRoom.bedrooms,
+    bathrooms: getValue("bathrooms") || existingRoom.bathrooms,
+    balconies: getValue("balconies") || existingRoom.balconies,
+    floorNumber: getValue("floorNumber") || existingRoom.floorNumber,
+    totalFloors: getValue("totalFloors") || existingRoom.totalFloors,
+    tenantPreference: getValue("tenantPreference") || existingRoom.tenantPreference,
+    parking: getValue("parking") || existingRoom.parking,
+    updatedAt: new Date()
+  };
 
-    const room = new Room(roomData);
-    await room.save();
+  Object.keys(updateData).forEach(key => {
+    if (updateData[key] === undefined) {
+      delete updateData[key];
+    }
+  });
 
-    res.status(201).json({
-      success: true,
-      room: {
-        ...room.toObject(),
-        imageCount: room.images.length,
-        hasThumbnail: !!room.thumbnail,
-      },
-    });
+  // findByIdAndUpdate skips the model's save hook - rebuild the search fields here
+  Object.assign(updateData, buildSearchFields(updateData));
 
-  } catch (err) {
-    console.error("❌ Create Room Error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create room",
-      error: err.message,
-    });
+  const updatedRoom = await Room.findByIdAndUpdate(
+    roomId,
+    updateData,
+    { new: true, runValidators: true }
+  ).populate('createdBy', 'name picture');
+
+  // 🔍 Only new photos can newly match someone else's listing
+  if (imageFiles.length > 0) {
+    checkDuplicatePhotosInBackground({ _id: updatedRoom._id, createdBy: existingRoom.createdBy, images: updatedRoom.images });
+    checkPhotoLocationsInBackground(updatedRoom, newPhotos);
   }
+
+  // 📜 Revision history - inquirers hear about rent / availability changes
+  recordRoomChangesInBackground({ before: existingRoom.toObject(), after: updatedRoom.toObject(), editedBy: userId, action: 'edit' });
+
+  // console.log(`✅ ROOM UPDATED: ${roomId} with ${images.length} images`);
+
+  res.json({
+    success: true,
+    message: 'Room updated successfully',
+    room: {
+      ...updatedRoom.toObject(),
+      imageCount: updatedRoom.images.length,
+      hasThumbnail: !!updatedRoom.thumbnail,
+    },
+  });
+});
+
+// ===== Drafts: save a listing step by step, add / remove images one at a time, then publish =====
+
+const MAX_DRAFTS = 10;
+
+// Validated as JSON strings by the post-form rules - stored parsed
+const DRAFT_JSON_FIELDS = new Set([
+  'location', 'priceRange', 'habitPreferences', 'purpose', 'roomTypesAvailable', 'mealsProvided', 'amenities', 'rules'
+]);
+
+const draftChanges = (body) => Object.fromEntries(
+  Object.entries(body)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, DRAFT_JSON_FIELDS.has(key) && typeof value === 'string' ? JSON.parse(value) : value])
+);
+
+const findOwnDraft = async (roomId, userId) => {
+  const draft = await Room.findOne({ _id: roomId, createdBy: userId, isDraft: true });
+  if (!draft) throw new NotFoundError('Draft not found');
+  return draft;
 };
 
-// ⚡⚡⚡ ULTRA-FAST UPDATE - Parallel Processing with Fresh Upload URLs
-export const updateRoom = async (req, res) => {
+const draftResponse = (draft) => ({
+  ...draft.toObject(),
+  imageCount: draft.images.length,
+  hasThumbnail: !!draft.thumbnail?.url,
+});
+
+// The draft's first image was removed before publishing - its replacement is already in storage
+async function processThumbnailFromUrl(imageUrl, timestamp) {
+  let buffer;
   try {
-    const { roomId } = req.params;
-    const userId = req.user.id;
-    const timestamp = Date.now();
+    buffer = await storage.downloadByUrl(imageUrl);
+  } catch (error) {
+    throw new UpstreamError('Could not read image from storage', { cause: error });
+  }
+  return processThumbnail(buffer, timestamp);
+}
 
-    console.log(`🔄 UPDATE ROOM: User ${userId} → Room ${roomId}`);
+// 📝 GET /api/drafts - the caller's unpublished listings, last edited first
+export const listDrafts = asyncHandler(async (req, res) => {
+  const drafts = await Room.find({ createdBy: req.user._id, isDraft: true })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_DRAFTS);
 
-    const existingRoom = await Room.findOne({
-      _id: roomId,
-      createdBy: userId
-    });
+  res.json({ success: true, drafts: drafts.map(draftResponse) });
+});
 
-    if (!existingRoom) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not found or unauthorized'
-      });
-    }
+// 📝 POST /api/drafts - any subset of the post form (JSON), no images yet
+export const createDraft = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
 
-    const existingImagesToKeep = req.body.existingImages
-      ? JSON.parse(req.body.existingImages)
-      : [];
+  const count = await Room.countDocuments({ createdBy: userId, isDraft: true });
+  if (count >= MAX_DRAFTS) {
+    throw new ConflictError(`You can keep up to ${MAX_DRAFTS} drafts`, { details: { limit: MAX_DRAFTS } });
+  }
 
-    const imageFiles = req.files && req.files.images
-      ? (Array.isArray(req.files.images) ? req.files.images : [req.files.images])
-      : [];
+  const draft = new Room({
+    ...draftChanges(req.body),
+    createdBy: userId,
+    isDraft: true,
+    status: 'draft',
+    publishedAt: null,
+    expiryDate: null, // starts on publish
+  });
+  await draft.save();
 
-    console.log('📸 Image Update:', {
-      current: existingRoom.images.length,
-      keeping: existingImagesToKeep.length,
-      newFiles: imageFiles.length
-    });
+  logger.info('Draft created', { roomId: draft._id });
 
-    // ⚡ DELETE OLD IMAGES IN PARALLEL (background)
-    const imagesToDelete = existingRoom.images.filter(existingImg =>
-      !existingImagesToKeep.includes(existingImg.originalUrl)
-    );
+  res.status(201).json({ success: true, draft: draftResponse(draft) });
+});
 
-    if (imagesToDelete.length > 0) {
-      // console.log('🗑️ Deleting:', imagesToDelete.length);
-      safelyDeleteImagesFromB2(imagesToDelete, roomId).catch(err =>
-        console.error('Background delete error:', err)
-      );
-    }
+export const getDraft = asyncHandler(async (req, res) => {
+  const draft = await findOwnDraft(req.params.roomId, req.user._id);
+  res.json({ success: true, draft: draftResponse(draft) });
+});
 
-    // Start with existing images
-    let images = existingImagesToKeep.map(url => ({ originalUrl: url }));
-    let thumbnail = null;
+// 📝 PATCH /api/drafts/:roomId - fields sent are saved, null clears one
+export const updateDraft = asyncHandler(async (req, res) => {
+  const draft = await findOwnDraft(req.params.roomId, req.user._id);
 
-    // ⚡ PROCESS NEW IMAGES IN PARALLEL (each gets fresh upload URL)
-    if (imageFiles.length > 0) {
-      // console.log('📤 Processing new images:', imageFiles.length);
+  draft.set(draftChanges(req.body));
+  await draft.save();
 
-      const imagePromises = imageFiles.map((file, index) => {
-        if (!file.buffer || file.buffer.length === 0) return null;
-        return processImage(file.buffer, timestamp, index);
-      });
+  res.json({ success: true, draft: draftResponse(draft) });
+});
 
-      // ⚡ PROCESS THUMBNAIL (only if first image and no existing images)
-      const thumbnailPromise = (imageFiles[0]?.buffer && images.length === 0)
-        ? processThumbnail(imageFiles[0].buffer, timestamp)
-        : null;
+// 📤 POST /api/drafts/:roomId/images - one image per request, so a failed upload only loses that image
+export const addDraftImage = asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const userId = req.user._id;
 
-      // ⚡ WAIT FOR ALL UPLOADS
-      const [newImageUrls, newThumbnailUrl] = await Promise.all([
-        Promise.all(imagePromises),
-        thumbnailPromise
-      ]);
+  if (!req.file?.buffer?.length) throw new BadRequestError('No image uploaded');
 
-      // Add new images
-      const newImages = newImageUrls
-        .filter(url => url !== null)
-        .map(url => ({ originalUrl: url }));
+  const problem = await imageProblem(req.file.buffer);
+  if (problem) throw new ValidationError('Image cannot be used', [{ location: 'files', field: 'image', message: problem }]);
 
-      images = [...images, ...newImages];
+  const draft = await findOwnDraft(roomId, userId);
+  if (draft.images.length >= MAX_IMAGES) {
+    throw new ConflictError(`A listing can have up to ${MAX_IMAGES} images`, { details: { limit: MAX_IMAGES } });
+  }
 
-      if (newThumbnailUrl) {
-        thumbnail = { url: newThumbnailUrl };
-      }
+  // The thumbnail is always made from the first image
+  const timestamp = Date.now();
+  const [processed, thumbnailUrl] = await Promise.all([
+    processImage(req.file.buffer, timestamp, draft.images.length),
+    draft.images.length === 0 ? processThumbnail(req.file.buffer, timestamp) : null,
+  ]);
+
+  // Atomic, so parallel uploads can't overshoot the limit
+  const updated = await Room.findOneAndUpdate(
+    { _id: roomId, createdBy: userId, isDraft: true, [`images.${MAX_IMAGES - 1}`]: { $exists: false } },
+    { $push: { images: processed } },
+    { new: true }
+  );
 
-      // console.log(`✅ ${newImages.length} new images uploaded`);
-    }
+  if (!updated) {
+    await deleteRoomImages([processed, { originalUrl: thumbnailUrl }], roomId);
+    throw new ConflictError(`A listing can have up to ${MAX_IMAGES} images`, { details: { limit: MAX_IMAGES } });
+  }
 
-    // Handle separate thumbnail upload
-    if (req.files && req.files.thumbnail && !thumbnail) {
-      const thumbFile = Array.isArray(req.files.thumbnail)
-        ? req.files.thumbnail[0]
-        : req.files.thumbnail;
+  if (thumbnailUrl) {
+    const { modifiedCount } = await Room.updateOne(
+      { _id: roomId, 'thumbnail.url': { $exists: false } },
+      { $set: { thumbnail: { url: thumbnailUrl } } }
+    );
+    // Another upload got there first
+    if (modifiedCount === 0) await storage.deleteByUrl(thumbnailUrl);
+    else updated.thumbnail = { url: thumbnailUrl };
+  }
 
-      const thumbnailUrl = await processThumbnail(thumbFile.buffer, timestamp);
-      thumbnail = { url: thumbnailUrl };
-    }
+  const image = updated.images[updated.images.length - 1];
 
-    // Set thumbnail from first image if none exists
-    if (images.length > 0 && !thumbnail) {
-      thumbnail = { url: images[0].originalUrl };
-    }
+  // 📍 Only once the draft has a pin - the photo's GPS isn't kept for a later check
+  checkPhotoLocationsInBackground(updated, await locatePhotos([req.file], [image]));
 
-    // Parse helpers
-    const parseJSON = (field) => {
-      if (!req.body[field]) return undefined;
-      try {
-        let value = Array.isArray(req.body[field])
-          ? req.body[field][req.body[field].length - 1]
-          : req.body[field];
-        return JSON.parse(value);
-      } catch {
-        return Array.isArray(req.body[field])
-          ? req.body[field][req.body[field].length - 1]
-          : req.body[field];
-      }
-    };
+  res.status(201).json({ success: true, image, draft: draftResponse(updated) });
+});
 
-    const getValue = (field) => {
-      const value = req.body[field];
-      return Array.isArray(value) ? value[value.length - 1] : value;
-    };
+// 🗑️ DELETE /api/drafts/:roomId/images/:imageId
+export const removeDraftImage = asyncHandler(async (req, res) => {
+  const { roomId, imageId } = req.params;
+  const userId = req.user._id;
 
-    let parsedLocation = existingRoom.location;
-    if (req.body.location) {
-      try {
-        let locationValue = Array.isArray(req.body.location)
-          ? req.body.location[req.body.location.length - 1]
-          : req.body.location;
-        parsedLocation = typeof locationValue === "string"
-          ? JSON.parse(locationValue)
-          : locationValue;
-      } catch (error) {
-        // console.log('Location parse error, keeping existing');
-      }
-    }
+  const draft = await findOwnDraft(roomId, userId);
+  const index = draft.images.findIndex(image => image._id.equals(imageId));
+  if (index === -1) throw new NotFoundError('Image not found');
 
-    // Build update data
-    const updateData = {
-      category: getValue("category") || existingRoom.category,
-      title: getValue("title") || existingRoom.title,
-      description: getValue("description") || existingRoom.description,
-      images: images.length > 0 ? images : existingRoom.images,
-      thumbnail: thumbnail || existingRoom.thumbnail,
-      location: parsedLocation,
-      contactPhone: getValue("contactPhone") || existingRoom.contactPhone,
-      showPhonePublic: getValue("showPhonePublic") === "true" || existingRoom.showPhonePublic,
-      monthlyRent: getValue("monthlyRent") || existingRoom.monthlyRent,
-      priceRange: parseJSON("priceRange") || existingRoom.priceRange,
-      securityDeposit: getValue("securityDeposit") || existingRoom.securityDeposit,
-      roommatesWanted: getValue("roommatesWanted") || existingRoom.roommatesWanted,
-      genderPreference: getValue("genderPreference") || existingRoom.genderPreference,
-      habitPreferences: parseJSON("habitPreferences") || existingRoom.habitPreferences,
-      purpose: parseJSON("purpose") || existingRoom.purpose,
-      availableSpace: getValue("availableSpace") || existingRoom.availableSpace,
-      pgGenderCategory: getValue("pgGenderCategory") || existingRoom.pgGenderCategory,
-      roomTypesAvailable: parseJSON("roomTypesAvailable") || existingRoom.roomTypesAvailable,
-      mealsProvided: parseJSON("mealsProvided") || existingRoom.mealsProvided,
-      amenities: parseJSON("amenities") || existingRoom.amenities,
-      rules: parseJSON("rules") || existingRoom.rules,
-      propertyType: getValue("propertyType") || existingRoom.propertyType,
-      furnishedStatus: getValue("furnishedStatus") || existingRoom.furnishedStatus,
-      squareFeet: getValue("squareFeet") || existingRoom.squareFeet,
-      bedrooms: getValue("bedrooms") || existingRoom.bedrooms,
-      bathrooms: getValue("bathrooms") || existingRoom.bathrooms,
-      balconies: getValue("balconies") || existingRoom.balconies,
-      floorNumber: getValue("floorNumber") || existingRoom.floorNumber,
-      totalFloors: getValue("totalFloors") || existingRoom.totalFloors,
-      tenantPreference: getValue("tenantPreference") || existingRoom.tenantPreference,
-      parking: getValue("parking") || existingRoom.parking,
-      updatedAt: new Date()
-    };
+  const removed = draft.images[index];
 
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] === undefined) {
-        delete updateData[key];
-      }
-    });
+  // Removing the first image also drops its thumbnail - publish makes one from the new first image
+  const changes = { $pull: { images: { _id: removed._id } } };
+  if (index === 0 && draft.thumbnail?.url) changes.$unset = { thumbnail: 1 };
 
-    const updatedRoom = await Room.findByIdAndUpdate(
-      roomId,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name picture');
+  const updated = await Room.findOneAndUpdate({ _id: roomId, createdBy: userId, isDraft: true }, changes, { new: true });
+  if (!updated) throw new NotFoundError('Draft not found');
 
-    // console.log(`✅ ROOM UPDATED: ${roomId} with ${images.length} images`);
+  await deleteRoomImages([removed], roomId);
+  if (changes.$unset) await storage.deleteByUrl(draft.thumbnail.url);
 
-    res.json({
-      success: true,
-      message: 'Room updated successfully',
-      room: {
-        ...updatedRoom.toObject(),
-        imageCount: updatedRoom.images.length,
-        hasThumbnail: !!updatedRoom.thumbnail,
-      },
-    });
+  res.json({ success: true, draft: draftResponse(updated) });
+});
 
+// ✅ POST /api/drafts/:roomId/publish - runs the full per-category checks, then the listing goes live
+export const publishDraft = asyncHandler(async (req, res) => {
+  const draft = await findOwnDraft(req.params.roomId, req.user._id);
+
+  const problems = [];
+  if (draft.images.length === 0) {
+    problems.push({ location: 'body', field: 'images', message: 'Add at least one image' });
+  }
+
+  applyListingStatus(draft, 'active');
+  try {
+    await draft.validate();
   } catch (error) {
-    console.error("❌ Update Room Error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to update room",
-      error: error.message,
-    });
+    if (error.name !== 'ValidationError') throw error;
+    problems.push(...Object.values(error.errors).map(e => ({ location: 'body', field: e.path, message: e.message })));
   }
-};
 
-// Keep filter functions unchanged
-function buildFilterQuery(filterData, category) {
-  const query = {};
+  if (problems.length > 0) throw new ValidationError('Draft is not ready to publish', problems);
 
-  Object.keys(filterData).forEach(key => {
-    const filter = filterData[key];
-    if (!filter.selected) return;
+  if (!draft.thumbnail?.url) {
+    draft.thumbnail = { url: await processThumbnailFromUrl(draft.images[0].originalUrl, Date.now()) };
+  }
 
-    let filterQuery = null;
+  const expiryDate = new Date();
+  expiryDate.setDate(expiryDate.getDate() + 30);
 
-    if (category === 'shared') {
-      filterQuery = buildSharedFilter(key, filter);
-    } else if (category === 'pg_hostel') {
-      filterQuery = buildPgFilter(key, filter);
-    } else if (category === 'flat_home') {
-      filterQuery = buildRentalFilter(key, filter);
-    }
+  draft.publishedAt = new Date();
+  draft.expiryDate = expiryDate;
+  await draft.save();
 
-    if (filterQuery) {
-      query[key] = filterQuery;
-    }
+  logger.info('Draft published', { roomId: draft._id, category: draft.category });
+
+  // 🔍 Photos reused from another user's listing get a fake_listing report
+  checkDuplicatePhotosInBackground(draft);
+
+  res.json({
+    success: true,
+    room: {
+      ...draft.toObject(),
+      imageCount: draft.images.length,
+      hasThumbnail: !!draft.thumbnail,
+    },
   });
+});
 
-  return query;
-}
+// 🗑️ DELETE /api/drafts/:roomId - discards the draft and its images
+export const deleteDraft = asyncHandler(async (req, res) => {
+  const draft = await Room.findOneAndDelete({ _id: req.params.roomId, createdBy: req.user._id, isDraft: true });
+  if (!draft) throw new NotFoundError('Draft not found');
 
-function buildSharedFilter(key, filter) {
-  switch (key) {
-    case 'monthlyRent':
-    case 'roommatesWanted':
-      return {
-        $gte: filter.currentMin || filter.min,
-        $lte: filter.currentMax || filter.max
-      };
-    case 'genderPreference':
-    case 'habitPreferences':
-    case 'purpose':
-      if (filter.options && Array.isArray(filter.options)) {
-        const selectedOptions = filter.options
-          .filter(opt => opt.selected)
-          .map(opt => opt.value);
-        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
-      }
-      return null;
-    case 'showPhonePublic':
-      return filter.value === true;
-    default:
-      return null;
-  }
-}
+  await deleteRoomImages([...draft.images, { originalUrl: draft.thumbnail?.url }], draft._id);
 
-function buildPgFilter(key, filter) {
-  switch (key) {
-    case 'priceRange':
-      return {
-        'priceRange.min': { $lte: filter.currentMax || filter.max },
-        'priceRange.max': { $gte: filter.currentMin || filter.min }
-      };
-
-    case 'pgGenderCategory':
-    case 'roomTypesAvailable':
-    case 'mealsProvided':
-    case 'amenities':
-    case 'rules':
-      if (filter.options && Array.isArray(filter.options)) {
-        const selectedOptions = filter.options
-          .filter(opt => opt.selected)
-          .map(opt => opt.value);
-        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
-      }
-      return null;
-    default:
-      return null;
-  }
-}
+  res.json({ success: true, message: 'Draft deleted' });
+});
 
-function buildRentalFilter(key, filter) {
-  switch (key) {
-    case 'monthlyRent':
-    case 'securityDeposit':
-    case 'squareFeet':
-    case 'bedrooms':
-    case 'bathrooms':
-      return {
-        $gte: filter.currentMin || filter.min,
-        $lte: filter.currentMax || filter.max
-      };
-    case 'propertyType':
-    case 'furnishedStatus':
-    case 'tenantPreference':
-    case 'parking':
-      if (filter.options && Array.isArray(filter.options)) {
-        const selectedOptions = filter.options
-          .filter(opt => opt.selected)
-          .map(opt => opt.value);
-        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
-      }
-      return null;
-    default:
-      return null;
-  }
-}
+// Most recently listed first
+const FAVORITES_SORT = [['createdAt', -1], ['_id', -1]];
 
+const DEFAULT_SEARCH_RADIUS_KM = 45; // callers can pick 1-100 km with radiusKm
 
 // controllers/roomController.js
-export const getRooms = async (req, res) => {
-  try {
-    const {
-      category,
-      lat,
-      lng,
-      limit = 15,
-      skip = 0,
-      filters
-    } = req.query;
-
-    // Validate required params
-    if (!lat || !lng) {
-      return res.status(400).json({
-        success: false,
-        message: "Location coordinates required"
-      });
-    }
+export const getRooms = asyncHandler(async (req, res) => {
+  const {
+    category,
+    lat,
+    lng,
+    limit = 15,
+    skip = 0,
+    filters,
+    q,
+    radiusKm = DEFAULT_SEARCH_RADIUS_KM,
+    bbox,
+    polygon,
+    zoom,
+    cursor,
+    sort = 'relevance'
+  } = req.query;
+
+  // 🗺️ Map viewport (bbox) or drawn area (polygon) instead of a circle around lat/lng
+  if (bbox && polygon) throw new BadRequestError("Send either bbox or polygon, not both");
+
+  let area = null;
+  let areaBounds = null;
+  if (bbox) {
+    areaBounds = parseBbox(bbox);
+    if (!areaBounds) throw new BadRequestError("bbox must be minLng,minLat,maxLng,maxLat");
+    area = bboxToRing(areaBounds);
+  } else if (polygon) {
+    area = closeRing(JSON.parse(polygon));
+    areaBounds = ringBounds(area);
+    if (areaBounds[1] < -90 || areaBounds[3] > 90) throw new BadRequestError("polygon latitudes must be between -90 and 90");
+  }
 
-    const latNum = parseFloat(lat);
-    const lngNum = parseFloat(lng);
+  if (areaBounds && !fitsHemisphere(areaBounds)) throw new BadRequestError("Area too large - zoom in");
 
-    // Validate coordinates
-    if (isNaN(latNum) || isNaN(lngNum)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid coordinates"
-      });
-    }
+  // Validate required params - distances are measured from lat/lng, or the area's centre
+  const hasCentre = lat !== undefined && lng !== undefined;
+  if (!hasCentre && !area) throw new BadRequestError("Location coordinates required");
 
-    const limitNum = Math.min(parseInt(limit) || 15, 50); // Max 50 per request
-    const skipNum = Math.max(parseInt(skip) || 0, 0);
-
-    // Build optimized query for $geoNear
-    const geoNearQuery = {
-      // Exclude deleted rooms
-      $or: [
-        { isDeleted: { $exists: false } },
-        { isDeleted: false }
-      ],
-      // Exclude blocked rooms  
-      $and: [
-        {
-          $or: [
-            { isBlocked: { $exists: false } },
-            { isBlocked: false }
-          ]
-        },
-        // Only active rooms
-        {
-          $or: [
-            { isActive: { $exists: false } },
-            { isActive: true }
-          ]
-        },
-        // Not expired (SKIP expiry check for PG/Hostel)
-        {
-          $or: [
-            { expiryDate: { $exists: false } },
-            { expiryDate: { $gt: new Date() } },
-            { category: 'pg_hostel' } // PG/Hostel posts never expire
-          ]
-        }
-      ]
-    };
+  const [lngNum, latNum] = hasCentre ? [lng, lat] : boundsCentre(areaBounds);
 
-    // Add category filter if specified
-    if (category && category !== 'all') {
-      geoNearQuery.category = category;
-    }
+  const limitNum = Math.min(parseInt(limit) || 15, 50); // Max 50 per request
+  const skipNum = Math.max(parseInt(skip) || 0, 0);
 
-    // Parse and add custom filters
-    if (filters && filters !== '{}') {
-      try {
-        const filterData = JSON.parse(filters);
-        const filterQuery = buildFilterQuery(filterData, category);
-
-        if (Object.keys(filterQuery).length > 0) {
-          // Merge filter conditions into $and array
-          if (filterQuery.$and) {
-            geoNearQuery.$and = [...geoNearQuery.$and, ...filterQuery.$and];
-          } else {
-            Object.assign(geoNearQuery, filterQuery);
-          }
-        }
-      } catch (parseError) {
-        console.error("Filter parsing error:", parseError);
-        return res.status(400).json({
-          success: false,
-          message: "Invalid filter format"
-        });
-      }
-    }
+  // Build optimized query for $geoNear
+  const geoNearQuery = visibleRoomsQuery();
 
-    // Optimized aggregation pipeline
-    const aggregationPipeline = [
-      {
-        $geoNear: {
-          near: {
-            type: "Point",
-            coordinates: [lngNum, latNum]
-          },
-          distanceField: "distance",
-          spherical: true,
-          distanceMultiplier: 0.001, // km
-          query: geoNearQuery,
-          maxDistance: 45000, // 45km radius
-        }
-      },
-      {
-        $sort: {
-          distance: 1,
-          createdAt: -1
-        }
-      },
-      { $skip: skipNum },
-      { $limit: limitNum },
-      // ✅ Project ALL needed fields for cards
-      {
-        $project: {
-          // Common fields
-          title: 1,
-          description: 1,
-          category: 1,
-          thumbnail: 1,
-          images: 1,
-          location: 1,
-          distance: 1,
-          createdAt: 1,
-
-          // Financial
-          monthlyRent: 1,
-          priceRange: 1,
-          securityDeposit: 1,
-
-          // Shared Room fields
-          roommatesWanted: 1,
-          genderPreference: 1,
-          habitPreferences: 1,
-
-          // PG/Hostel fields
-          availableSpace: 1,
-          pgGenderCategory: 1,
-          roomTypesAvailable: 1,
-          mealsProvided: 1,
-          amenities: 1,
-          rules: 1,
-
-          // Flat/Home fields
-          propertyType: 1,
-          furnishedStatus: 1,
-          bedrooms: 1,
-          bathrooms: 1,
-          balconies: 1,
-          squareFeet: 1,
-          floorNumber: 1,
-          totalFloors: 1,
-          tenantPreference: 1,
-          parking: 1,
-
-          // Engagement
-          views: 1,
-          likes: 1,
-          favorites: 1,
-
-          // Owner info
-          createdBy: 1
+  // Add category filter if specified
+  if (category && category !== 'all') {
+    geoNearQuery.category = category;
+  }
+
+  // Parse and add custom filters
+  if (filters && filters !== '{}') {
+    try {
+      const filterData = JSON.parse(filters);
+      const filterQuery = buildFilterQuery(filterData, category);
+
+      if (Object.keys(filterQuery).length > 0) {
+        // Merge filter conditions into $and array
+        if (filterQuery.$and) {
+          geoNearQuery.$and = [...geoNearQuery.$and, ...filterQuery.$and];
+        } else {
+          Object.assign(geoNearQuery, filterQuery);
         }
       }
-    ];
+    } catch (parseError) {
+      logger.warn("Filter parsing failed", parseError);
+      throw new BadRequestError("Invalid filter format");
+    }
+  }
 
-    // console.log('🔍 Query:', JSON.stringify({ category, skipNum, limitNum }));
+  // 🔍 Free-text search ("attached bathroom", "near metro", a locality)
+  const search = q ? parseSearchQuery(q) : null;
+  if (search) {
+    Object.assign(geoNearQuery, textMatchFilter(search));
+  }
 
-    const rooms = await Room.aggregate(aggregationPipeline);
+  const locate = locateStages({
+    centre: [lngNum, latNum],
+    area,
+    radiusKm,
+    query: geoNearQuery,
+  });
 
-    // Calculate distance info efficiently
-    const roomsWithDistance = rooms.map(room => {
-      const straightLineKm = room.distance;
-      const roadDistanceKm = straightLineKm * 1.4; // Approximate
+  // Closeness for ranking is relative to the farthest point that can be returned
+  const reachKm = area
+    ? Math.max(...area.map(point => haversineKm([lngNum, latNum], point)))
+    : radiusKm;
+  const rank = search ? textRankStages(search, reachKm) : [];
 
-      let distance, label;
+  // 🗺️ Zoomed out - grouped counts per grid cell instead of rooms
+  if (zoom !== undefined && zoom <= CLUSTER_MAX_ZOOM) {
+    const clusters = await Room.aggregate([...locate, ...rank, ...clusterStages(zoom)]);
 
-      if (roadDistanceKm < 1) {
-        distance = Math.round(roadDistanceKm * 1000);
-        label = `${distance} m`;
-      } else {
-        distance = Math.round(roadDistanceKm * 10) / 10; // 1 decimal
-        label = `${distance} km`;
-      }
-
-      return {
-        ...room,
-        approximateRoadDistance: roadDistanceKm < 1
-          ? Math.round(roadDistanceKm * 1000)
-          : Math.round(roadDistanceKm),
-        individualDistance: label,
-        distanceLabel: `${label} away`
-      };
+    return res.json({
+      success: true,
+      mode: 'clusters',
+      zoom,
+      cellSizeDegrees: clusterCellDegrees(zoom),
+      clusters,
+      totalRooms: clusters.reduce((sum, cluster) => sum + cluster.count, 0)
     });
+  }
 
-    res.json({
-      success: true,
-      rooms: roomsWithDistance,
-      count: rooms.length,
-      hasMore: rooms.length === limitNum,
-      pagination: {
-        skip: skipNum,
-        limit: limitNum,
-        returned: rooms.length
+  // ↕️ Price / newest / popularity, or by default text relevance + distance (plain distance without q)
+  const order = feedSort(sort, search);
+
+  // Optimized aggregation pipeline
+  const aggregationPipeline = [
+    ...locate,
+    ...rank,
+    ...feedSortStages(order),
+    // ✅ Cursor pages start right after the last room of the previous page - skip is
+    // only for older app builds
+    ...(cursor ? [{ $match: afterCursor(order, cursor) }] : [{ $skip: skipNum }]),
+    { $limit: limitNum + 1 }, // one extra tells us whether there is a next page
+    // ✅ Project ALL needed fields for cards
+    {
+      $project: {
+        // Common fields
+        title: 1,
+        description: 1,
+        category: 1,
+        thumbnail: 1,
+        images: 1,
+        location: 1,
+        locationPrivacy: 1,
+        distance: 1,
+        createdAt: 1,
+        searchScore: 1, // only set for text searches
+
+        // Financial
+        monthlyRent: 1,
+        priceRange: 1,
+        securityDeposit: 1,
+
+        // Shared Room fields
+        roommatesWanted: 1,
+        genderPreference: 1,
+        habitPreferences: 1,
+
+        // PG/Hostel fields
+        availableSpace: 1,
+        pgGenderCategory: 1,
+        roomTypesAvailable: 1,
+        mealsProvided: 1,
+        amenities: 1,
+        rules: 1,
+
+        // Flat/Home fields
+        propertyType: 1,
+        furnishedStatus: 1,
+        bedrooms: 1,
+        bathrooms: 1,
+        balconies: 1,
+        squareFeet: 1,
+        floorNumber: 1,
+        totalFloors: 1,
+        tenantPreference: 1,
+        parking: 1,
+
+        // Engagement
+        views: 1,
+        likes: 1,
+        favorites: 1,
+
+        // Owner info
+        createdBy: 1,
+
+        // Sort keys, for the next page's cursor
+        ...Object.fromEntries(order.map(([field]) => [field, 1]))
       }
-    });
+    },
+    // Inside images: everything but the photo hashes
+    { $project: PHOTO_HASH_FIELDS }
+  ];
 
-  } catch (err) {
-    console.error("❌ Get Rooms Error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch rooms",
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-  }
-};
+  // console.log('🔍 Query:', JSON.stringify({ category, skipNum, limitNum }));
 
-// Helper function to build filter queries based on category
+  const { items, hasMore, nextCursor } = pageOf(await Room.aggregate(aggregationPipeline), limitNum, order);
 
+  // 📍 Approximate pins unless the caller may see the exact one
+  const rooms = await withLocationPrivacy(items, req.user);
 
-// GET /api/rooms/:id
-export const getRoomById = async (req, res) => {
-  // console.log("inside single room controller");
+  // Calculate distance info efficiently
+  const roomsWithDistance = rooms.map(room => {
+    const straightLineKm = room.distance;
+    const roadDistanceKm = straightLineKm * 1.4; // Approximate
 
-  try {
-    const { id } = req.params;
-    const room = await Room.findById(id).populate("createdBy", "name picture");
+    let distance, label;
+
+    if (roadDistanceKm < 1) {
+      distance = Math.round(roadDistanceKm * 1000);
+      label = `${distance} m`;
+    } else {
+      distance = Math.round(roadDistanceKm * 10) / 10; // 1 decimal
+      label = `${distance} km`;
+    }
 
+    return {
+      ...room,
+      approximateRoadDistance: roadDistanceKm < 1
+        ? Math.round(roadDistanceKm * 1000)
+        : Math.round(roadDistanceKm),
+      individualDistance: label,
+      distanceLabel: `${label} away`
+    };
+  });
 
-    if (!room) {
-      return res.status(404).json({ success: false, message: "Room not found" });
+  res.json({
+    success: true,
+    mode: 'rooms',
+    sort,
+    rooms: roomsWithDistance,
+    count: rooms.length,
+    hasMore,
+    nextCursor,
+    pagination: {
+      skip: cursor ? undefined : skipNum,
+      limit: limitNum,
+      returned: rooms.length,
+      nextCursor
     }
-    // console.log(room, "roomdata");
+  });
+});
 
-    res.json({ success: true, room });
-  } catch (err) {
-    console.error("Get Room Error:", err);
-    res.status(500).json({ success: false, message: "Failed to fetch room" });
-  }
-};
+// 🔍 GET /api/rooms/autocomplete?q=kora&lat=..&lng=.. - localities + listing words for the search box
+export const autocompleteRooms = asyncHandler(async (req, res) => {
+  const { q, lat, lng, category, limit } = req.query;
 
+  if ((lat === undefined) !== (lng === undefined)) {
+    throw new BadRequestError("lat and lng must be sent together");
+  }
 
-export const incrementRoomView = async (req, res) => {
-  // console.log("Increment Room View Controller Hit");
+  const baseQuery = visibleRoomsQuery();
+  if (category && category !== 'all') {
+    baseQuery.category = category;
+  }
 
-  try {
-    const { roomId } = req.params; // roomId from URL params
-    const { userId } = req.body;   // userId from request body
+  const suggestions = await autocomplete({
+    q,
+    lat,
+    lng,
+    baseQuery,
+    maxDistanceMeters: DEFAULT_SEARCH_RADIUS_KM * 1000,
+    limit,
+  });
 
-    const room = await Room.findById(roomId);
+  res.json({ success: true, suggestions });
+});
 
-    if (!room) {
-      return res.status(404).json({ success: false, message: "Room not found" });
-    }
+// Helper function to build filter queries based on category
 
-    // ✅ Only increment if user hasn't viewed before
-    if (userId && !room.viewedBy.includes(userId)) {
-      room.views += 1;
-      room.viewedBy.push(userId);
-      await room.save();
-    }
 
-    // ✅ If user is not logged in, you can still increment view (optional)
-    if (!userId) {
-      room.views += 1;
-      await room.save();
-    }
+// GET /api/rooms/:id
+export const getRoomById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  // 📞 The phone number goes out through phone reveals only
+  const room = await Room.findOne({ _id: id, isDraft: { $ne: true } })
+    .select({ contactPhone: 0, ...PHOTO_HASH_FIELDS })
+    .populate("createdBy", "name picture");
 
-    res.status(200).json({
-      success: true,
-      message: "View count updated",
-      views: room.views,
-    });
-  } catch (error) {
-    console.error("❌ Error incrementing room view:", error);
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-};
 
-export const addFavorite = async (req, res) => {
-  try {
-    const { roomId } = req.body;
-    const userId = req.user._id;
+  if (!room) throw new NotFoundError("Room not found");
+  // console.log(room, "roomdata");
 
-    // console.log(`❤️ ADD FAVORITE: User ${userId} → Room ${roomId}`);
+  // 📍 The exact address is for the owner and people they're chatting with
+  const [visibleRoom] = await withLocationPrivacy([room.toObject()], req.user);
 
-    // Validation
-    if (!roomId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room ID is required'
-      });
-    }
+  res.json({ success: true, room: visibleRoom });
+});
 
-    // Check if room exists
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not found'
-      });
-    }
 
-    // Check if already favorited
-    if (room.favorites.includes(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room already in favorites'
-      });
-    }
+export const incrementRoomView = asyncHandler(async (req, res) => {
+  const { roomId } = req.params; // roomId from URL params
+  const userId = req.user?._id;  // set by optionalAuth - never taken from the body
 
-    // Add user to favorites array
-    room.favorites.push(userId);
-    await room.save();
+  // ✅ Logged-in users count once; the filter makes repeat views a no-op
+  if (userId) {
+    await Room.updateOne(
+      { _id: roomId, isDraft: { $ne: true }, viewedBy: { $ne: userId } },
+      { $inc: { views: 1 }, $push: { viewedBy: userId } }
+    );
+  } else {
+    // ✅ Anonymous views still count
+    await Room.updateOne({ _id: roomId, isDraft: { $ne: true } }, { $inc: { views: 1 } });
+  }
 
-    // console.log(`✅ FAVORITE ADDED to room: ${roomId}`);
+  const room = await Room.findById(roomId).select("views").lean();
 
-    res.status(201).json({
-      success: true,
-      message: 'Room added to favorites successfully',
-      roomId: roomId,
-      isFavorited: true
-    });
+  if (!room) throw new NotFoundError("Room not found");
 
-  } catch (error) {
-    console.error('❌ Error adding favorite:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to add favorite',
-      error: error.message
-    });
-  }
-};
+  res.status(200).json({
+    success: true,
+    message: "View count updated",
+    views: room.views,
+  });
+});
 
-// ✅ REMOVE FROM FAVORITES
-export const removeFavorite = async (req, res) => {
-  try {
-    const { roomId } = req.body;
-    const userId = req.user._id;
+export const addFavorite = asyncHandler(async (req, res) => {
+  const { roomId } = req.body;
+  const userId = req.user._id;
 
-    // console.log(`🗑️ REMOVE FAVORITE: User ${userId} → Room ${roomId}`);
+  // console.log(`❤️ ADD FAVORITE: User ${userId} → Room ${roomId}`);
 
-    // Validation
-    if (!roomId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room ID is required'
-      });
-    }
+  // Validation
+  if (!roomId) throw new BadRequestError('Room ID is required');
 
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not found'
-      });
-    }
+  // Check if room exists
+  const room = await Room.findOne({ _id: roomId, isDraft: { $ne: true } });
+  if (!room) throw new NotFoundError('Room not found');
 
-    // Check if actually favorited
-    if (!room.favorites.includes(userId)) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not in favorites'
-      });
-    }
+  // Check if already favorited
+  if (room.favorites.includes(userId)) throw new ConflictError('Room already in favorites');
 
-    // Remove user from favorites array
-    room.favorites = room.favorites.filter(favId => !favId.equals(userId));
-    await room.save();
+  // Add user to favorites array
+  room.favorites.push(userId);
+  await room.save();
 
-    // console.log(`✅ FAVORITE REMOVED from room: ${roomId}`);
+  // console.log(`✅ FAVORITE ADDED to room: ${roomId}`);
 
-    res.json({
-      success: true,
-      message: 'Room removed from favorites successfully',
-      roomId: roomId,
-      isFavorited: false
-    });
+  res.status(201).json({
+    success: true,
+    message: 'Room added to favorites successfully',
+    roomId: roomId,
+    isFavorited: true
+  });
+});
 
-  } catch (error) {
-    console.error('❌ Error removing favorite:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to remove favorite',
-      error: error.message
-    });
-  }
-};
+// ✅ REMOVE FROM FAVORITES
+export const removeFavorite = asyncHandler(async (req, res) => {
+  const { roomId } = req.body;
+  const userId = req.user._id;
 
-// ✅ TOGGLE FAVORITE (Add/Remove in one endpoint)
-export const toggleFavorite = async (req, res) => {
-  try {
-    const { roomId } = req.body;
-    const userId = req.user._id;
+  // console.log(`🗑️ REMOVE FAVORITE: User ${userId} → Room ${roomId}`);
 
-    // console.log(`🔄 TOGGLE FAVORITE: User ${userId} → Room ${roomId}`);
+  // Validation
+  if (!roomId) throw new BadRequestError('Room ID is required');
 
-    if (!roomId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Room ID is required'
-      });
-    }
+  const room = await Room.findById(roomId);
+  if (!room) throw new NotFoundError('Room not found');
 
-    // Check if room exists
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not found'
-      });
-    }
+  // Check if actually favorited
+  if (!room.favorites.includes(userId)) throw new NotFoundError('Room not in favorites');
 
-    const isCurrentlyFavorited = room.favorites.includes(userId);
-    let action = '';
+  // Remove user from favorites array
+  room.favorites = room.favorites.filter(favId => !favId.equals(userId));
+  await room.save();
 
-    if (isCurrentlyFavorited) {
-      // Remove from favorites
-      room.favorites = room.favorites.filter(favId => !favId.equals(userId));
-      action = 'removed';
-      // console.log(`✅ FAVORITE REMOVED: ${roomId}`);
-    } else {
-      // Add to favorites
-      room.favorites.push(userId);
-      action = 'added';
-      // console.log(`✅ FAVORITE ADDED: ${roomId}`);
-    }
+  // console.log(`✅ FAVORITE REMOVED from room: ${roomId}`);
 
-    await room.save();
+  res.json({
+    success: true,
+    message: 'Room removed from favorites successfully',
+    roomId: roomId,
+    isFavorited: false
+  });
+});
 
-    res.json({
-      success: true,
-      message: `Room ${action} from favorites successfully`,
-      isFavorited: !isCurrentlyFavorited,
-      roomId: roomId
-    });
+// ✅ TOGGLE FAVORITE (Add/Remove in one endpoint)
+export const toggleFavorite = asyncHandler(async (req, res) => {
+  const { roomId } = req.body;
+  const userId = req.user._id;
 
-  } catch (error) {
-    console.error('❌ Error toggling favorite:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to toggle favorite',
-      error: error.message
-    });
-  }
-};
+  // console.log(`🔄 TOGGLE FAVORITE: User ${userId} → Room ${roomId}`);
 
-// ✅ GET USER'S FAVORITES
-export const getMyFavorites = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    // console.log(`📚 GET FAVORITES: User ${userId} - Page ${page}`);
-
-    // Find rooms where user ID is in favorites array
-    const favoriteRooms = await Room.find({
-      favorites: userId,
-      isActive: true,
-      isBlocked: false
-    })
-      .populate('createdBy', 'name picture')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Room.countDocuments({
-      favorites: userId,
-      isActive: true,
-      isBlocked: false
-    });
+  if (!roomId) throw new BadRequestError('Room ID is required');
 
-    // console.log(`✅ FAVORITES FETCHED: ${favoriteRooms.length} rooms`);
+  // Check if room exists
+  const room = await Room.findOne({ _id: roomId, isDraft: { $ne: true } });
+  if (!room) throw new NotFoundError('Room not found');
 
-    res.json({
-      success: true,
-      favorites: favoriteRooms,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+  const isCurrentlyFavorited = room.favorites.includes(userId);
+  let action = '';
 
-  } catch (error) {
-    console.error('❌ Error fetching favorites:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch favorites',
-      error: error.message
-    });
+  if (isCurrentlyFavorited) {
+    // Remove from favorites
+    room.favorites = room.favorites.filter(favId => !favId.equals(userId));
+    action = 'removed';
+    // console.log(`✅ FAVORITE REMOVED: ${roomId}`);
+  } else {
+    // Add to favorites
+    room.favorites.push(userId);
+    action = 'added';
+    // console.log(`✅ FAVORITE ADDED: ${roomId}`);
   }
-};
 
-// ✅ CHECK IF ROOM IS FAVORITED
-export const checkFavorite = async (req, res) => {
-  // console.log("fghjjjjjjjjjjjjj--------");
+  await room.save();
 
+  res.json({
+    success: true,
+    message: `Room ${action} from favorites successfully`,
+    isFavorited: !isCurrentlyFavorited,
+    roomId: roomId
+  });
+});
 
-  try {
-    const { roomId } = req.params;
-    const userId = req.user._id;
+// ✅ GET USER'S FAVORITES
+export const getMyFavorites = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { cursor } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = cursor ? 0 : (page - 1) * limit;
+
+  // console.log(`📚 GET FAVORITES: User ${userId} - Page ${page}`);
+
+  // Find rooms where user ID is in favorites array
+  const filter = {
+    favorites: userId,
+    isActive: true,
+    isBlocked: false
+  };
 
-    // console.log(`🔍 CHECK FAVORITE: User ${userId} → Room ${roomId}`);
+  const rows = await Room.find(withCursor(filter, FAVORITES_SORT, cursor))
+    .select({ contactPhone: 0, ...PHOTO_HASH_FIELDS })
+    .populate('createdBy', 'name picture')
+    .sort(sortSpec(FAVORITES_SORT))
+    .skip(skip)
+    .limit(limit + 1);
+  const { items, hasMore, nextCursor } = pageOf(rows, limit, FAVORITES_SORT);
+  const favoriteRooms = await withLocationPrivacy(items.map(room => room.toObject()), req.user);
+
+  const total = await Room.countDocuments(filter);
+
+  // console.log(`✅ FAVORITES FETCHED: ${favoriteRooms.length} rooms`);
+
+  res.json({
+    success: true,
+    favorites: favoriteRooms,
+    hasMore,
+    nextCursor,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      nextCursor
+    }
+  });
+});
 
-    const room = await Room.findOne({
-      _id: roomId,
-      favorites: userId
-    });
+// ✅ CHECK IF ROOM IS FAVORITED
+export const checkFavorite = asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
+  const userId = req.user._id;
 
-    const isFavorited = !!room;
+  // console.log(`🔍 CHECK FAVORITE: User ${userId} → Room ${roomId}`);
 
-    console.log(`✅ FAVORITE STATUS: ${isFavorited}`);
+  const room = await Room.findOne({
+    _id: roomId,
+    favorites: userId
+  });
 
-    res.json({
-      success: true,
-      isFavorited
-    });
+  const isFavorited = !!room;
 
-  } catch (error) {
-    console.error('❌ Error checking favorite:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check favorite status',
-      error: error.message
-    });
-  }
-};
+  res.json({
+    success: true,
+    isFavorited
+  });
+});
 
 // ✅ GET FAVORITE COUNT FOR A ROOM
-export const getFavoriteCount = async (req, res) => {
-  try {
-    const { roomId } = req.params;
-
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json({
-        success: false,
-        message: 'Room not found'
-      });
-    }
+export const getFavoriteCount = asyncHandler(async (req, res) => {
+  const { roomId } = req.params;
 
-    const count = room.favorites.length;
+  const room = await Room.findById(roomId);
+  if (!room) throw new NotFoundError('Room not found');
 
-    res.json({
-      success: true,
-      count,
-      roomId
-    });
+  const count = room.favorites.length;
 
-  } catch (error) {
-    console.error('❌ Error counting favorites:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get favorite count',
-      error: error.message
-    });
-  }
-};
\ No newline at end of file
+  res.json({
+    success: true,
+    count,
+    roomId
+  });
+});
\ No newline at end of file
@@ -1,42 +1,98 @@
 // controllers/token_controller.js
-import jwt from "jsonwebtoken";
 import User from "../models/userModal.js";
+import Session from "../models/Session.js";
+import {
+  revokeAllSessions,
+  revokeSession as revokeUserSession,
+  rotateSession,
+  signAccessToken,
+} from "../utils/tokenService.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../utils/errors.js";
 
-export const refreshAccessToken = async (req, res) => {
-  try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ success: false, message: "userId required" });
-    }
-
-    const user = await User.findById(userId);
-    if (!user || !user.refreshToken) {
-      return res.status(401).json({ success: false, message: "Invalid session" });
-    }
-
-    // Verify refresh token
-    let decodedRefresh;
-    try {
-      decodedRefresh = jwt.verify(user.refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (jwtErr) {
-      // Refresh token expired or invalid - clear it
-      user.refreshToken = null;
-      await user.save();
-      return res.status(401).json({ success: false, message: "Refresh token expired" });
-    }
-
-    // Issue new access token
-    const newAccessToken = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
-
-    res.json({ success: true, accessToken: newAccessToken });
-
-  } catch (err) {
-    console.error("Refresh error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new BadRequestError("refreshToken required");
+  }
+
+  const rotated = await rotateSession(refreshToken);
+  if (!rotated) throw new UnauthorizedError("Invalid session", { code: "INVALID_SESSION" });
+
+  const user = await User.findById(rotated.session.userId);
+  if (!user) {
+    await revokeUserSession(rotated.session.userId, rotated.session._id);
+    throw new UnauthorizedError("Invalid session", { code: "INVALID_SESSION" });
+  }
+
+  const accessToken = signAccessToken(user, rotated.session._id);
+
+  res.json({ success: true, accessToken, refreshToken: rotated.refreshToken });
+});
+
+// ✅ LIST the current user's active sessions (one per device)
+export const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("deviceId userAgent issuedAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    sessions: sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+// ✅ REVOKE one of the current user's sessions
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await revokeUserSession(req.user._id, req.params.sessionId);
+
+  if (!session) throw new NotFoundError("Session not found");
+
+  res.json({ success: true, message: "Session revoked", sessionId: session._id });
+});
+
+// ✅ LOGOUT - end this device's session and stop pushing to it
+export const logout = asyncHandler(async (req, res) => {
+  const user = req.user;
+  let pushToken = req.body?.pushToken || null;
+
+  if (req.sessionId) {
+    const session = await revokeUserSession(user._id, req.sessionId, "logout");
+    pushToken = pushToken || session?.expoPushToken || null;
+  }
+
+  // Only clear the push token if it still belongs to this device
+  if (pushToken && user.expoPushToken === pushToken) {
+    await User.updateOne({ _id: user._id }, { expoPushToken: null });
   }
-};
\ No newline at end of file
+
+  res.json({ success: true, message: "Logged out" });
+});
+
+// ✅ LOGOUT EVERYWHERE - revoke every session and every access token issued so far
+export const logoutAll = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const [result] = await Promise.all([
+    revokeAllSessions(userId, "logout"),
+    User.updateOne(
+      { _id: userId },
+      { tokensValidAfter: new Date(), expoPushToken: null }
+    ),
+  ]);
+
+  res.json({
+    success: true,
+    message: "Logged out from all devices",
+    revokedSessions: result.modifiedCount,
+  });
+});
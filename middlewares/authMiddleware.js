@@ -1,6 +1,34 @@
 // middlewares/authMiddleware.js
 import jwt from "jsonwebtoken";
 import User from "../models/userModal.js";
+import Session from "../models/Session.js";
+import logger, { setLogContext } from "../utils/logger.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+// Shared by REST (authMiddleware) and Socket.IO (handshake in server.js)
+export const verifyAccessToken = async (token) => {
+  if (!token) throw new UnauthorizedError("No token");
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // console.log("decoded:", decoded);
+
+  const [user, sessionActive] = await Promise.all([
+    User.findById(decoded.id).select("-refreshToken"),
+    decoded.sid ? Session.exists({ _id: decoded.sid, revokedAt: null }) : null,
+  ]);
+
+  if (!user) throw new UnauthorizedError("User not found");
+
+  // Logged out on this device
+  if (decoded.sid && !sessionActive) throw new UnauthorizedError("Session revoked", { code: "SESSION_REVOKED" });
+
+  // Logged out everywhere after this token was issued (iat is in seconds)
+  if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+    throw new UnauthorizedError("Token revoked", { code: "TOKEN_REVOKED" });
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 export const authMiddleware = async (req, res, next) => {
   // console.log("llllll");
@@ -9,23 +37,56 @@ export const authMiddleware = async (req, res, next) => {
     const authHeader = req.headers["authorization"];
     // console.log("authHeader:", authHeader);
 
-    if (!authHeader) return res.status(401).json({ success: false, message: "No token" });
+    if (!authHeader) return next(new UnauthorizedError("No token"));
 
     const token = authHeader.split(" ")[1];
     // console.log("token:", token);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    // console.log("decoded:", decoded);
-
-    const user = await User.findById(decoded.id).select("-refreshToken");
-    // console.log("user from middleware:", user);
-
-    if (!user) return res.status(401).json({ success: false, message: "User not found" });
+    const { user, sessionId } = await verifyAccessToken(token);
 
     req.user = user;
+    req.sessionId = sessionId;
+    setLogContext({ userId: user._id.toString() });
     next();
   } catch (err) {
-    console.error("Middleware error:", err);
-    return res.status(401).json({ success: false, message: "Invalid token" });
+    if (err instanceof UnauthorizedError) return next(err);
+
+    logger.warn("Access token rejected", { err });
+    if (err.name === "TokenExpiredError") {
+      return next(new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" }));
+    }
+    return next(new UnauthorizedError("Invalid token"));
   }
 };
+
+// Socket.IO handshake (io.use): auth.token or "Authorization: Bearer <token>"
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers?.authorization?.split(" ")[1];
+
+    const { user } = await verifyAccessToken(token);
+
+    socket.user = user;
+    socket.userId = user._id.toString();
+    next();
+  } catch (error) {
+    next(new Error(error instanceof UnauthorizedError ? error.message : "Invalid token"));
+  }
+};
+
+// Like authMiddleware, but lets anonymous requests through with req.user unset.
+// A token that is sent but invalid still gets a 401 so the app refreshes it.
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers["authorization"]) return next();
+  return authMiddleware(req, res, next);
+};
+
+// Must run after authMiddleware - checks req.user.role against the allowed roles
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return next(new UnauthorizedError("Not authenticated"));
+
+  if (!roles.includes(req.user.role)) return next(new ForbiddenError("Access denied"));
+
+  next();
+};
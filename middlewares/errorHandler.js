@@ -0,0 +1,92 @@
+// middlewares/errorHandler.js - async wrapper + the single place errors become responses
+import multer from 'multer';
+import logger from '../utils/logger.js';
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  RateLimitedError,
+  ValidationError,
+} from '../utils/errors.js';
+
+/**
+ * Wrap an async route handler so thrown / rejected errors reach errorHandler:
+ *
+ *   router.get('/room/:roomId', asyncHandler(async (req, res) => {
+ *     const room = await ChatRoom.findById(req.params.roomId);
+ *     if (!room) throw new NotFoundError('Chat room not found');
+ *     res.json(room);
+ *   }));
+ */
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// For express-rate-limit's `handler` option
+export const rateLimitHandler = (message) => (req, res, next, options) => {
+  next(new RateLimitedError(message, { retryAfter: Math.ceil(options.windowMs / 1000) }));
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+// Errors from mongoose, multer and body-parser that aren't AppErrors yet
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err.name === 'CastError') {
+    return new ValidationError('Validation failed', [{ location: 'params', field: err.path, message: 'must be a valid id' }]);
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ValidationError('Validation failed', Object.values(err.errors).map(e => ({
+      location: 'body',
+      field: e.path,
+      message: e.message,
+    })));
+  }
+
+  if (err.code === 11000 || err.code === 11001) {
+    return new ConflictError('Already exists');
+  }
+
+  if (err instanceof multer.MulterError) {
+    return new BadRequestError(err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : 'Invalid upload', {
+      code: 'VALIDATION_ERROR',
+    });
+  }
+
+  // body-parser: malformed JSON / payload too large
+  if (err.type === 'entity.parse.failed') return new BadRequestError('Malformed JSON body');
+  if (err.type === 'entity.too.large') return new BadRequestError('Request body too large');
+
+  return null;
+};
+
+// Must keep all four parameters - that's how Express recognises an error handler
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const appError = normalizeError(err);
+
+  if (!appError || appError.status >= 500) {
+    logger.error('Unhandled request error', { err, method: req.method, path: req.originalUrl.split('?')[0] });
+  }
+
+  // Unknown errors never expose their message - it's in the logs under this requestId
+  const error = appError || new AppError('Something went wrong');
+
+  if (error.retryAfter !== undefined) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details }),
+    requestId: req.id,
+  });
+};
@@ -0,0 +1,32 @@
+// middlewares/requestContext.js - correlation id + access log for every HTTP request
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+// Accept an upstream id (load balancer, app) only if it looks like one
+const INCOMING_ID = /^[\w-]{8,64}$/;
+
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && INCOMING_ID.test(incoming) ? incoming : newRequestId();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    // Path only - query strings can carry tokens and personal data
+    logger[level]('HTTP request', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user?._id,
+    });
+  });
+
+  runWithLogContext({ requestId }, next);
+};
@@ -0,0 +1,316 @@
+// middlewares/validate.js - schema-driven validation for body, params and query
+import { ValidationError } from "../utils/errors.js";
+
+/*
+ * Every route declares one schema:
+ *
+ *   router.post("/report-room", authMiddleware, validate(reportRoomSchema), handler);
+ *
+ *   export const reportRoomSchema = {
+ *     body: { roomId: v.objectId(), reason: v.string({ enum: REASONS }), description: v.string({ max: 500 }).optional() },
+ *   };
+ *
+ * Locations that are not declared must be empty. Unknown keys are rejected, "$"-prefixed
+ * keys are rejected anywhere (including inside JSON strings), and the validated (coerced)
+ * values replace req.body / req.params / req.query.
+ */
+
+const LOCATIONS = ["params", "query", "body"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Returns the path of the first "$"-prefixed key, or null
+const findOperatorKey = (value, path = "") => {
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      const found = findOperatorKey(value[i], `${path}[${i}]`);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of Object.keys(value)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (key.startsWith("$")) return keyPath;
+      const found = findOperatorKey(value[key], keyPath);
+      if (found) return found;
+    }
+  }
+
+  return null;
+};
+
+const makeRule = (kind, check, flags = {}) => ({
+  kind,
+  check,
+  isOptional: Boolean(flags.optional),
+  isNullable: Boolean(flags.nullable),
+  optional() {
+    return makeRule(kind, check, { ...flags, optional: true });
+  },
+  nullable() {
+    return makeRule(kind, check, { ...flags, nullable: true });
+  },
+});
+
+// Runs a rule; returns the (coerced) value and pushes failures into errors
+const runRule = (rule, value, path, errors) => {
+  // Multipart forms send "" for fields the user left empty
+  const missing = value === undefined || (value === "" && rule.kind !== "string");
+
+  if (missing) {
+    if (!rule.isOptional) errors.push({ field: path, message: "is required" });
+    return undefined;
+  }
+
+  if (value === null) {
+    if (!rule.isNullable) errors.push({ field: path, message: "must not be null" });
+    return null;
+  }
+
+  return rule.check(value, path, errors);
+};
+
+const validateShape = (shape, input, path, errors, { unknown = "reject" } = {}) => {
+  const output = {};
+
+  for (const key of Object.keys(input)) {
+    if (key.startsWith("$")) {
+      errors.push({ field: path ? `${path}.${key}` : key, message: "operator keys are not allowed" });
+    } else if (!shape[key] && unknown === "reject") {
+      errors.push({ field: path ? `${path}.${key}` : key, message: "is not allowed" });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(shape)) {
+    const value = runRule(rule, input[key], path ? `${path}.${key}` : key, errors);
+    if (value !== undefined) output[key] = value;
+  }
+
+  return output;
+};
+
+export const v = {
+  string({ min = 0, max = 1000, pattern, enum: values, trim = true } = {}) {
+    return makeRule("string", (value, path, errors) => {
+      if (typeof value !== "string") {
+        errors.push({ field: path, message: "must be a string" });
+        return undefined;
+      }
+      const str = trim ? value.trim() : value;
+      if (values && !values.includes(str)) {
+        errors.push({ field: path, message: `must be one of: ${values.join(", ")}` });
+      } else if (str.length < min) {
+        errors.push({ field: path, message: min === 1 ? "must not be empty" : `must be at least ${min} characters` });
+      } else if (str.length > max) {
+        errors.push({ field: path, message: `must be at most ${max} characters` });
+      } else if (pattern && !pattern.test(str)) {
+        errors.push({ field: path, message: "has an invalid format" });
+      }
+      return str;
+    });
+  },
+
+  email() {
+    return v.string({ max: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ });
+  },
+
+  // Accepts numbers or numeric strings (query strings, multipart fields)
+  number({ min, max, integer = false } = {}) {
+    return makeRule("number", (value, path, errors) => {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) {
+        errors.push({ field: path, message: "must be a number" });
+        return undefined;
+      }
+      if (integer && !Number.isInteger(num)) {
+        errors.push({ field: path, message: "must be an integer" });
+      } else if (min !== undefined && num < min) {
+        errors.push({ field: path, message: `must be at least ${min}` });
+      } else if (max !== undefined && num > max) {
+        errors.push({ field: path, message: `must be at most ${max}` });
+      }
+      return num;
+    });
+  },
+
+  integer(opts = {}) {
+    return v.number({ ...opts, integer: true });
+  },
+
+  // Accepts true/false or "true"/"false"
+  boolean() {
+    return makeRule("boolean", (value, path, errors) => {
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      errors.push({ field: path, message: "must be true or false" });
+      return undefined;
+    });
+  },
+
+  objectId() {
+    return makeRule("objectId", (value, path, errors) => {
+      if (typeof value !== "string" || !/^[a-f\d]{24}$/i.test(value)) {
+        errors.push({ field: path, message: "must be a valid id" });
+        return undefined;
+      }
+      return value;
+    });
+  },
+
+  date() {
+    return makeRule("date", (value, path, errors) => {
+      const date = new Date(value);
+      if ((typeof value !== "string" && typeof value !== "number") || Number.isNaN(date.getTime())) {
+        errors.push({ field: path, message: "must be a valid date" });
+        return undefined;
+      }
+      return value;
+    });
+  },
+
+  array(item, { min = 0, max = 100 } = {}) {
+    return makeRule("array", (value, path, errors) => {
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: "must be an array" });
+        return undefined;
+      }
+      if (value.length < min) errors.push({ field: path, message: `must have at least ${min} items` });
+      if (value.length > max) errors.push({ field: path, message: `must have at most ${max} items` });
+      return value.map((entry, i) => runRule(item, entry, `${path}[${i}]`, errors));
+    });
+  },
+
+  // Fixed-length array with a rule per position, e.g. [lng, lat]
+  tuple(items) {
+    return makeRule("tuple", (value, path, errors) => {
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: "must be an array" });
+        return undefined;
+      }
+      if (value.length !== items.length) {
+        errors.push({ field: path, message: `must have exactly ${items.length} items` });
+        return undefined;
+      }
+      return items.map((item, i) => runRule(item, value[i], `${path}[${i}]`, errors));
+    });
+  },
+
+  // unknown: "reject" (default) or "strip" for client-side metadata we don't care about
+  object(shape, { unknown = "reject" } = {}) {
+    return makeRule("object", (value, path, errors) => {
+      if (!isPlainObject(value)) {
+        errors.push({ field: path, message: "must be an object" });
+        return undefined;
+      }
+      return validateShape(shape, value, path, errors, { unknown });
+    });
+  },
+
+  // Object with caller-chosen keys, e.g. the filters map in getRooms
+  record(valueRule, { maxKeys = 50, keyPattern = /^[A-Za-z][\w]*$/ } = {}) {
+    return makeRule("record", (value, path, errors) => {
+      if (!isPlainObject(value)) {
+        errors.push({ field: path, message: "must be an object" });
+        return undefined;
+      }
+      const keys = Object.keys(value);
+      if (keys.length > maxKeys) {
+        errors.push({ field: path, message: `must have at most ${maxKeys} keys` });
+        return undefined;
+      }
+      const output = {};
+      for (const key of keys) {
+        if (!keyPattern.test(key)) {
+          errors.push({ field: `${path}.${key}`, message: "is not an allowed key" });
+          continue;
+        }
+        output[key] = runRule(valueRule, value[key], `${path}.${key}`, errors);
+      }
+      return output;
+    });
+  },
+
+  // A JSON-encoded string (query params, multipart fields). Stays a string for the controller.
+  json(rule) {
+    return makeRule("json", (value, path, errors) => {
+      let parsed = value;
+      if (typeof value === "string") {
+        try {
+          parsed = JSON.parse(value);
+        } catch {
+          errors.push({ field: path, message: "must be valid JSON" });
+          return undefined;
+        }
+      }
+
+      const operatorPath = findOperatorKey(parsed, path);
+      if (operatorPath) {
+        errors.push({ field: operatorPath, message: "operator keys are not allowed" });
+        return undefined;
+      }
+
+      const result = runRule(rule, parsed, path, errors);
+      return result === undefined ? undefined : JSON.stringify(result);
+    });
+  },
+
+  // Multipart fields can arrive repeated - controllers use the last value, so do we
+  lastOf(rule) {
+    return makeRule(rule.kind, (value, path, errors) => {
+      const last = Array.isArray(value) ? value[value.length - 1] : value;
+      return runRule(rule, last, path, errors);
+    }, { optional: rule.isOptional, nullable: rule.isNullable });
+  },
+};
+
+// Multipart bodies: keeps the last repeated value, and numbers / booleans go back to
+// strings - the room controllers compare `=== "true"` and treat "0" as set
+const formField = (rule) => {
+  const last = v.lastOf(rule);
+  return makeRule(rule.kind, (value, path, errors) => {
+    const result = last.check(value, path, errors);
+    return typeof result === "number" || typeof result === "boolean" ? String(result) : result;
+  }, { optional: rule.isOptional, nullable: rule.isNullable });
+};
+
+// Older app builds still send userId in some bodies - accepted and ignored, the user comes from the token
+export const legacyUserId = { userId: v.objectId().optional() };
+
+export const formFields = (shape) =>
+  Object.fromEntries(Object.entries(shape).map(([key, rule]) => [key, formField(rule)]));
+
+export const validate = (schema = {}) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  for (const location of LOCATIONS) {
+    const input = req[location] ?? {};
+    const locationErrors = [];
+
+    if (!isPlainObject(input)) {
+      locationErrors.push({ field: "", message: "must be an object" });
+    } else {
+      const operatorPath = findOperatorKey(input);
+      if (operatorPath) {
+        locationErrors.push({ field: operatorPath, message: "operator keys are not allowed" });
+      } else {
+        validated[location] = validateShape(schema[location] || {}, input, "", locationErrors);
+      }
+    }
+
+    errors.push(...locationErrors.map(error => ({ location, ...error })));
+  }
+
+  if (errors.length > 0) {
+    return next(new ValidationError("Validation failed", errors));
+  }
+
+  for (const location of LOCATIONS) {
+    req[location] = validated[location];
+  }
+
+  next();
+};
@@ -0,0 +1,52 @@
+// models/OtpCode.js - one-time login / account-linking codes (hashed, short-lived)
+import mongoose from 'mongoose';
+
+const otpCodeSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: true
+  },
+  // Normalised email address or E.164 phone number
+  target: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  // Set for purpose 'link' - the account the identity will be attached to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // HMAC of the code - the plain code only ever leaves through the delivery provider
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+otpCodeSchema.index({ channel: 1, target: 1, purpose: 1, createdAt: -1 });
+
+// Kept for an hour after expiry so per-target send limits can still count them
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+export default mongoose.models.OtpCode || mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const REVEAL_STATUSES = ['pending', 'approved', 'declined'];
+
+// 'ask': the owner approves each request, 'auto': every request from a chat is approved
+export const PHONE_REVEAL_MODES = ['ask', 'auto'];
+
+// One inquirer asking for one listing owner's number - also the audit trail of who got it and when
+const phoneRevealSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  chatRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatRoom',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REVEAL_STATUSES,
+    default: 'pending'
+  },
+  // Approved by the owner's setting rather than by the owner
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  // Every time the number was handed over (API or chat)
+  revealCount: {
+    type: Number,
+    default: 0
+  },
+  firstRevealedAt: {
+    type: Date,
+    default: null
+  },
+  lastRevealedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+phoneRevealSchema.index({ room: 1, requester: 1 }, { unique: true });
+phoneRevealSchema.index({ owner: 1, status: 1, createdAt: -1 });
+phoneRevealSchema.index({ requester: 1, createdAt: -1 }); // daily limit
+
+export default mongoose.models.PhoneReveal || mongoose.model('PhoneReveal', phoneRevealSchema);
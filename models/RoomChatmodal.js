@@ -29,7 +29,8 @@ const chatRoomSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-   contactPhone: String,
+  // Legacy copy of the owner's number - never sent, phone reveals replaced it
+  contactPhone: { type: String, select: false },
   lastMessage: {
     type: String,
     default: null
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One field of a listing edit - values as they were stored (images as their URLs)
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// One edit of a published listing - who changed which fields and when (see services/roomHistoryService.js)
+const roomRevisionSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for changes the system made
+  },
+  // Where the edit came from, e.g. 'edit' (the post form) or 'toggle_status'
+  action: {
+    type: String,
+    required: true
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+roomRevisionSchema.index({ room: 1, createdAt: -1 });
+
+export default mongoose.models.RoomRevision || mongoose.model('RoomRevision', roomRevisionSchema);
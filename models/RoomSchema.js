@@ -1,19 +1,51 @@
 import mongoose from "mongoose";
+import { SEARCH_SOURCE_FIELDS, buildSearchFields } from "../utils/searchText.js";
+
+// Images per listing, however they were uploaded
+export const MAX_IMAGES = 10;
+
+// A listing's lifecycle - transitions live in services/listingStatusService.js
+export const LISTING_STATUSES = ["draft", "active", "paused", "rented", "expired", "removed"];
+
+// Drafts are saved step by step - the listing fields are only required once published
+function requiredUnlessDraft() {
+  return !this.isDraft;
+}
 
 const roomSchema = new mongoose.Schema({
   // ===== Category =====
   category: {
     type: String,
     enum: ["shared", "pg_hostel", "flat_home"],
-    required: true,
+    required: requiredUnlessDraft,
   },
 
   // ===== Common fields =====
-  title: { type: String, required: true },
-  description: { type: String, required: true },
+  title: { type: String, required: requiredUnlessDraft },
+  description: { type: String, required: requiredUnlessDraft },
   images: [
     {
-      originalUrl: { type: String, required: true }, // all uploaded images
+      originalUrl: { type: String, required: true }, // all uploaded images (largest JPEG)
+      width: { type: Number },
+      height: { type: Number },
+      // srcset-style: each width in AVIF, WebP and JPEG. Unset until made (see imageBackfillService)
+      variants: {
+        type: [
+          {
+            _id: false,
+            url: { type: String, required: true },
+            width: { type: Number, required: true },
+            height: { type: Number },
+            format: { type: String, enum: ["avif", "webp", "jpeg"], required: true },
+          }
+        ],
+        default: undefined,
+      },
+      blurhash: { type: String },
+      lqip: { type: String }, // tiny WebP data URI
+      // Perceptual hash for spotting the same photo on other listings (see utils/imageHash.js)
+      phash: { type: String },
+      phashBands: { type: [String], default: undefined },
     }
   ],
   thumbnail: {
@@ -29,14 +61,24 @@ const roomSchema = new mongoose.Schema({
     },
     coordinates: {
       type: [Number], // [lng, lat]
-      required: true,
+      required: requiredUnlessDraft,
     },
     fullAddress: { type: String, default: "" },
   },
+  // 'approximate': the public sees a ~500 m grid cell and the locality, people the owner is
+  // chatting with the real pin (see services/locationPrivacyService.js)
+  locationPrivacy: { type: String, enum: ["approximate", "exact"], default: "approximate" },
+  // Where searches see the room: the approximate cell centre, or the pin for 'exact' rooms.
+  // Derived with the search fields - map and radius queries filter on this, never on location
+  publicLocation: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined }, // [lng, lat]
+  },
 
   // ===== Contact =====
+  // Never sent with the listing - inquirers get it through a phone reveal (routes/phoneRevealRoutes.js)
   contactPhone: { type: String, default: "" },
-  showPhonePublic: { type: Boolean, default: false },
+  showPhonePublic: { type: Boolean, default: false }, // reveal requests for this listing are approved automatically
 
   // ===== Financial / Common =====
   monthlyRent: { type: Number },
@@ -96,6 +138,21 @@ const roomSchema = new mongoose.Schema({
   expiryDate: { type: Date, default: () => Date.now() + 30 * 24 * 60 * 60 * 1000 }, // 30 days
   isBlocked: { type: Boolean, default: false },
   isActive: { type: Boolean, default: true },
+  // Photos match another user's listing - a fake_listing report is filed for moderators
+  duplicatePhotosFlagged: { type: Boolean, default: false },
+  // Photo GPS puts them far from the listing's pin - a wrong_info report is filed for moderators
+  photoLocationFlagged: { type: Boolean, default: false },
+
+  // ===== Lifecycle (isActive / isDraft / isDeleted are kept in step for existing queries) =====
+  // 'expired' is never stored - it's read off expiryDate (see listingStatus)
+  status: { type: String, enum: LISTING_STATUSES, default: "active" },
+  statusChangedAt: { type: Date, default: null },
+  rentedAt: { type: Date, default: null },
+  relistedAt: { type: Date, default: null }, // back up after being rented - time to rent counts from here
+
+  // ===== Drafts (multi-step posting - hidden everywhere until published) =====
+  isDraft: { type: Boolean, default: false },
+  publishedAt: { type: Date, default: Date.now }, // null while a draft
 
   // ===== ADD THESE 3 FIELDS FOR SOFT DELETE =====
   isDeleted: {
@@ -109,15 +166,45 @@ const roomSchema = new mongoose.Schema({
   deleteExpiresAt: {
     type: Date,
     default: null
-  }
+  },
+
+  // ===== Search (derived from title / description / address / amenities - see utils/searchText.js) =====
+  searchTokens: { type: [String], default: [], select: false },
+  searchGrams: { type: [String], default: [], select: false },
 
 }, { timestamps: true });
 
 // ===== Geospatial index =====
 roomSchema.index({ location: "2dsphere" });
+// Two 2dsphere indexes - every $geoNear names its key
+roomSchema.index({ publicLocation: "2dsphere" });
+
+// ===== Autocomplete (anchored prefix regex on searchTokens) =====
+roomSchema.index({ searchTokens: 1 });
+
+// ===== Owner's drafts, and stale drafts for AutoCleanupService =====
+roomSchema.index({ isDraft: 1, createdBy: 1, updatedAt: -1 });
+
+// ===== Duplicate photo lookup (hash band keys - see utils/imageHash.js) =====
+roomSchema.index({ "images.phashBands": 1 });
+
+// ===== Keep search fields in sync on create / save =====
+roomSchema.pre("save", function(next) {
+  // A draft without a location yet must not store a half-built GeoJSON point - 2dsphere would reject it
+  if (this.isDraft && this.location?.coordinates?.length !== 2) {
+    this.location = undefined;
+  }
+
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    Object.assign(this, buildSearchFields(this));
+  }
+  next();
+});
 
 // ===== Optional: Category-specific validation =====
 roomSchema.pre("validate", function(next) {
+  if (this.isDraft) return next(); // checked on publish
+
   if (this.category === "shared") {
     if (!this.roommatesWanted) this.invalidate("roommatesWanted", "Required for shared room");
   } else if (this.category === "pg_hostel") {
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+
+const savedSearchSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60,
+    default: ''
+  },
+  // Same meaning as getRooms' lat/lng + radiusKm
+  center: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lng, lat]
+  },
+  radiusKm: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 45
+  },
+  category: {
+    type: String,
+    enum: ['shared', 'pg_hostel', 'flat_home', 'all'],
+    default: 'all'
+  },
+  // getRooms' `filters` JSON, as the app sent it
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: ALERT_FREQUENCIES,
+    default: 'daily'
+  },
+  // Rooms published after this haven't been alerted yet
+  lastNotifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedSearchSchema.index({ owner: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastNotifiedAt: 1 });
+
+export default mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,60 @@
+// models/Session.js - one document per logged-in device
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Push token registered from this device - cleared from the user on logout
+  expoPushToken: {
+    type: String,
+    default: null
+  },
+  // sha256 of the CURRENT refresh token - raw tokens are never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'replaced', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ userId: 1, deviceId: 1 });
+
+// Mongo drops sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Session || mongoose.model('Session', sessionSchema);
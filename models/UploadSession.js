@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const UPLOAD_PURPOSES = ['room', 'profile'];
+
+// open -> queued (app says it's done) -> processing -> done | failed; open sessions nobody completes expire
+export const UPLOAD_SESSION_STATUSES = ['open', 'queued', 'processing', 'done', 'failed', 'expired'];
+
+const uploadedFileSchema = new mongoose.Schema({
+  // Where the app uploads the original - unguessable, under the direct-upload prefix
+  fileName: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'uploaded', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // The version that was there at completion - later overwrites of the name are ignored
+  b2FileId: { type: String },
+  size: { type: Number },
+  // Processed image, once the worker is done with it
+  url: { type: String },
+  error: { type: String }
+});
+
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: UPLOAD_PURPOSES,
+    required: true
+  },
+  // Listing (or draft) the images are for - only for purpose 'room'
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  files: [uploadedFileSchema],
+  status: {
+    type: String,
+    enum: UPLOAD_SESSION_STATUSES,
+    default: 'open'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A worker holds the session until then - a crashed worker's session is picked up again after it
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Upload URLs stop being accepted after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, lockedUntil: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.models.UploadSession || mongoose.model('UploadSession', uploadSessionSchema);
@@ -34,7 +34,7 @@ const chatSchema = new mongoose.Schema({
       },
       messageType: {
         type: String,
-        enum: ['option', 'freetext'],
+        enum: ['option', 'freetext', 'system'], // system: sent for the owner, e.g. when the listing is rented
         default: 'option'
       },
       text: {
@@ -1,10 +1,29 @@
 import mongoose from 'mongoose';
 
+// Photo of the reported room that matches one on another listing
+const photoMatchSchema = new mongoose.Schema({
+  imageUrl: { type: String, required: true },
+  matchedImageUrl: { type: String, required: true },
+  distance: { type: Number, required: true } // differing hash bits, 0 = identical
+}, { _id: false });
+
+// Photo of the reported room taken far from its pin - only the distance is kept, never the coordinates
+const photoLocationSchema = new mongoose.Schema({
+  imageUrl: { type: String, required: true },
+  distanceKm: { type: Number, required: true }
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
+  // 'system' reports are filed automatically (e.g. duplicate photos) and have no reporter
+  source: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user'
+  },
   reporter: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function () { return this.source !== 'system'; },
     index: true
   },
   reportedRoom: {
@@ -44,6 +63,21 @@ const reportSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date,
     default: null
+  },
+  // What an automatic report found
+  evidence: {
+    matchedRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    photoMatches: {
+      type: [photoMatchSchema],
+      default: undefined
+    },
+    photoLocations: {
+      type: [photoLocationSchema],
+      default: undefined
+    }
   }
 }, {
   timestamps: true
@@ -53,6 +87,7 @@ const reportSchema = new mongoose.Schema({
 reportSchema.index({ reportedRoom: 1, status: 1 });
 reportSchema.index({ reporter: 1, createdAt: -1 });
 reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ reportedRoom: 1, 'evidence.matchedRoom': 1 });
 
 // Virtual for readable reason
 reportSchema.virtual('reasonText').get(function() {
@@ -1,10 +1,22 @@
 import mongoose from "mongoose";
 
 const userSchema = new mongoose.Schema({
-  authType: { type: String, enum: ["google"], required: true },
-  googleId: { type: String, unique: true },
-  email: { type: String, required: true },
+  // How the account was first created - see identities for every linked sign-in method
+  authType: { type: String, enum: ["google", "email", "phone"], required: true },
+  googleId: { type: String, unique: true, sparse: true },
+  email: { type: String },
+  phone: { type: String },
+  identities: [{
+    provider: { type: String, enum: ["google", "email", "phone"], required: true },
+    value: { type: String, required: true }, // googleId, normalised email or E.164 phone
+    linkedAt: { type: Date, default: Date.now }
+  }],
   name: String,
+  role: {
+    type: String,
+    enum: ["user", "moderator", "admin"],
+    default: "user"
+  },
   picture: String,
   
   // ✅ NEW PROFILE FIELDS
@@ -24,15 +36,53 @@ const userSchema = new mongoose.Schema({
     lng: Number,
     name: String
   },
-  refreshToken: String,
+
+  // Access tokens issued before this are rejected (set by logout-all)
+  tokensValidAfter: { type: Date, default: null },
 
   expoPushToken: { type: String, default: null },
+  // How requests for this user's listing phone numbers are handled (see models/PhoneReveal.js)
+  phoneRevealMode: { type: String, enum: ["ask", "auto"], default: "ask" },
   notificationSettings: {
     chatMessages: { type: Boolean, default: true },
     sound: { type: Boolean, default: true },
     vibration: { type: Boolean, default: true }
-  }
+  },
+
+  // ===== Account deletion (purged by AutoCleanupService after deleteExpiresAt) =====
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deleteExpiresAt: { type: Date, default: null }
 }, { timestamps: true });
 
+userSchema.index({ isDeleted: 1, deleteExpiresAt: 1 });
+// googleIds, emails and E.164 numbers never collide, so value alone is unique
+userSchema.index(
+  { "identities.value": 1 },
+  { unique: true, partialFilterExpression: { "identities.value": { $exists: true } } }
+);
+
+// Fields that identified users before identities existed (Google accounts)
+const LEGACY_IDENTITY_FIELDS = { google: "googleId", email: "email", phone: "phone" };
+
+userSchema.statics.findByIdentity = function (provider, value) {
+  return this.findOne({
+    $or: [
+      { identities: { $elemMatch: { provider, value } } },
+      { [LEGACY_IDENTITY_FIELDS[provider]]: value }
+    ]
+  });
+};
+
+// Adds the identity (and fills the matching profile field) - caller saves
+userSchema.methods.addIdentity = function (provider, value) {
+  const exists = this.identities.some(i => i.provider === provider && i.value === value);
+  if (!exists) this.identities.push({ provider, value });
+
+  const field = LEGACY_IDENTITY_FIELDS[provider];
+  if (!this[field]) this[field] = value;
+  return this;
+};
+
 const User = mongoose.model("User", userSchema);
 export default User;
\ No newline at end of file
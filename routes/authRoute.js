@@ -1,18 +1,82 @@
 import express from "express";
-import { googleLogin, updateLocation } from "../controllers/auth_controller.js";
-import { refreshAccessToken } from "../controllers/token_controller.js";
+import rateLimit from "express-rate-limit";
+import {
+  getIdentities,
+  googleLogin,
+  linkGoogle,
+  requestLinkOtp,
+  requestLoginOtp,
+  unlinkIdentity,
+  updateLocation,
+  verifyLinkOtp,
+  verifyLoginOtp,
+} from "../controllers/auth_controller.js";
+import { listSessions, logout, logoutAll, refreshAccessToken, revokeSession } from "../controllers/token_controller.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { rateLimitHandler } from "../middlewares/errorHandler.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  getIdentitiesSchema,
+  googleLoginSchema,
+  linkGoogleSchema,
+  listSessionsSchema,
+  logoutAllSchema,
+  logoutSchema,
+  refreshSchema,
+  requestLinkOtpSchema,
+  requestLoginOtpSchema,
+  revokeSessionSchema,
+  testSchema,
+  unlinkIdentitySchema,
+  updateLocationSchema,
+  verifyLinkOtpSchema,
+  verifyLoginOtpSchema,
+} from "../validators/authValidators.js";
 
 const router = express.Router();
 
-router.post("/google-login", googleLogin);
+// Per-IP limits on top of the per-email/phone limits in otpService
+const otpRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  handler: rateLimitHandler("Too many code requests, please try again later"),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  handler: rateLimitHandler("Too many attempts, please try again later"),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.post("/google-login", validate(googleLoginSchema), googleLogin);
 
-router.get("/test", (req, res) => {
+// Email / phone one-time code login
+router.post("/:channel(email|phone)/request-otp", otpRequestLimiter, validate(requestLoginOtpSchema), requestLoginOtp);
+router.post("/:channel(email|phone)/verify-otp", otpVerifyLimiter, validate(verifyLoginOtpSchema), verifyLoginOtp);
+
+// Account linking
+router.get("/identities", authMiddleware, validate(getIdentitiesSchema), getIdentities);
+router.post("/link/google", authMiddleware, validate(linkGoogleSchema), linkGoogle);
+router.post("/link/:channel(email|phone)/request-otp", authMiddleware, otpRequestLimiter, validate(requestLinkOtpSchema), requestLinkOtp);
+router.post("/link/:channel(email|phone)/verify-otp", authMiddleware, otpVerifyLimiter, validate(verifyLinkOtpSchema), verifyLinkOtp);
+router.delete("/identities/:identityId", authMiddleware, validate(unlinkIdentitySchema), unlinkIdentity);
+
+router.get("/test", validate(testSchema), (req, res) => {
   res.json({ success: true, message: "Backend is working 🚀" });
 });
 
-router.put("/update-location",authMiddleware,updateLocation );
+router.put("/update-location", authMiddleware, validate(updateLocationSchema), updateLocation);
+
+router.post("/refresh", validate(refreshSchema), refreshAccessToken);
+
+router.post("/logout", authMiddleware, validate(logoutSchema), logout);
+router.post("/logout-all", authMiddleware, validate(logoutAllSchema), logoutAll);
 
-router.post("/refresh",refreshAccessToken );
+router.get("/sessions", authMiddleware, validate(listSessionsSchema), listSessions);
+router.delete("/sessions/:sessionId", authMiddleware, validate(revokeSessionSchema), revokeSession);
 
 export default router;
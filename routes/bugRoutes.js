@@ -1,30 +1,55 @@
 import express from 'express';
-import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.js';
 import BugReport from '../models/BugReport.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { NotFoundError } from '../utils/errors.js';
+import { listBugsSchema, resolveBugSchema, submitBugSchema } from '../validators/bugValidators.js';
 
 const router = express.Router();
 
 // Submit a bug report
-router.post('/submit', authMiddleware, async (req, res) => {
-  try {
-    const { description } = req.body;
+router.post('/submit', authMiddleware, validate(submitBugSchema), asyncHandler(async (req, res) => {
+  const { description } = req.body;
 
-    if (!description || !description.trim()) {
-      return res.status(400).json({ success: false, message: 'Bug description is required' });
-    }
+  const bug = new BugReport({
+    userId: req.user?._id,
+    description,
+  });
 
-    const bug = new BugReport({
-      userId: req.user?._id,
-      description,
-    });
+  await bug.save();
 
-    await bug.save();
+  res.json({ success: true, message: 'Bug report submitted successfully', bug });
+}));
 
-    res.json({ success: true, message: 'Bug report submitted successfully', bug });
-  } catch (error) {
-    console.error('Bug report error:', error);
-    res.status(500).json({ success: false, message: 'Failed to submit bug report' });
+// Get all bug reports (moderators + admins)
+router.get('/admin/all', authMiddleware, requireRole('moderator', 'admin'), validate(listBugsSchema), asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.resolved !== undefined) {
+    query.resolved = req.query.resolved;
   }
-});
+
+  const bugs = await BugReport.find(query)
+    .populate('userId', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  res.json({ success: true, bugs });
+}));
+
+// Mark a bug report as resolved / unresolved (moderators + admins)
+router.patch('/admin/:bugId/resolve', authMiddleware, requireRole('moderator', 'admin'), validate(resolveBugSchema), asyncHandler(async (req, res) => {
+  const { resolved = true } = req.body;
+
+  const bug = await BugReport.findByIdAndUpdate(
+    req.params.bugId,
+    { resolved },
+    { new: true }
+  );
+
+  if (!bug) throw new NotFoundError('Bug report not found');
+
+  res.json({ success: true, bug });
+}));
 
 export default router;
@@ -1,332 +1,407 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Room from '../models/RoomSchema.js';
-import { authMiddleware } from '../middlewares/authMiddleware.js';
+import RoomRevision from '../models/RoomRevision.js';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.js';
 import ChatRoom from '../models/RoomChatmodal.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { pageOf, sortSpec, withCursor } from '../utils/pagination.js';
+import { recordRoomChangesInBackground } from '../services/roomHistoryService.js';
+import { applyListingStatus, closeInquiries, listingStatus } from '../services/listingStatusService.js';
+import {
+  deletePostSchema,
+  listingStatusSchema,
+  postHistorySchema,
+  myPostsSchema,
+  myPostsStatsSchema,
+  postDetailsSchema,
+  renewPostSchema,
+  toggleStatusSchema,
+} from '../validators/myPostsValidators.js';
 const router = express.Router();
 
-// ✅ GET user's posts with pagination and filtering
-router.get('/my-posts', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    const status = req.query.status; // active, inactive, all
-    const category = req.query.category; // shared, pg_hostel, flat_home
-
-    console.log(`📝 Fetching posts for user: ${userId}, Status: ${status}, Category: ${category}`);
-
-    // Build query - EXCLUDE DELETED POSTS
-    let query = { 
-      createdBy: userId,
-      isDeleted: { $ne: true } // This excludes soft-deleted posts
-    };
-    
-    // Filter by status
-    if (status && status !== 'all') {
-      if (status === 'active') {
-        query.isActive = true;
-      } else if (status === 'inactive') {
-        query.isActive = false;
+// Newest first
+const MY_POSTS_SORT = [['createdAt', -1], ['_id', -1]];
+const HISTORY_SORT = [['createdAt', -1], ['_id', -1]];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from going up (or back up) to being rented, over an owner's rented posts
+const timeToRent = async (ownerId) => {
+  const [result] = await Room.aggregate([
+    { $match: { createdBy: ownerId, status: 'rented', isDeleted: { $ne: true }, rentedAt: { $ne: null } } },
+    {
+      $project: {
+        days: {
+          $divide: [
+            { $subtract: ['$rentedAt', { $ifNull: ['$relistedAt', { $ifNull: ['$publishedAt', '$createdAt'] }] }] },
+            DAY_MS
+          ]
+        }
       }
-    }
+    },
+    { $group: { _id: null, rented: { $sum: 1 }, averageDays: { $avg: '$days' }, fastestDays: { $min: '$days' }, slowestDays: { $max: '$days' } } }
+  ]);
+
+  const round = (days) => Math.round(days * 10) / 10;
+  return result
+    ? { rented: result.rented, averageDays: round(result.averageDays), fastestDays: round(result.fastestDays), slowestDays: round(result.slowestDays) }
+    : { rented: 0, averageDays: null, fastestDays: null, slowestDays: null };
+};
+
+// A page of a post's revisions, newest first
+const historyPage = async (postId, { cursor, limit = 20 }) => {
+  const rows = await RoomRevision.find(withCursor({ room: postId }, HISTORY_SORT, cursor))
+    .populate('editedBy', 'name picture')
+    .sort(sortSpec(HISTORY_SORT))
+    .limit(limit + 1);
+  return pageOf(rows, limit, HISTORY_SORT);
+};
 
-    // Filter by category
-    if (category && category !== 'all') {
-      query.category = category;
+// ✅ GET user's posts with pagination and filtering
+router.get('/my-posts', authMiddleware, validate(myPostsSchema), asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { cursor } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = cursor ? 0 : (page - 1) * limit;
+  const status = req.query.status; // active, inactive, paused, rented, expired, all
+  const category = req.query.category; // shared, pg_hostel, flat_home
+
+  logger.debug('Fetching my posts', { status, category, page });
+
+  // Build query - EXCLUDE DELETED POSTS
+  let query = { 
+    createdBy: userId,
+    isDeleted: { $ne: true }, // This excludes soft-deleted posts
+    isDraft: { $ne: true } // Drafts have their own list (/api/drafts)
+  };
+  
+  // Filter by status
+  if (status && status !== 'all') {
+    if (status === 'active') {
+      query.isActive = true;
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'rented') {
+      query.status = 'rented';
+    } else if (status === 'paused') {
+      query.isActive = false;
+      query.status = { $ne: 'rented' };
+    } else if (status === 'expired') {
+      query.isActive = true;
+      query.$nor = [{ category: 'pg_hostel' }]; // PG/Hostel posts never expire
+      query.expiryDate = { $lte: new Date() };
     }
+  }
 
-    const posts = await Room.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Room.countDocuments(query);
-
-    console.log(`✅ Found ${posts.length} posts for user ${userId}`);
-
-    res.json({
-      success: true,
-      posts: posts,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error fetching user posts:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch your posts',
-      error: error.message
-    });
+  // Filter by category
+  if (category && category !== 'all') {
+    query.category = category;
   }
-});
+
+  const rows = await Room.find(withCursor(query, MY_POSTS_SORT, cursor))
+    .sort(sortSpec(MY_POSTS_SORT))
+    .skip(skip)
+    .limit(limit + 1);
+  const { items: posts, hasMore, nextCursor } = pageOf(rows, limit, MY_POSTS_SORT);
+
+  const total = await Room.countDocuments(query);
+
+  logger.debug('Fetched my posts', { count: posts.length, total });
+
+  res.json({
+    success: true,
+    posts: posts.map(post => ({ ...post.toObject(), status: listingStatus(post) })),
+    hasMore,
+    nextCursor,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      nextCursor
+    }
+  });
+}));
 
 // ✅ GET post statistics
-router.get('/my-posts-stats', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    const stats = await Room.aggregate([
-      {
-        $match: { createdBy: mongoose.Types.ObjectId(userId) }
-      },
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          totalViews: { $sum: '$views' },
-          totalLikes: { $sum: { $size: '$likes' } },
-          totalFavorites: { $sum: { $size: '$favorites' } }
-        }
-      }
-    ]);
-
-    const totalPosts = await Room.countDocuments({ createdBy: userId });
-    const activePosts = await Room.countDocuments({ 
-      createdBy: userId, 
-      isActive: true 
-    });
-    const inactivePosts = await Room.countDocuments({ 
-      createdBy: userId, 
-      isActive: false 
-    });
-
-    // Calculate expiring soon (within 7 days)
-    // ⚠️ EXCLUDE PG/HOSTEL CATEGORY - no expiry for pg_hostel
-    const sevenDaysFromNow = new Date();
-    sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
-
-    const expiringSoon = await Room.countDocuments({
-      createdBy: userId,
-      isActive: true,
-      category: { $ne: 'pg_hostel' }, // Exclude PG/Hostel from expiry
-      expiryDate: {
-        $lte: sevenDaysFromNow,
-        $gte: new Date()
+router.get('/my-posts-stats', authMiddleware, validate(myPostsStatsSchema), asyncHandler(async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(String(req.user._id));
+
+  const stats = await Room.aggregate([
+    {
+      $match: { createdBy: userId, isDraft: { $ne: true } }
+    },
+    {
+      $group: {
+        _id: '$category',
+        count: { $sum: 1 },
+        totalViews: { $sum: '$views' },
+        totalLikes: { $sum: { $size: '$likes' } },
+        totalFavorites: { $sum: { $size: '$favorites' } }
       }
-    });
-
-    res.json({
-      success: true,
-      stats: {
-        total: totalPosts,
-        active: activePosts,
-        inactive: inactivePosts,
-        expiringSoon: expiringSoon,
-        byCategory: stats,
-        summary: {
-          totalViews: stats.reduce((sum, cat) => sum + cat.totalViews, 0),
-          totalLikes: stats.reduce((sum, cat) => sum + cat.totalLikes, 0),
-          totalFavorites: stats.reduce((sum, cat) => sum + cat.totalFavorites, 0)
-        }
+    }
+  ]);
+
+  const totalPosts = await Room.countDocuments({ createdBy: userId, isDraft: { $ne: true } });
+  const activePosts = await Room.countDocuments({ 
+    createdBy: userId, 
+    isDraft: { $ne: true },
+    isActive: true 
+  });
+  const inactivePosts = await Room.countDocuments({ 
+    createdBy: userId, 
+    isDraft: { $ne: true },
+    isActive: false 
+  });
+  const drafts = await Room.countDocuments({ createdBy: userId, isDraft: true });
+  const rentTimes = await timeToRent(userId);
+
+  // Calculate expiring soon (within 7 days)
+  // ⚠️ EXCLUDE PG/HOSTEL CATEGORY - no expiry for pg_hostel
+  const sevenDaysFromNow = new Date();
+  sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
+
+  const expiringSoon = await Room.countDocuments({
+    createdBy: userId,
+    isActive: true,
+    category: { $ne: 'pg_hostel' }, // Exclude PG/Hostel from expiry
+    expiryDate: {
+      $lte: sevenDaysFromNow,
+      $gte: new Date()
+    }
+  });
+
+  res.json({
+    success: true,
+    stats: {
+      total: totalPosts,
+      active: activePosts,
+      inactive: inactivePosts,
+      drafts,
+      rented: rentTimes.rented,
+      expiringSoon: expiringSoon,
+      timeToRent: rentTimes,
+      byCategory: stats,
+      summary: {
+        totalViews: stats.reduce((sum, cat) => sum + cat.totalViews, 0),
+        totalLikes: stats.reduce((sum, cat) => sum + cat.totalLikes, 0),
+        totalFavorites: stats.reduce((sum, cat) => sum + cat.totalFavorites, 0)
       }
-    });
-
-  } catch (error) {
-    console.error('❌ Error fetching post stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch post statistics',
-      error: error.message
-    });
-  }
-});
+    }
+  });
+}));
 
 // ✅ TOGGLE post active status
-router.patch('/my-posts/:postId/toggle-status', authMiddleware, async (req, res) => {
-  try {
-    const { postId } = req.params;
-    const userId = req.user._id;
-
-    const post = await Room.findOne({
-      _id: postId,
-      createdBy: userId
-    });
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found or access denied'
-      });
+router.patch('/my-posts/:postId/toggle-status', authMiddleware, validate(toggleStatusSchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const userId = req.user._id;
+
+  // Drafts only go live through POST /api/drafts/:roomId/publish (images, thumbnail, publishedAt)
+  const post = await Room.findOne({
+    _id: postId,
+    createdBy: userId,
+    isDraft: { $ne: true }
+  });
+
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  // Toggle status - active pauses, anything else goes (back) up
+  const before = post.toObject();
+  applyListingStatus(post, listingStatus(post) === 'active' ? 'paused' : 'active');
+  await post.save();
+
+  recordRoomChangesInBackground({ before, after: post.toObject(), editedBy: userId, action: 'toggle_status' });
+
+  res.json({
+    success: true,
+    message: `Post ${post.isActive ? 'activated' : 'deactivated'} successfully`,
+    post: {
+      _id: post._id,
+      isActive: post.isActive,
+      status: post.status,
+      title: post.title
+    }
+  });
+}));
+
+// ✅ SET post status (active / paused / rented) - marking it rented closes its pending chats
+router.patch('/my-posts/:postId/status', authMiddleware, validate(listingStatusSchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { status } = req.body;
+  const userId = req.user._id;
+
+  const post = await Room.findOne({
+    _id: postId,
+    createdBy: userId,
+    isDraft: { $ne: true }
+  });
+
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  const before = post.toObject();
+  const previousStatus = applyListingStatus(post, status);
+  await post.save();
+
+  // Before the revision is recorded, so its push doesn't also go to the chats being closed
+  let closedChats = 0;
+  if (status === 'rented') {
+    try {
+      closedChats = await closeInquiries(post);
+    } catch (error) {
+      logger.error('Closing chats for rented post failed', { err: error, postId });
     }
-
-    // Toggle status
-    post.isActive = !post.isActive;
-    await post.save();
-
-    res.json({
-      success: true,
-      message: `Post ${post.isActive ? 'activated' : 'deactivated'} successfully`,
-      post: {
-        _id: post._id,
-        isActive: post.isActive,
-        title: post.title
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error toggling post status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update post status',
-      error: error.message
-    });
   }
-});
+
+  recordRoomChangesInBackground({ before, after: post.toObject(), editedBy: userId, action: 'status' });
+
+  res.json({
+    success: true,
+    message: `Post marked as ${status}`,
+    previousStatus,
+    closedChats,
+    post: {
+      _id: post._id,
+      status: post.status,
+      statusChangedAt: post.statusChangedAt,
+      rentedAt: post.rentedAt,
+      isActive: post.isActive,
+      expiryDate: post.expiryDate,
+      title: post.title
+    }
+  });
+}));
 
 
 // ✅ RENEW post (extend expiry date)
 // ⚠️ PG/HOSTEL CATEGORY cannot be renewed (no expiry)
-router.patch('/my-posts/:postId/renew', authMiddleware, async (req, res) => {
-  try {
-    const { postId } = req.params;
-    const userId = req.user._id;
-
-    const post = await Room.findOne({
-      _id: postId,
-      createdBy: userId
-    });
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found or access denied'
-      });
-    }
+router.patch('/my-posts/:postId/renew', authMiddleware, validate(renewPostSchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const userId = req.user._id;
 
-    // ⚠️ PREVENT RENEWAL OF PG/HOSTEL POSTS
-    if (post.category === 'pg_hostel') {
-      return res.status(400).json({
-        success: false,
-        message: 'PG/Hostel posts do not have expiry and cannot be renewed'
-      });
-    }
+  const post = await Room.findOne({
+    _id: postId,
+    createdBy: userId,
+    isDraft: { $ne: true }
+  });
 
-    // Extend by 30 days from now
-    const newExpiryDate = new Date();
-    newExpiryDate.setDate(newExpiryDate.getDate() + 30);
-
-    post.expiryDate = newExpiryDate;
-    post.isActive = true; // Ensure it's active after renewal
-    await post.save();
-
-    res.json({
-      success: true,
-      message: 'Post renewed successfully for 30 days',
-      post: {
-        _id: post._id,
-        expiryDate: post.expiryDate,
-        isActive: post.isActive,
-        title: post.title
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error renewing post:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to renew post',
-      error: error.message
-    });
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  // ⚠️ PREVENT RENEWAL OF PG/HOSTEL POSTS
+  if (post.category === 'pg_hostel') {
+    throw new BadRequestError('PG/Hostel posts do not have expiry and cannot be renewed');
   }
-});
+
+  // Extend by 30 days from now
+  const newExpiryDate = new Date();
+  newExpiryDate.setDate(newExpiryDate.getDate() + 30);
+
+  const before = post.toObject();
+  post.expiryDate = newExpiryDate;
+  // Ensure it's active after renewal
+  if (listingStatus(post) !== 'active') applyListingStatus(post, 'active');
+  await post.save();
+
+  recordRoomChangesInBackground({ before, after: post.toObject(), editedBy: userId, action: 'renew' });
+
+  res.json({
+    success: true,
+    message: 'Post renewed successfully for 30 days',
+    post: {
+      _id: post._id,
+      expiryDate: post.expiryDate,
+      isActive: post.isActive,
+      status: post.status,
+      title: post.title
+    }
+  });
+}));
 
 
 // ✅ DELETE user's post
-router.delete('/my-posts/:postId', authMiddleware, async (req, res) => {
-  try {
-    const { postId } = req.params;
-    const userId = req.user._id;
-
-    // Find the post first to verify ownership
-    const post = await Room.findOne({
-      _id: postId,
-      createdBy: userId
-    });
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found or access denied'
-      });
+router.delete('/my-posts/:postId', authMiddleware, validate(deletePostSchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const userId = req.user._id;
+
+  // Find the post first to verify ownership
+  const post = await Room.findOne({
+    _id: postId,
+    createdBy: userId
+  });
+
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  // Instead of deleting, mark the post as removed - it's purged 3 days after deletedAt
+  const before = post.toObject();
+  applyListingStatus(post, 'removed');
+  await post.save();
+
+  // Mark all associated chat rooms as deleted
+  await ChatRoom.updateMany(
+    { productId: postId },
+    {
+      isDeleted: true,
+      deletedAt: new Date(),
+      deleteExpiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+      status: 'expired' // Change status to expired
     }
+  );
 
-    // Instead of deleting, mark the post as deleted with expiry date
-    const deletedPost = await Room.findByIdAndUpdate(
-      postId,
-      {
-        isDeleted: true,
-        deletedAt: new Date(),
-        deleteExpiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000) // 3 days from now
-      },
-      { new: true }
-    );
-
-    // Mark all associated chat rooms as deleted
-    await ChatRoom.updateMany(
-      { productId: postId },
-      {
-        isDeleted: true,
-        deletedAt: new Date(),
-        deleteExpiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
-        status: 'expired' // Change status to expired
-      }
-    );
-
-    res.json({
-      success: true,
-      message: 'Post marked as deleted. Associated chats will be removed in 3 days.',
-      postId: postId,
-      deletedAt: deletedPost.deletedAt
-    });
-
-  } catch (error) {
-    console.error('❌ Error soft deleting post:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to delete post',
-      error: error.message
-    });
-  }
-});
+  recordRoomChangesInBackground({ before, after: post.toObject(), editedBy: userId, action: 'delete' });
 
+  res.json({
+    success: true,
+    message: 'Post marked as deleted. Associated chats will be removed in 3 days.',
+    postId: postId,
+    deletedAt: post.deletedAt
+  });
+}));
 
-// ✅ GET single post details (for editing)
-router.get('/my-posts/:postId/details', authMiddleware, async (req, res) => {
-  try {
-    const { postId } = req.params;
-    const userId = req.user._id;
-
-    const post = await Room.findOne({
-      _id: postId,
-      createdBy: userId
-    });
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found or access denied'
-      });
-    }
 
-    res.json({
-      success: true,
-      post: post
-    });
-
-  } catch (error) {
-    console.error('❌ Error fetching post details:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch post details',
-      error: error.message
-    });
-  }
-});
+// ✅ GET a post's edit history - who changed what, from what, to what
+router.get('/my-posts/:postId/history', authMiddleware, validate(postHistorySchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await Room.exists({ _id: postId, createdBy: req.user._id });
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  const { items: revisions, hasMore, nextCursor } = await historyPage(postId, req.query);
+
+  res.json({ success: true, revisions, hasMore, nextCursor });
+}));
+
+// ✅ GET any post's edit history (MODERATORS + ADMINS)
+router.get('/admin/:postId/history', authMiddleware, requireRole('moderator', 'admin'), validate(postHistorySchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await Room.findById(postId).select('title createdBy').lean();
+  if (!post) throw new NotFoundError('Post not found');
+
+  const { items: revisions, hasMore, nextCursor } = await historyPage(postId, req.query);
+
+  res.json({ success: true, post, revisions, hasMore, nextCursor });
+}));
+
+// ✅ GET single post details (for editing)
+router.get('/my-posts/:postId/details', authMiddleware, validate(postDetailsSchema), asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const userId = req.user._id;
+
+  const post = await Room.findOne({
+    _id: postId,
+    createdBy: userId
+  });
+
+  if (!post) throw new NotFoundError('Post not found or access denied');
+
+  res.json({
+    success: true,
+    post: post
+  });
+}));
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,10 @@
 import express from 'express';
 import Razorpay from 'razorpay';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { UpstreamError } from '../utils/errors.js';
+import { createPaymentOrderSchema, verifyPaymentSchema } from '../validators/paymentValidators.js';
 
 const router = express.Router();
 
@@ -10,58 +15,39 @@ const razorpay = new Razorpay({
 });
 
 // ✅ Create Razorpay Order
-router.post('/create-order', async (req, res) => {
+router.post('/create-order', validate(createPaymentOrderSchema), asyncHandler(async (req, res) => {
+  const { amount } = req.body; // ₹10 - ₹50,000, checked by the schema
+
+  const orderOptions = {
+    amount: amount * 100, // Convert to paise
+    currency: 'INR',
+    receipt: `steya_${Date.now()}`,
+    notes: {
+      purpose: 'Steya Donation',
+    },
+  };
+
+  let order;
   try {
-    const { amount } = req.body;
-
-    // Basic validation
-    if (!amount || amount < 10 || amount > 50000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid amount. Must be between ₹10 and ₹50,000',
-      });
-    }
-
-    const orderOptions = {
-      amount: amount * 100, // Convert to paise
-      currency: 'INR',
-      receipt: `steya_${Date.now()}`,
-      notes: {
-        purpose: 'Steya Donation',
-      },
-    };
-
-    const order = await razorpay.orders.create(orderOptions);
-
-    res.json({
-      success: true,
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      keyId: process.env.RAZORPAY_KEY_ID ,
-    });
-
+    order = await razorpay.orders.create(orderOptions);
   } catch (error) {
-    console.error('Order creation failed:', error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create order',
-    });
+    throw new UpstreamError('Failed to create order', { cause: error });
   }
-});
+
+  res.json({
+    success: true,
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    keyId: process.env.RAZORPAY_KEY_ID ,
+  });
+}));
 
 // ✅ Verify Payment Status
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate(verifyPaymentSchema), async (req, res) => {
   try {
     const { orderId } = req.body;
 
-    if (!orderId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order ID is required',
-      });
-    }
-
     // Fetch payment details
     const payments = await razorpay.orders.fetchPayments(orderId);
 
@@ -94,7 +80,7 @@ router.post('/verify', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Verification error:', error.message);
+    logger.warn('Payment verification failed, reporting pending', { err: error, orderId: req.body.orderId });
     
     // Return pending status instead of error to allow retries
     res.json({
@@ -0,0 +1,81 @@
+// routes/phoneRevealRoutes.js - asking for (and sharing) a listing owner's phone number
+import express from 'express';
+import PhoneReveal from '../models/PhoneReveal.js';
+import User from '../models/userModal.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { NotFoundError } from '../utils/errors.js';
+import { decidePhoneReveal, requestPhoneReveal, revealPhone } from '../services/phoneRevealService.js';
+import {
+  decidePhoneRevealSchema,
+  getPhoneRevealSettingsSchema,
+  listIncomingRevealsSchema,
+  phoneRevealByIdSchema,
+  requestPhoneRevealSchema,
+  updatePhoneRevealSettingsSchema,
+} from '../validators/phoneRevealValidators.js';
+
+const router = express.Router();
+
+const INCOMING_LIMIT = 50;
+
+// ✅ ASK FOR THE OWNER'S NUMBER - `phone` is included once the request is approved
+router.post('/', authMiddleware, validate(requestPhoneRevealSchema), asyncHandler(async (req, res) => {
+  const { reveal, created } = await requestPhoneReveal({ roomId: req.body.roomId, requesterId: req.user._id });
+  const phone = await revealPhone(reveal, 'api');
+
+  res.status(created ? 201 : 200).json({ success: true, reveal, phone });
+}));
+
+// ✅ REQUESTS FOR THE CALLER'S NUMBERS - who asked, who got it and how often
+router.get('/incoming', authMiddleware, validate(listIncomingRevealsSchema), asyncHandler(async (req, res) => {
+  const filter = { owner: req.user._id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const reveals = await PhoneReveal.find(filter)
+    .populate('requester', 'name picture')
+    .populate('room', 'title')
+    .sort({ createdAt: -1 })
+    .limit(INCOMING_LIMIT);
+
+  res.json({ success: true, reveals });
+}));
+
+// ✅ AUTO-APPROVE OR ASK EVERY TIME
+router.get('/settings', authMiddleware, validate(getPhoneRevealSettingsSchema), asyncHandler(async (req, res) => {
+  res.json({ success: true, mode: req.user.phoneRevealMode });
+}));
+
+// Only requests made from now on - pending ones still wait for a decision
+router.put('/settings', authMiddleware, validate(updatePhoneRevealSettingsSchema), asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { phoneRevealMode: req.body.mode } });
+
+  res.json({ success: true, mode: req.body.mode });
+}));
+
+// ✅ ONE REQUEST - the requester gets the number once approved
+router.get('/:revealId', authMiddleware, validate(phoneRevealByIdSchema), asyncHandler(async (req, res) => {
+  const reveal = await PhoneReveal.findOne({
+    _id: req.params.revealId,
+    $or: [{ requester: req.user._id }, { owner: req.user._id }],
+  });
+  if (!reveal) throw new NotFoundError('Request not found');
+
+  const phone = reveal.requester.equals(req.user._id) ? await revealPhone(reveal, 'api') : null;
+
+  res.json({ success: true, reveal, phone });
+}));
+
+// ✅ OWNER APPROVES OR DECLINES
+router.patch('/:revealId', authMiddleware, validate(decidePhoneRevealSchema), asyncHandler(async (req, res) => {
+  const reveal = await decidePhoneReveal({
+    revealId: req.params.revealId,
+    ownerId: req.user._id,
+    approve: req.body.decision === 'approve',
+  });
+
+  res.json({ success: true, reveal });
+}));
+
+export default router;
@@ -1,271 +1,181 @@
 import express from 'express';
 import Report from '../models/report.js';
 import Room from '../models/RoomSchema.js'; // Your room model
-import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { authMiddleware, requireRole } from '../middlewares/authMiddleware.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { pageOf, sortSpec, withCursor } from '../utils/pagination.js';
+import {
+  allReportsSchema,
+  myReportsSchema,
+  reportByIdSchema,
+  reportRoomSchema,
+  updateReportStatusSchema,
+} from '../validators/reportValidators.js';
 
 const router = express.Router();
 
-// ✅ REPORT A ROOM
-router.post('/report-room', authMiddleware, async (req, res) => {
-  try {
-    const { roomId, reason, description } = req.body;
-    const userId = req.user._id;
-
-    console.log(`🚨 REPORT ROOM: User ${userId} → Room ${roomId} - Reason: ${reason}`);
-
-    // Validation
-    if (!roomId || !reason) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Room ID and reason are required' 
-      });
-    }
-
-    const validReasons = [
-      'spam', 'inappropriate', 'misinformation', 
-      'fake_listing', 'already_rented', 'wrong_info', 'other'
-    ];
-
-    if (!validReasons.includes(reason)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid reason provided' 
-      });
-    }
-
-    // Check if room exists
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Room not found' 
-      });
-    }
-
-    // Check if user already reported this room (pending reports only)
-    const existingReport = await Report.findOne({
-      reporter: userId,
-      reportedRoom: roomId,
-      status: 'pending'
-    });
-
-    if (existingReport) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'You have already reported this room. Please wait for review.' 
-      });
-    }
-
-    // Create new report
-    const report = new Report({
-      reporter: userId,
-      reportedRoom: roomId,
-      reason,
-      description: description || ''
-    });
+// Newest first
+const MY_REPORTS_SORT = [['createdAt', -1], ['_id', -1]];
 
-    await report.save();
+// ✅ REPORT A ROOM
+router.post('/report-room', authMiddleware, validate(reportRoomSchema), asyncHandler(async (req, res) => {
+  const { roomId, reason, description } = req.body;
+  const userId = req.user._id;
 
-    // Populate room details for response
-    await report.populate('reportedRoom', 'title thumbnail monthlyRent');
+  logger.info('Room report received', { roomId, reason });
 
-    console.log(`✅ REPORT CREATED: ${report._id}`);
+  // Check if room exists
+  const room = await Room.findById(roomId);
+  if (!room) throw new NotFoundError('Room not found');
 
-    res.status(201).json({
-      success: true,
-      message: 'Room reported successfully. Our team will review it shortly.',
-      report: report
-    });
+  // Check if user already reported this room (pending reports only)
+  const existingReport = await Report.findOne({
+    reporter: userId,
+    reportedRoom: roomId,
+    status: 'pending'
+  });
 
-  } catch (error) {
-    console.error('❌ Error reporting room:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to report room', 
-      error: error.message 
-    });
+  if (existingReport) {
+    throw new ConflictError('You have already reported this room. Please wait for review.');
   }
-});
 
-// ✅ GET USER'S REPORTS
-router.get('/my-reports', authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    console.log(`📋 GET USER REPORTS: User ${userId}`);
+  // Create new report
+  const report = new Report({
+    reporter: userId,
+    reportedRoom: roomId,
+    reason,
+    description: description || ''
+  });
 
-    const reports = await Report.find({ reporter: userId })
-      .populate('reportedRoom', 'title thumbnail monthlyRent')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+  await report.save();
 
-    const total = await Report.countDocuments({ reporter: userId });
+  // Populate room details for response
+  await report.populate('reportedRoom', 'title thumbnail monthlyRent');
 
-    console.log(`✅ REPORTS FETCHED: ${reports.length} items`);
+  logger.info('Room report created', { reportId: report._id, roomId });
 
-    res.json({
-      success: true,
-      reports,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+  res.status(201).json({
+    success: true,
+    message: 'Room reported successfully. Our team will review it shortly.',
+    report: report
+  });
+}));
 
-  } catch (error) {
-    console.error('❌ Error fetching reports:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to fetch reports', 
-      error: error.message 
-    });
-  }
-});
-
-// ✅ GET REPORT BY ID
-router.get('/:reportId', authMiddleware, async (req, res) => {
-  try {
-    const { reportId } = req.params;
-    const userId = req.user._id;
-
-    const report = await Report.findOne({
-      _id: reportId,
-      reporter: userId
-    }).populate('reportedRoom', 'title thumbnail monthlyRent');
-
-    if (!report) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Report not found' 
-      });
+// ✅ GET USER'S REPORTS
+router.get('/my-reports', authMiddleware, validate(myReportsSchema), asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { cursor } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = cursor ? 0 : (page - 1) * limit;
+
+  const rows = await Report.find(withCursor({ reporter: userId }, MY_REPORTS_SORT, cursor))
+    .populate('reportedRoom', 'title thumbnail monthlyRent')
+    .sort(sortSpec(MY_REPORTS_SORT))
+    .skip(skip)
+    .limit(limit + 1);
+  const { items: reports, hasMore, nextCursor } = pageOf(rows, limit, MY_REPORTS_SORT);
+
+  const total = await Report.countDocuments({ reporter: userId });
+
+  res.json({
+    success: true,
+    reports,
+    hasMore,
+    nextCursor,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      nextCursor
     }
+  });
+}));
 
-    res.json({
-      success: true,
-      report
-    });
-
-  } catch (error) {
-    console.error('❌ Error fetching report:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to fetch report', 
-      error: error.message 
-    });
+// ✅ GET REPORT BY ID
+router.get('/:reportId', authMiddleware, validate(reportByIdSchema), asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+  const userId = req.user._id;
+
+  const report = await Report.findOne({
+    _id: reportId,
+    reporter: userId
+  }).populate('reportedRoom', 'title thumbnail monthlyRent');
+
+  if (!report) throw new NotFoundError('Report not found');
+
+  res.json({
+    success: true,
+    report
+  });
+}));
+
+// ✅ GET ALL REPORTS (MODERATORS + ADMINS)
+router.get('/admin/all-reports', authMiddleware, requireRole('moderator', 'admin'), validate(allReportsSchema), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const status = req.query.status; // Optional filter by status
+  const source = req.query.source; // Optional: only user / automatic reports
+
+  let query = {};
+  if (status) {
+    query.status = status;
   }
-});
-
-// ✅ GET ALL REPORTS (ADMIN ONLY)
-router.get('/admin/all-reports', authMiddleware, async (req, res) => {
-  try {
-    // Check if user is admin (you need to implement this check based on your user model)
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
-    }
-
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const status = req.query.status; // Optional filter by status
-
-    let query = {};
-    if (status) {
-      query.status = status;
-    }
-
-    const reports = await Report.find(query)
-      .populate('reporter', 'name email')
-      .populate('reportedRoom', 'title thumbnail monthlyRent')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Report.countDocuments(query);
-
-    res.json({
-      success: true,
-      reports,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Error fetching admin reports:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to fetch reports', 
-      error: error.message 
-    });
+  if (source) {
+    // Reports from before automatic ones existed have no source
+    query.source = source === 'user' ? { $ne: 'system' } : source;
   }
-});
 
-// ✅ UPDATE REPORT STATUS (ADMIN ONLY)
-router.patch('/admin/update-status/:reportId', authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Access denied. Admin only.' 
-      });
+  const reports = await Report.find(query)
+    .populate('reporter', 'name email')
+    .populate('reportedRoom', 'title thumbnail monthlyRent')
+    .populate('evidence.matchedRoom', 'title thumbnail createdBy')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Report.countDocuments(query);
+
+  res.json({
+    success: true,
+    reports,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
     }
-
-    const { reportId } = req.params;
-    const { status, adminNotes } = req.body;
-
-    const validStatuses = ['pending', 'reviewed', 'resolved', 'dismissed'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid status' 
-      });
-    }
-
-    const report = await Report.findByIdAndUpdate(
-      reportId,
-      { 
-        status,
-        adminNotes: adminNotes || '',
-        reviewedAt: new Date()
-      },
-      { new: true }
-    ).populate('reporter', 'name email')
-     .populate('reportedRoom', 'title thumbnail');
-
-    if (!report) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Report not found' 
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Report status updated successfully',
-      report
-    });
-
-  } catch (error) {
-    console.error('❌ Error updating report status:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to update report status', 
-      error: error.message 
-    });
-  }
-});
-
-export default router;
\ No newline at end of file
+  });
+}));
+
+// ✅ UPDATE REPORT STATUS (MODERATORS + ADMINS)
+router.patch('/admin/update-status/:reportId', authMiddleware, requireRole('moderator', 'admin'), validate(updateReportStatusSchema), asyncHandler(async (req, res) => {
+  const { reportId } = req.params;
+  const { status, adminNotes } = req.body;
+
+  const report = await Report.findByIdAndUpdate(
+    reportId,
+    { 
+      status,
+      adminNotes: adminNotes || '',
+      reviewedAt: new Date()
+    },
+    { new: true }
+  ).populate('reporter', 'name email')
+   .populate('reportedRoom', 'title thumbnail');
+
+  if (!report) throw new NotFoundError('Report not found');
+
+  res.json({
+    success: true,
+    message: 'Report status updated successfully',
+    report
+  });
+}));
+
+export default router;
@@ -1,9 +1,47 @@
 // backend/routes/rooms.js
 import express from "express";
 import multer from "multer";
-import { addFavorite, checkFavorite, getFavoriteCount, getMyFavorites, getRoomById, getRooms, removeFavorite, toggleFavorite, updateRoom, uploadRooms } from "../controllers/roomController.js";
-import { authMiddleware } from "../middlewares/authMiddleware.js";
+import {
+  addDraftImage,
+  addFavorite,
+  autocompleteRooms,
+  checkFavorite,
+  createDraft,
+  deleteDraft,
+  getDraft,
+  getFavoriteCount,
+  getMyFavorites,
+  getRoomById,
+  getRooms,
+  listDrafts,
+  publishDraft,
+  removeDraftImage,
+  removeFavorite,
+  toggleFavorite,
+  updateDraft,
+  updateRoom,
+  uploadRooms,
+} from "../controllers/roomController.js";
+import { authMiddleware, optionalAuth } from "../middlewares/authMiddleware.js";
 import { incrementRoomView } from "../controllers/roomController.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  addDraftImageSchema,
+  autocompleteRoomsSchema,
+  createDraftSchema,
+  draftByIdSchema,
+  favoriteBodySchema,
+  favoriteRoomParamsSchema,
+  getRoomByIdSchema,
+  getRoomsSchema,
+  incrementRoomViewSchema,
+  listDraftsSchema,
+  myFavoritesSchema,
+  removeDraftImageSchema,
+  updateDraftSchema,
+  updateRoomSchema,
+  uploadRoomSchema,
+} from "../validators/roomValidators.js";
 const router = express.Router();
 
 // Use memory storage for files
@@ -14,39 +52,50 @@ const upload = multer({ storage });
 router.post("/rooms",authMiddleware,upload.fields([
   { name: 'images', maxCount: 10 },
   { name: 'thumbnail', maxCount: 1 }
-]), uploadRooms);
+]), validate(uploadRoomSchema), uploadRooms);
 
 router.put('/update/:roomId', authMiddleware,upload.fields([
   { name: 'images', maxCount: 10 },
   { name: 'thumbnail', maxCount: 1 }
-]), updateRoom);
+]), validate(updateRoomSchema), updateRoom);
 
+// 📝 Drafts - post step by step: fields, then images one at a time, then publish
+router.get("/drafts", authMiddleware, validate(listDraftsSchema), listDrafts);
+router.post("/drafts", authMiddleware, validate(createDraftSchema), createDraft);
+router.get("/drafts/:roomId", authMiddleware, validate(draftByIdSchema), getDraft);
+router.patch("/drafts/:roomId", authMiddleware, validate(updateDraftSchema), updateDraft);
+router.delete("/drafts/:roomId", authMiddleware, validate(draftByIdSchema), deleteDraft);
+router.post("/drafts/:roomId/images", authMiddleware, upload.single("image"), validate(addDraftImageSchema), addDraftImage);
+router.delete("/drafts/:roomId/images/:imageId", authMiddleware, validate(removeDraftImageSchema), removeDraftImage);
+router.post("/drafts/:roomId/publish", authMiddleware, validate(draftByIdSchema), publishDraft);
 
 
-router.get("/getrooms", getRooms);
 
-router.get("/singleroom/:id", getRoomById);
-router.post("/:roomId/view", incrementRoomView);
+router.get("/getrooms", optionalAuth, validate(getRoomsSchema), getRooms);
+router.get("/rooms/autocomplete", validate(autocompleteRoomsSchema), autocompleteRooms);
 
-router.post('/add', authMiddleware, addFavorite);
+router.get("/singleroom/:id", optionalAuth, validate(getRoomByIdSchema), getRoomById);
+router.post("/:roomId/view", optionalAuth, validate(incrementRoomViewSchema), incrementRoomView);
+
+router.post('/add', authMiddleware, validate(favoriteBodySchema), addFavorite);
 
 // ✅ REMOVE FROM FAVORITES
-router.delete('/remove', authMiddleware, removeFavorite);
+router.delete('/remove', authMiddleware, validate(favoriteBodySchema), removeFavorite);
 
 
 
 
 // ✅ TOGGLE FAVORITE (Add/Remove in one endpoint)
-router.post('/toggle', authMiddleware, toggleFavorite);
+router.post('/toggle', authMiddleware, validate(favoriteBodySchema), toggleFavorite);
 
 // ✅ GET USER'S FAVORITES
-router.get('/my-favorites', authMiddleware, getMyFavorites);
+router.get('/my-favorites', authMiddleware, validate(myFavoritesSchema), getMyFavorites);
 
 // ✅ CHECK IF ROOM IS FAVORITED
-router.get('/check/:roomId', authMiddleware, checkFavorite);
+router.get('/check/:roomId', authMiddleware, validate(favoriteRoomParamsSchema), checkFavorite);
 
 // ✅ GET FAVORITE COUNT FOR A ROOM
-router.get('/count/:roomId', getFavoriteCount);
+router.get('/count/:roomId', validate(favoriteRoomParamsSchema), getFavoriteCount);
 
 
 
@@ -0,0 +1,99 @@
+// routes/savedSearchRoutes.js - saved getRooms searches with new-listing alerts
+import express from 'express';
+import SavedSearch from '../models/SavedSearch.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import logger from '../utils/logger.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+import {
+  createSavedSearchSchema,
+  listSavedSearchesSchema,
+  savedSearchByIdSchema,
+  updateSavedSearchSchema,
+} from '../validators/savedSearchValidators.js';
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+
+const UPDATABLE_FIELDS = ['name', 'radiusKm', 'category', 'filters', 'frequency'];
+
+// ✅ GET the caller's saved searches
+router.get('/', authMiddleware, validate(listSavedSearchesSchema), asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+  res.json({ success: true, savedSearches });
+}));
+
+// ✅ SAVE A SEARCH
+router.post('/', authMiddleware, validate(createSavedSearchSchema), asyncHandler(async (req, res) => {
+  const { name, lat, lng, radiusKm, category, filters, frequency } = req.body;
+  const userId = req.user._id;
+
+  const count = await SavedSearch.countDocuments({ owner: userId });
+  if (count >= MAX_SAVED_SEARCHES) {
+    throw new ConflictError(`You can save up to ${MAX_SAVED_SEARCHES} searches`, { details: { limit: MAX_SAVED_SEARCHES } });
+  }
+
+  const savedSearch = await SavedSearch.create({
+    owner: userId,
+    name,
+    center: { type: 'Point', coordinates: [lng, lat] },
+    radiusKm,
+    category,
+    filters,
+    frequency,
+  });
+
+  logger.info('Search saved', { searchId: savedSearch._id, frequency: savedSearch.frequency });
+
+  res.status(201).json({ success: true, savedSearch });
+}));
+
+// ✅ GET ONE SAVED SEARCH
+router.get('/:searchId', authMiddleware, validate(savedSearchByIdSchema), asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.searchId, owner: req.user._id });
+  if (!savedSearch) throw new NotFoundError('Saved search not found');
+
+  res.json({ success: true, savedSearch });
+}));
+
+// ✅ UPDATE A SAVED SEARCH (area, filters, alert frequency)
+router.patch('/:searchId', authMiddleware, validate(updateSavedSearchSchema), asyncHandler(async (req, res) => {
+  const { lat, lng } = req.body;
+  if ((lat === undefined) !== (lng === undefined)) throw new BadRequestError('Send lat and lng together');
+
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.searchId, owner: req.user._id });
+  if (!savedSearch) throw new NotFoundError('Saved search not found');
+
+  const wasOff = savedSearch.frequency === 'off';
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) savedSearch[field] = req.body[field];
+  }
+  if (lat !== undefined) {
+    savedSearch.center = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  // Turning alerts back on starts from now - no backlog of everything listed while they were off
+  if (wasOff && savedSearch.frequency !== 'off') {
+    savedSearch.lastNotifiedAt = new Date();
+  }
+
+  await savedSearch.save();
+
+  res.json({ success: true, savedSearch });
+}));
+
+// ✅ DELETE A SAVED SEARCH
+router.delete('/:searchId', authMiddleware, validate(savedSearchByIdSchema), asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, owner: req.user._id });
+  if (!savedSearch) throw new NotFoundError('Saved search not found');
+
+  logger.info('Saved search deleted', { searchId: savedSearch._id });
+
+  res.json({ success: true, message: 'Saved search deleted' });
+}));
+
+export default router;
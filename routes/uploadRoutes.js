@@ -0,0 +1,49 @@
+// routes/uploadRoutes.js - upload sessions for sending images straight to B2
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import UploadSession from '../models/UploadSession.js';
+import { authMiddleware } from '../middlewares/authMiddleware.js';
+import { asyncHandler, rateLimitHandler } from '../middlewares/errorHandler.js';
+import { validate } from '../middlewares/validate.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { completeUploadSession, createUploadSession, sessionResponse } from '../services/uploadSessionService.js';
+import { createUploadSessionSchema, uploadSessionByIdSchema } from '../validators/uploadValidators.js';
+
+const router = express.Router();
+
+const createSessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 upload sessions per windowMs
+  handler: rateLimitHandler('Too many uploads from this IP, please try again after 15 minutes'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ✅ START AN UPLOAD - one upload URL + headers per image
+router.post('/sessions', authMiddleware, createSessionLimiter, validate(createUploadSessionSchema), asyncHandler(async (req, res) => {
+  const { purpose, roomId, count } = req.body;
+
+  if (purpose === 'room' && !roomId) throw new BadRequestError('roomId is required for room images');
+  if (purpose === 'profile' && count !== 1) throw new BadRequestError('A profile picture is a single image');
+
+  const { session, uploads } = await createUploadSession({ owner: req.user._id, purpose, roomId, count });
+
+  res.status(201).json({ success: true, session: sessionResponse(session), uploads });
+}));
+
+// ✅ FINISH AN UPLOAD - images are processed in the background; poll the session for the result
+router.post('/sessions/:sessionId/complete', authMiddleware, validate(uploadSessionByIdSchema), asyncHandler(async (req, res) => {
+  const session = await completeUploadSession(req.params.sessionId, req.user._id);
+
+  res.status(202).json({ success: true, session: sessionResponse(session) });
+}));
+
+// ✅ GET AN UPLOAD SESSION (status, processed image URLs)
+router.get('/sessions/:sessionId', authMiddleware, validate(uploadSessionByIdSchema), asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({ _id: req.params.sessionId, owner: req.user._id });
+  if (!session) throw new NotFoundError('Upload session not found');
+
+  res.json({ success: true, session: sessionResponse(session) });
+}));
+
+export default router;
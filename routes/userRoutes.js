@@ -3,79 +3,64 @@
 import express from 'express';
 import User from '../models/userModal.js';
 import Room from '../models/RoomSchema.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+import { withLocationPrivacy } from '../services/locationPrivacyService.js';
+import { validate } from '../middlewares/validate.js';
+import { NotFoundError } from '../utils/errors.js';
+import { PUBLIC_IMAGE_FIELDS } from '../utils/roomQuery.js';
+import { publicProfileSchema, registerSchema } from '../validators/userValidators.js';
 const router = express.Router();
 
+// What anyone may see on a profile - contact details stay behind chats and phone reveals
+const PUBLIC_PROFILE_FIELDS = 'name picture about userRole location.name createdAt';
+
 // POST route to register a new user
-router.post('/register', (req,res)=>{
+router.post('/register', validate(registerSchema), (req,res)=>{
     res.status(200).json({message:"its working"})
 });
 
 
-router.get('/users/:userId', async (req, res) => {
-    console.log("hhhh");
-    
-  try {
-    const { userId } = req.params;
+router.get('/users/:userId', validate(publicProfileSchema), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
 
-    const user = await User.findById(userId).select('-refreshToken -googleId -expoPushToken');
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } })
+    .select(PUBLIC_PROFILE_FIELDS)
+    .lean();
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  if (!user) throw new NotFoundError('User not found');
 
-    res.status(200).json({
-      success: true,
-      user
-    });
-  } catch (error) {
-    console.error('Error fetching user profile:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
+  res.status(200).json({
+    success: true,
+    user
+  });
+}));
 
 // Get user's posts
-router.get('/users/:userId/posts', async (req, res) => {
-  try {
-    const { userId } = req.params;
+router.get('/users/:userId/posts', optionalAuth, validate(publicProfileSchema), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
 
-    // Verify user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  // Verify user exists
+  const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+  if (!user) throw new NotFoundError('User not found');
 
-    // Fetch user's active posts (not deleted, not blocked)
-    const posts = await Room.find({
-      createdBy: userId,
-      isDeleted: false,
-      isBlocked: false,
-      isActive: true
-    })
-      .select('title description images thumbnail monthlyRent priceRange location category views createdAt')
-      .sort({ createdAt: -1 }); // Most recent first
+  // Fetch user's active posts (not deleted, not blocked)
+  const posts = await Room.find({
+    createdBy: userId,
+    isDeleted: false,
+    isBlocked: false,
+    isActive: true
+  })
+    .select(`title description ${PUBLIC_IMAGE_FIELDS} thumbnail monthlyRent priceRange location locationPrivacy createdBy category views createdAt`)
+    .sort({ createdAt: -1 }) // Most recent first
+    .lean();
 
-    res.status(200).json({
-      success: true,
-      posts,
-      count: posts.length
-    });
-  } catch (error) {
-    console.error('Error fetching user posts:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
+  res.status(200).json({
+    success: true,
+    posts: await withLocationPrivacy(posts, req.user),
+    count: posts.length
+  });
+}));
 
 
 export default router;
@@ -1,8 +1,18 @@
 
 import multer from "multer";
 import { updateProfile, getUserProfile } from "../controllers/auth_controller.js";
+import { cancelAccountDeletion, deleteAccount, exportUserData } from "../controllers/account_controller.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  cancelDeletionSchema,
+  deleteAccountSchema,
+  exportDataSchema,
+  getProfileSchema,
+  updateProfileSchema,
+} from "../validators/userValidators.js";
 import express from 'express';
+import { BadRequestError } from "../utils/errors.js";
 const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -10,13 +20,17 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
   fileFilter: (req, file, cb) => {
     if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only images allowed'), false);
+      return cb(new BadRequestError('Only images allowed'), false);
     }
     cb(null, true);
   },
 });
 
-router.get("/user/profile", authMiddleware, getUserProfile);
-router.put("/user/update-profile", authMiddleware, upload.single('profileImage'), updateProfile);
+router.get("/user/profile", authMiddleware, validate(getProfileSchema), getUserProfile);
+router.put("/user/update-profile", authMiddleware, upload.single('profileImage'), validate(updateProfileSchema), updateProfile);
+
+router.get("/user/export", authMiddleware, validate(exportDataSchema), exportUserData);
+router.delete("/user/delete", authMiddleware, validate(deleteAccountSchema), deleteAccount);
+router.post("/user/delete/cancel", authMiddleware, validate(cancelDeletionSchema), cancelAccountDeletion);
 
 export default router;
\ No newline at end of file
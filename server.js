@@ -1,16 +1,20 @@
 // server.js - SIMPLE MESSAGE STATUS SYSTEM (sent/seen only)
 import http from 'http';
 import { Server } from 'socket.io';
-import app from './app.js';
+import app, { socketRouter } from './app.js';
 import connectDB from './config/db.js';
 import Chat from './models/chatmodal.js';
 import ChatRoom from './models/RoomChatmodal.js';
 import User from './models/userModal.js';
-import Room from './models/RoomSchema.js';
 
 import dotenv from 'dotenv';
 import { sendPushNotification } from './utils/pushNotificationService.js';
 import { startCleanupJob } from './services/cleanupJob.js';
+import { backfillSearchFields } from './services/roomSearchService.js';
+import { startUploadWorker } from './services/uploadWorker.js';
+import { approvedPhoneFor } from './services/phoneRevealService.js';
+import { authenticateSocket } from './middlewares/authMiddleware.js';
+import logger, { newRequestId, runWithLogContext } from './utils/logger.js';
 
 dotenv.config();
 connectDB();
@@ -19,7 +23,15 @@ const PORT = process.env.PORT || 8080;
 const server = http.createServer(app);
 
 startCleanupJob();
-console.log('✅ Auto-cleanup job started - will run daily at 3 AM');
+logger.info('Auto-cleanup job scheduled', { schedule: 'daily 03:00' });
+
+// ✅ Rooms posted before text search existed get their search fields (no-op once done)
+runWithLogContext({ requestId: newRequestId(), job: 'search-backfill' }, () => {
+  backfillSearchFields().catch(error => logger.error('Search backfill failed', error));
+});
+
+// ✅ Resizes images the app uploaded straight to B2 and attaches them
+startUploadWorker();
 
 const io = new Server(server, {
   cors: { origin: "*" },
@@ -53,7 +65,7 @@ const broadcastOnlineStatus = async (roomId, excludedSocketId = null) => {
     const roomIdStr = roomId.toString();
     const room = await ChatRoom.findById(roomIdStr).populate('participants', '_id');
     if (!room) {
-      console.warn(`⚠️ Room ${roomIdStr} not found for status broadcast`);
+      logger.warn('Room not found for online status broadcast', { roomId: roomIdStr });
       return;
     }
 
@@ -77,7 +89,7 @@ const broadcastOnlineStatus = async (roomId, excludedSocketId = null) => {
       });
     }
   } catch (error) {
-    console.error('❌ Error broadcasting online status:', error);
+    logger.error('Online status broadcast failed', { err: error, roomId: roomId?.toString() });
   }
 };
 
@@ -101,32 +113,47 @@ const notifyParticipantsOfChatUpdate = async (roomId, excludedUserId = null) =>
       });
     });
   } catch (error) {
-    console.error('❌ Error notifying participants:', error);
+    logger.error('Chat list update notification failed', { err: error, roomId: roomId?.toString() });
   }
 };
 
-io.use((socket, next) => {
-  // console.log(`🔄 Incoming connection from:`, socket.handshake.address);
-  next();
-});
+// Loads the chat room only if the user is one of its participants
+const findRoomForParticipant = (roomId, userId) =>
+  ChatRoom.findOne({ _id: roomId, participants: userId });
+
+// 🔐 Same access token as the REST API
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
   // console.log('✅ User connected', socket.id, 'at', new Date().toISOString());
 
-  socket.on('userOnline', ({ userId }) => {
-    if (!userId) return;
+  // Every event gets its own correlation id, like an HTTP request
+  socket.use(([event], next) => {
+    runWithLogContext({ requestId: newRequestId(), socketId: socket.id, userId: socket.userId, event }, next);
+  });
+
+  // Client-supplied ids are only accepted if they match the authenticated user
+  const isSpoofed = (claimedUserId) =>
+    Boolean(claimedUserId) && claimedUserId.toString() !== socket.userId;
+
+  const rejectSpoofed = () => {
+    socket.emit('error', { message: 'User does not match authenticated user' });
+  };
+
+  socket.on('userOnline', ({ userId } = {}) => {
+    if (isSpoofed(userId)) return rejectSpoofed();
 
-    const userIdStr = userId.toString();
+    const userIdStr = socket.userId;
     onlineUsers.set(userIdStr, socket.id);
     userSockets.set(socket.id, userIdStr);
 
     // console.log(`👤 User ${userIdStr} app is online (socket: ${socket.id})`);
   });
 
-  socket.on('joinUserRoom', ({ userId }) => {
-    if (!userId) return;
+  socket.on('joinUserRoom', ({ userId } = {}) => {
+    if (isSpoofed(userId)) return rejectSpoofed();
 
-    const userIdStr = userId.toString();
+    const userIdStr = socket.userId;
     const userRoomId = `user_${userIdStr}`;
 
     socket.join(userRoomId);
@@ -136,41 +163,31 @@ io.on('connection', (socket) => {
     // console.log(`👤 User ${userIdStr} joined personal room: ${userRoomId}`);
   });
 
-  socket.on('leaveUserRoom', ({ userId }) => {
-    if (!userId) return;
+  socket.on('leaveUserRoom', ({ userId } = {}) => {
+    if (isSpoofed(userId)) return rejectSpoofed();
 
-    const userIdStr = userId.toString();
-    const userRoomId = `user_${userIdStr}`;
+    const userRoomId = `user_${socket.userId}`;
 
     socket.leave(userRoomId);
-    // console.log(`👤 User ${userIdStr} left personal room: ${userRoomId}`);
+    // console.log(`👤 User ${socket.userId} left personal room: ${userRoomId}`);
   });
 
-  socket.on('joinRoom', async ({ roomId, userId }) => {
+  socket.on('joinRoom', async ({ roomId, userId } = {}) => {
     // console.log(`🎯 JOIN ROOM: User ${userId} → Room ${roomId}`);
 
-    if (!roomId || !userId) {
-      socket.emit('error', { message: 'Missing roomId or userId' });
+    if (!roomId) {
+      socket.emit('error', { message: 'Missing roomId' });
       return;
     }
 
-    const userIdStr = userId.toString();
-    const roomIdStr = roomId.toString();
+    if (isSpoofed(userId)) return rejectSpoofed();
 
-    socket.join(roomIdStr);
-    socket.userId = userIdStr;
-
-    if (!userRooms.has(userIdStr)) {
-      userRooms.set(userIdStr, new Set());
-    }
-    userRooms.get(userIdStr).add(roomIdStr);
-
-    onlineUsers.set(userIdStr, socket.id);
-    userSockets.set(socket.id, userIdStr);
+    const userIdStr = socket.userId;
+    const roomIdStr = roomId.toString();
 
     try {
       const [chatRoom, chat] = await Promise.all([
-        ChatRoom.findById(roomIdStr)
+        ChatRoom.findOne({ _id: roomIdStr, participants: userIdStr })
           .populate('participants', '_id name picture')
           .lean(),
         Chat.findOne({ roomId: roomIdStr }).lean()
@@ -181,6 +198,16 @@ io.on('connection', (socket) => {
         return;
       }
 
+      socket.join(roomIdStr);
+
+      if (!userRooms.has(userIdStr)) {
+        userRooms.set(userIdStr, new Set());
+      }
+      userRooms.get(userIdStr).add(roomIdStr);
+
+      onlineUsers.set(userIdStr, socket.id);
+      userSockets.set(socket.id, userIdStr);
+
       const userRole = chatRoom.participants[0]._id.toString() === userIdStr
         ? 'inquirer'
         : 'owner';
@@ -208,9 +235,7 @@ io.on('connection', (socket) => {
             fromMe: msg.sender?.toString() === userIdStr
           }));
 
-          console.log('📤 Sending messages with IDs:',
-            messages.map(m => ({ id: m._id, status: m.status }))
-          );
+          logger.debug('Sending chat history', { roomId: roomIdStr, messageCount: messages.length });
         }
       }
 
@@ -233,17 +258,13 @@ io.on('connection', (socket) => {
         ownerPhone: ''
       });
 
-      if (chatRoom.productId) {
-        Room.findById(chatRoom.productId)
-          .select('contactPhone')
-          .lean()
-          .then(property => {
-            if (property?.contactPhone) {
-              // console.log(`📞 Sending owner phone: ${property.contactPhone}`);
-              socket.emit('ownerPhoneUpdate', { ownerPhone: property.contactPhone });
-            }
+      // 📞 Only to the inquirer, and only once the owner has approved a phone reveal
+      if (chatRoom.productId && chatRoom.inquirerId?.toString() === userIdStr) {
+        approvedPhoneFor({ roomId: chatRoom.productId, requesterId: userIdStr })
+          .then(ownerPhone => {
+            if (ownerPhone) socket.emit('ownerPhoneUpdate', { ownerPhone });
           })
-          .catch(err => console.error('❌ Phone fetch error:', err));
+          .catch(err => logger.error('Owner phone lookup failed', { err, roomId: roomIdStr }));
       }
 
       socket.to(roomIdStr).emit('userJoinedRoom', {
@@ -259,7 +280,7 @@ io.on('connection', (socket) => {
       // console.log(`📢 User ${userIdStr} joined room ${roomIdStr}`);
 
     } catch (error) {
-      console.error('❌ Error joining room:', error);
+      logger.error('Join room failed', { err: error, roomId: roomIdStr });
       socket.emit('error', { message: 'Failed to join room', error: error.message });
     }
   });
@@ -267,29 +288,27 @@ io.on('connection', (socket) => {
   // ✅ SIMPLE SENDMESSAGE - NO AUTO-DELIVERY
   socket.on('sendMessage', async ({
     roomId,
-    sender,
+    sender: claimedSender,
     optionId,
     optionText,
     text,
     messageType = 'option',
     nextState,
-    senderRole,
     tempId
-  }) => {
-    console.log(`📤 SEND MESSAGE (${messageType}):`, {
-      room: roomId,
-      sender,
-      type: messageType,
-      content: messageType === 'freetext' ? text : optionText,
-      tempId
-    });
+  } = {}) => {
+    const sender = socket.userId;
+
+    // Message content is deliberately not logged
+    logger.debug('Send message', { roomId, messageType, tempId });
 
     try {
-      if (!roomId || !sender || !senderRole) {
+      if (!roomId) {
         socket.emit('error', { message: 'Missing required fields' });
         return;
       }
 
+      if (isSpoofed(claimedSender)) return rejectSpoofed();
+
       // Rate limiting check
       const now = Date.now();
       const userMessages = userMessageCounts.get(sender.toString()) || [];
@@ -300,7 +319,12 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Validation
+      // Validation - system messages are only ever written by the server
+      if (messageType !== 'option' && messageType !== 'freetext') {
+        socket.emit('error', { message: 'Unsupported message type' });
+        return;
+      }
+
       if (messageType === 'option' && (!optionId || !optionText)) {
         socket.emit('error', { message: 'Option messages require optionId and optionText' });
         return;
@@ -321,28 +345,41 @@ io.on('connection', (socket) => {
         }
       }
 
-      const senderUser = await User.findById(sender).select('name picture');
+      const room = await ChatRoom.findOne({ _id: roomId, participants: sender })
+        .populate('participants', '_id name expoPushToken notificationSettings');
 
-      const room = await ChatRoom.findById(roomId).populate('participants', '_id name expoPushToken notificationSettings');
-      if (room) {
-        const updateData = {
-          lastMessage: messageType === 'freetext' ? text : optionText,
-          lastMessageSender: sender,
-          lastMessageAt: new Date(),
-          updatedAt: new Date()
-        };
+      if (!room) {
+        socket.emit('error', { message: 'Chat room not found' });
+        return;
+      }
 
-        updateData.readBy = [sender];
+      // Closed when the listing was rented or deleted
+      if (room.status === 'expired') {
+        socket.emit('error', { message: 'This chat is closed' });
+        return;
+      }
 
-        if (room.status === 'pending' && !room.hasMessages) {
-          updateData.status = 'active';
-          updateData.hasMessages = true;
-          updateData.firstMessageAt = new Date();
-        }
+      // Role comes from the room, not from the client
+      const senderRole = room.ownerId.toString() === sender ? 'owner' : 'inquirer';
+      const senderUser = socket.user;
 
-        await ChatRoom.findByIdAndUpdate(roomId, updateData);
+      const updateData = {
+        lastMessage: messageType === 'freetext' ? text : optionText,
+        lastMessageSender: sender,
+        lastMessageAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      updateData.readBy = [sender];
+
+      if (room.status === 'pending' && !room.hasMessages) {
+        updateData.status = 'active';
+        updateData.hasMessages = true;
+        updateData.firstMessageAt = new Date();
       }
 
+      await ChatRoom.findByIdAndUpdate(roomId, updateData);
+
       let chat = await Chat.findOne({ roomId });
       if (!chat) {
         chat = new Chat({
@@ -484,19 +521,19 @@ io.on('connection', (socket) => {
                       }
                     });
                   } catch (pushError) {
-                    console.error('❌ Push notification failed:', pushError);
+                    logger.error('Chat push notification failed', { err: pushError, roomId, recipientId: participant._id });
                   }
                 }
               }
             }
           }
         } catch (asyncError) {
-          console.error('❌ Error in async post-message processing:', asyncError);
+          logger.error('Post-message processing failed', { err: asyncError, roomId });
         }
       });
 
     } catch (error) {
-      console.error('❌ Error sending message:', error);
+      logger.error('Send message failed', { err: error, roomId });
       socket.emit('error', { message: 'Failed to send message', error: error.message });
     }
   });
@@ -508,22 +545,22 @@ io.on('connection', (socket) => {
     try {
       // console.log('👁️ markAsSeen received:', data);
 
-      let roomId, userId;
+      const userId = socket.userId;
+      let roomId;
 
       if (typeof data === 'string') {
         roomId = data;
-        userId = socket.userId;
-      } else if (typeof data === 'object') {
+      } else if (data && typeof data === 'object') {
+        if (isSpoofed(data.userId)) return rejectSpoofed();
         roomId = data.roomId;
-        userId = data.userId;
       }
 
-      if (!roomId || !userId) {
-        // console.log('❌ markAsSeen: Missing roomId or userId');
+      if (!roomId) {
+        // console.log('❌ markAsSeen: Missing roomId');
         return;
       }
 
-      const room = await ChatRoom.findById(roomId);
+      const room = await findRoomForParticipant(roomId, userId);
       if (!room) return;
 
       // Update room read status
@@ -563,23 +600,22 @@ io.on('connection', (socket) => {
       }
 
     } catch (error) {
-      console.error('❌ Error marking as seen:', error);
+      logger.error('Mark as seen failed', error);
     }
   });
 
-  socket.on('getOnlineStatus', async ({ roomId, userId }) => {
+  socket.on('getOnlineStatus', async ({ roomId } = {}) => {
     try {
-      if (!roomId || !userId) {
-        console.warn('⚠️ getOnlineStatus: Missing roomId or userId');
+      if (!roomId) {
+        logger.warn('getOnlineStatus without roomId');
         return;
       }
 
       const roomIdStr = roomId.toString();
-      const userIdStr = userId.toString();
 
-      const room = await ChatRoom.findById(roomIdStr).populate('participants', '_id');
+      const room = await findRoomForParticipant(roomIdStr, socket.userId).populate('participants', '_id');
       if (!room) {
-        console.warn(`⚠️ Room ${roomIdStr} not found`);
+        logger.warn('Room not found for online status', { roomId: roomIdStr });
         return;
       }
 
@@ -592,25 +628,31 @@ io.on('connection', (socket) => {
       // console.log(`📊 Sending online statuses for room ${roomIdStr}:`, onlineStatuses);
       socket.emit('onlineStatuses', { roomId: roomIdStr, statuses: onlineStatuses });
     } catch (error) {
-      console.error('❌ Error getting online status:', error);
+      logger.error('Get online status failed', { err: error, roomId });
       socket.emit('error', { message: 'Failed to get online status' });
     }
   });
 
-  socket.on('deleteMessage', async ({ roomId, messageIdentifier, userId }) => {
-    console.log('🗑️ DELETE MESSAGE REQUEST WITH IDENTIFIER:', {
-      roomId: roomId?.toString(),
-      messageIdentifier,
-      userId: userId?.toString()
-    });
+  socket.on('deleteMessage', async ({ roomId, messageIdentifier, userId: claimedUserId } = {}) => {
+    const userId = socket.userId;
+
+    logger.debug('Delete message', { roomId: roomId?.toString(), messageType: messageIdentifier?.messageType });
 
     try {
-      if (!roomId || !messageIdentifier || !userId) {
-        // console.log('❌ Missing fields:', { roomId, messageIdentifier, userId });
+      if (!roomId || !messageIdentifier) {
+        // console.log('❌ Missing fields:', { roomId, messageIdentifier });
         socket.emit('error', { message: 'Missing required fields for deletion' });
         return;
       }
 
+      if (isSpoofed(claimedUserId)) return rejectSpoofed();
+
+      const room = await findRoomForParticipant(roomId, userId);
+      if (!room) {
+        socket.emit('error', { message: 'Chat room not found' });
+        return;
+      }
+
       const chat = await Chat.findOne({ roomId });
       if (!chat) {
         socket.emit('error', { message: 'Chat not found' });
@@ -639,7 +681,7 @@ io.on('connection', (socket) => {
 
       const message = chat.messages[messageIndex];
 
-      if (message.sender.toString() !== userId.toString()) {
+      if (message.sender.toString() !== userId) {
         socket.emit('error', { message: 'Unauthorized: You can only delete your own messages' });
         return;
       }
@@ -651,23 +693,20 @@ io.on('connection', (socket) => {
 
       // console.log(`✅ Message deleted successfully. Index: ${messageIndex}`);
 
-      const room = await ChatRoom.findById(roomId);
-      if (room) {
-        const lastMessage = chat.messages[chat.messages.length - 1];
-        if (lastMessage) {
-          const updateData = {
-            lastMessage: lastMessage.messageType === 'freetext'
-              ? lastMessage.text
-              : lastMessage.option,
-            updatedAt: new Date()
-          };
-          await ChatRoom.findByIdAndUpdate(roomId, updateData);
-        } else {
-          await ChatRoom.findByIdAndUpdate(roomId, {
-            lastMessage: null,
-            updatedAt: new Date()
-          });
-        }
+      const lastMessage = chat.messages[chat.messages.length - 1];
+      if (lastMessage) {
+        const updateData = {
+          lastMessage: lastMessage.messageType === 'option'
+            ? lastMessage.option
+            : lastMessage.text,
+          updatedAt: new Date()
+        };
+        await ChatRoom.findByIdAndUpdate(roomId, updateData);
+      } else {
+        await ChatRoom.findByIdAndUpdate(roomId, {
+          lastMessage: null,
+          updatedAt: new Date()
+        });
       }
 
       io.in(roomId).emit('messageDeleted', {
@@ -680,7 +719,7 @@ io.on('connection', (socket) => {
       await notifyParticipantsOfChatUpdate(roomId);
 
     } catch (error) {
-      console.error('❌ Error deleting message:', error);
+      logger.error('Delete message failed', { err: error, roomId });
       socket.emit('error', {
         message: 'Failed to delete message',
         error: error.message
@@ -688,8 +727,11 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('messageStatus', async ({ roomId, messageId, status }) => {
+  socket.on('messageStatus', async ({ roomId, messageId, status } = {}) => {
     try {
+      const room = await findRoomForParticipant(roomId, socket.userId);
+      if (!room) return;
+
       const chat = await Chat.findOne({ roomId });
       if (chat) {
         const message = chat.messages.id(messageId);
@@ -705,32 +747,34 @@ io.on('connection', (socket) => {
         }
       }
     } catch (error) {
-      console.error('❌ Error updating message status:', error);
+      logger.error('Message status update failed', { err: error, roomId, messageId });
     }
   });
 
-  socket.on('typing', ({ roomId, userId, isTyping }) => {
-    socket.to(roomId).emit('userTyping', { userId, isTyping });
+  // Only sockets that passed the joinRoom participant check are in the room
+  socket.on('typing', ({ roomId, isTyping } = {}) => {
+    if (!roomId || !socket.rooms.has(roomId.toString())) return;
+    socket.to(roomId).emit('userTyping', { userId: socket.userId, isTyping });
   });
 
-  socket.on('leaveRoom', ({ roomId, userId }) => {
-    if (userId) {
-      const userIdStr = userId.toString();
-      const roomIdStr = roomId.toString();
+  socket.on('leaveRoom', ({ roomId } = {}) => {
+    if (!roomId) return;
 
-      if (userRooms.has(userIdStr)) {
-        userRooms.get(userIdStr).delete(roomIdStr);
-        if (userRooms.get(userIdStr).size === 0) {
-          userRooms.delete(userIdStr);
-        }
-      }
+    const userIdStr = socket.userId;
+    const roomIdStr = roomId.toString();
 
-      setTimeout(() => {
-        broadcastOnlineStatus(roomIdStr);
-      }, 100);
+    if (userRooms.has(userIdStr)) {
+      userRooms.get(userIdStr).delete(roomIdStr);
+      if (userRooms.get(userIdStr).size === 0) {
+        userRooms.delete(userIdStr);
+      }
     }
 
-    socket.leave(roomId);
+    socket.leave(roomIdStr);
+
+    setTimeout(() => {
+      broadcastOnlineStatus(roomIdStr);
+    }, 100);
   });
 
   socket.on('disconnect', (reason) => {
@@ -756,7 +800,7 @@ io.on('connection', (socket) => {
 });
 
 // Debug endpoints
-app.get("/api/debug/connections", (req, res) => {
+socketRouter.get("/debug/connections", (req, res) => {
   const connections = [];
   io.sockets.sockets.forEach(socket => {
     connections.push({
@@ -782,7 +826,7 @@ app.get("/api/debug/connections", (req, res) => {
   });
 });
 
-app.get("/api/debug/rooms", (req, res) => {
+socketRouter.get("/debug/rooms", (req, res) => {
   const rooms = {};
   io.sockets.adapter.rooms.forEach((sockets, roomId) => {
     rooms[roomId] = {
@@ -797,7 +841,7 @@ app.get("/api/debug/rooms", (req, res) => {
   });
 });
 
-app.get("/api/debug/presence", (req, res) => {
+socketRouter.get("/debug/presence", (req, res) => {
   const presenceData = {
     onlineUsers: Array.from(onlineUsers.entries()),
     userRooms: Array.from(userRooms.entries()).map(([userId, rooms]) => ({
@@ -812,7 +856,7 @@ app.get("/api/debug/presence", (req, res) => {
   res.json(presenceData);
 });
 
-app.get("/api/debug/online-users", (req, res) => {
+socketRouter.get("/debug/online-users", (req, res) => {
   res.json({
     onlineUsers: Array.from(onlineUsers.entries()),
     totalOnline: onlineUsers.size,
@@ -820,7 +864,7 @@ app.get("/api/debug/online-users", (req, res) => {
   });
 });
 
-app.get("/api/health", (req, res) => {
+socketRouter.get("/health", (req, res) => {
   res.status(200).json({
     status: "OK",
     timestamp: new Date().toISOString(),
@@ -838,7 +882,5 @@ process.on('SIGTERM', () => {
 });
 
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on http://0.0.0.0:${PORT}`);
-  console.log(`📡 Socket.IO ready with SIMPLE SENT/SEEN SYSTEM`);
-  console.log(`🛡️  Rate limiting: ${MESSAGE_RATE_LIMIT} messages/minute`);
+  logger.info('Server listening', { host: '0.0.0.0', port: Number(PORT), messageRateLimitPerMinute: MESSAGE_RATE_LIMIT });
 });
\ No newline at end of file
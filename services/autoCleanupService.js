@@ -3,91 +3,22 @@ import mongoose from 'mongoose';
 import Room from '../models/RoomSchema.js';
 import ChatRoom from '../models/RoomChatmodal.js';
 import Chat from '../models/chatmodal.js';
-import B2 from 'backblaze-b2';
-
-// ✅ FIXED: Use correct environment variable names
-const b2 = new B2({
-  applicationKeyId: process.env.B2_APP_KEY_ID,
-  applicationKey: process.env.B2_APP_KEY,
-});
-
-const BUCKET_ID = process.env.B2_BUCKET_ID;
-const CDN_URL = process.env.CDN_URL;
-
-// Validate environment variables
-if (!process.env.B2_APP_KEY_ID || !process.env.B2_APP_KEY || !BUCKET_ID || !CDN_URL) {
-  console.error('❌ Missing B2 environment variables!');
-  console.error({
-    B2_APP_KEY_ID: process.env.B2_APP_KEY_ID ? '✅' : '❌',
-    B2_APP_KEY: process.env.B2_APP_KEY ? '✅' : '❌',
-    B2_BUCKET_ID: BUCKET_ID ? '✅' : '❌',
-    CDN_URL: CDN_URL ? '✅' : '❌'
-  });
-}
-
-// 🗑️ Delete single file from B2
-async function deleteFromB2(fileUrl) {
-  try {
-    // ⚠️ SAFETY: Skip S3 URLs (legacy data)
-    if (fileUrl.includes('s3.amazonaws.com') || fileUrl.includes('.s3.')) {
-      console.log(`⚠️ Skipping S3 URL (legacy data): ${fileUrl}`);
-      return true; // Return true so it doesn't count as failure
-    }
-
-    // ⚠️ SAFETY: Only delete if it's a B2/CDN URL
-    if (!fileUrl.includes(CDN_URL)) {
-      console.log(`⚠️ Skipping non-B2 URL: ${fileUrl}`);
-      return true; // Return true so it doesn't count as failure
-    }
-
-    // Extract filename from URL
-    const fileName = fileUrl.replace(`${CDN_URL}/`, '').split('?')[0];
-    
-    await b2.authorize();
-    
-    // Get file info
-    const fileList = await b2.listFileNames({
-      bucketId: BUCKET_ID,
-      maxFileCount: 1,
-      prefix: fileName,
-    });
-
-    if (fileList.data.files.length > 0) {
-      const fileId = fileList.data.files[0].fileId;
-      await b2.deleteFileVersion({
-        fileId: fileId,
-        fileName: fileName,
-      });
-      console.log(`✅ Deleted from B2: ${fileName}`);
-      return true;
-    } else {
-      console.log(`⚠️ File not found in B2: ${fileName}`);
-      return false;
-    }
-  } catch (error) {
-    console.error(`❌ Error deleting from B2:`, error.message);
-    return false;
-  }
-}
-
-// 🗑️ Batch delete images from B2
-async function safelyDeleteImagesFromB2(imagesToDelete, roomId) {
-  console.log(`🗑️ Deleting ${imagesToDelete.length} images from B2 for room ${roomId}`);
-  
-  let successCount = 0;
-  let failCount = 0;
-
-  for (const img of imagesToDelete) {
-    if (img.originalUrl) {
-      const success = await deleteFromB2(img.originalUrl);
-      if (success) successCount++;
-      else failCount++;
-    }
-  }
-
-  console.log(`✅ Deleted ${successCount}/${imagesToDelete.length} images (${failCount} failed)`);
-  return { successCount, failCount };
-}
+import User from '../models/userModal.js';
+import Session from '../models/Session.js';
+import BugReport from '../models/BugReport.js';
+import Report from '../models/report.js';
+import Donation from '../models/Donation.js';
+import SavedSearch from '../models/SavedSearch.js';
+import PhoneReveal from '../models/PhoneReveal.js';
+import RoomRevision from '../models/RoomRevision.js';
+import storage from './storageService.js';
+import { deleteRoomImages } from './imageService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'cleanup' });
+
+// Unpublished drafts are kept this long after their last edit
+const DRAFT_TTL_DAYS = 30;
 
 export class AutoCleanupService {
   // Clean up all expired and deleted data
@@ -99,20 +30,18 @@ export class AutoCleanupService {
       const now = new Date();
       const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-      console.log('🕒 Starting auto-cleanup...', {
-        now: now.toISOString(),
-        thirtyDaysAgo: thirtyDaysAgo.toISOString()
-      });
+      log.info('Starting auto-cleanup', { expiredBefore: thirtyDaysAgo });
 
       // ✅ SCENARIO 1 & 2: Find posts that need to be deleted
       // ⚠️ SKIP PG/HOSTEL CATEGORY - no expiry for pg_hostel
       const postsToDelete = await Room.find({
         $or: [
           // SCENARIO 1: Posts that expired naturally and user didn't renew within 30 days
-          // EXCLUDE pg_hostel category from expiry
+          // EXCLUDE pg_hostel category from expiry, and rented posts (kept for time-to-rent stats)
           {
             expiryDate: { $lt: thirtyDaysAgo },
             isDeleted: false,
+            status: { $ne: 'rented' },
             category: { $ne: 'pg_hostel' }
           },
           // SCENARIO 2: Posts manually deleted by user (soft delete) - delete after 3 days
@@ -123,7 +52,7 @@ export class AutoCleanupService {
         ]
       }).session(session);
 
-      console.log(`📝 Found ${postsToDelete.length} posts to delete permanently`);
+      log.info('Found posts to delete permanently', { count: postsToDelete.length });
 
       let totalDeletedChatRooms = 0;
       let totalDeletedMessages = 0;
@@ -136,11 +65,11 @@ export class AutoCleanupService {
         try {
           const postId = post._id;
           
-          console.log(`🔄 Processing post ${postId} (${post.isDeleted ? 'SCENARIO 2: Manually deleted' : 'SCENARIO 1: Expired naturally'})`);
+          log.debug('Cleaning up post', { postId, reason: post.isDeleted ? 'deleted_by_user' : 'expired' });
 
-          // 🖼️ DELETE ALL IMAGES FROM BACKBLAZE B2
+          // 🖼️ DELETE ALL IMAGES FROM STORAGE
           if (post.images && post.images.length > 0) {
-            const imageDeleteResult = await safelyDeleteImagesFromB2(post.images, postId);
+            const imageDeleteResult = await deleteRoomImages(post.images, postId);
             deletedImagesCount += imageDeleteResult.successCount;
             failedImagesCount += imageDeleteResult.failCount;
           }
@@ -148,11 +77,11 @@ export class AutoCleanupService {
           // Delete thumbnail if exists
           if (post.thumbnail?.url) {
             try {
-              const success = await deleteFromB2(post.thumbnail.url);
+              const success = await storage.deleteByUrl(post.thumbnail.url);
               if (success) deletedImagesCount++;
               else failedImagesCount++;
             } catch (imgError) {
-              console.error(`❌ Failed to delete thumbnail:`, imgError);
+              log.error('Thumbnail delete failed', { err: imgError, postId });
               failedImagesCount++;
             }
           }
@@ -170,7 +99,6 @@ export class AutoCleanupService {
               roomId: { $in: chatRoomIds } 
             }).session(session);
             totalDeletedMessages += messageResult.deletedCount;
-            console.log(`  💬 Deleted ${messageResult.deletedCount} messages`);
           }
 
           // Delete all chat rooms
@@ -178,16 +106,19 @@ export class AutoCleanupService {
             productId: postId 
           }).session(session);
           totalDeletedChatRooms += chatRoomResult.deletedCount;
-          console.log(`  🗨️ Deleted ${chatRoomResult.deletedCount} chat rooms`);
+
+          // Phone number requests and edit history for this post
+          await PhoneReveal.deleteMany({ room: postId }).session(session);
+          await RoomRevision.deleteMany({ room: postId }).session(session);
 
           // Finally delete the post from database
           await Room.findByIdAndDelete(postId).session(session);
           deletedPostsCount++;
 
-          console.log(`✅ Successfully cleaned up post ${postId}`);
+          log.debug('Cleaned up post', { postId, deletedChatRooms: chatRoomResult.deletedCount });
 
         } catch (postError) {
-          console.error(`❌ Error cleaning up post ${post._id}:`, postError);
+          log.error('Post cleanup failed', { err: postError, postId: post._id });
           // Continue with other posts even if one fails
         }
       }
@@ -198,7 +129,7 @@ export class AutoCleanupService {
         deleteExpiresAt: { $lte: now }
       }).session(session);
 
-      console.log(`💬 Found ${orphanedChatRooms.length} orphaned chat rooms to delete`);
+      log.info('Found orphaned chat rooms to delete', { count: orphanedChatRooms.length });
 
       let deletedOrphanedChats = 0;
       let deletedOrphanedMessages = 0;
@@ -214,7 +145,7 @@ export class AutoCleanupService {
           deletedOrphanedChats++;
 
         } catch (chatError) {
-          console.error(`❌ Error cleaning up chat room ${chatRoom._id}:`, chatError);
+          log.error('Chat room cleanup failed', { err: chatError, chatRoomId: chatRoom._id });
         }
       }
 
@@ -231,19 +162,52 @@ export class AutoCleanupService {
         timestamp: new Date().toISOString()
       };
 
-      console.log('🎉 Auto-cleanup completed:', finalStats);
+      log.info('Auto-cleanup completed', finalStats);
 
       return finalStats;
 
     } catch (error) {
       await session.abortTransaction();
-      console.error('❌ Error in auto-cleanup service:', error);
+      log.error('Auto-cleanup failed', error);
       throw error;
     } finally {
       session.endSession();
     }
   }
 
+  // Drafts nobody has touched for DRAFT_TTL_DAYS are dropped with their images
+  async cleanupStaleDrafts() {
+    const staleBefore = new Date(Date.now() - DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const drafts = await Room.find({ isDraft: true, updatedAt: { $lt: staleBefore } })
+      .select('images thumbnail');
+
+    log.info('Found stale drafts to delete', { count: drafts.length, staleBefore });
+
+    let deletedDrafts = 0;
+    let deletedImages = 0;
+    let failedImages = 0;
+
+    for (const draft of drafts) {
+      try {
+        const images = draft.thumbnail?.url ? [...draft.images, { originalUrl: draft.thumbnail.url }] : draft.images;
+        const imageResult = await deleteRoomImages(images, draft._id);
+        deletedImages += imageResult.successCount;
+        failedImages += imageResult.failCount;
+
+        // Only if it is still a stale draft - it may have been edited or published meanwhile
+        const { deletedCount } = await Room.deleteOne({ _id: draft._id, isDraft: true, updatedAt: { $lt: staleBefore } });
+        deletedDrafts += deletedCount;
+      } catch (error) {
+        log.error('Stale draft cleanup failed', { err: error, roomId: draft._id });
+      }
+    }
+
+    const result = { found: drafts.length, deletedDrafts, deletedImages, failedImages };
+    log.info('Stale draft cleanup completed', result);
+    return result;
+  }
+
   // Get cleanup statistics
   async getCleanupStats() {
     const now = new Date();
@@ -252,6 +216,7 @@ export class AutoCleanupService {
     const expiredPostsNaturally = await Room.countDocuments({
       expiryDate: { $lt: thirtyDaysAgo },
       isDeleted: false,
+      status: { $ne: 'rented' }, // Rented posts are kept
       category: { $ne: 'pg_hostel' } // Exclude PG/Hostel from expiry
     });
 
@@ -281,9 +246,15 @@ export class AutoCleanupService {
         $gte: thirtyDaysAgo
       },
       isDeleted: false,
+      status: { $ne: 'rented' }, // Rented posts are kept
       category: { $ne: 'pg_hostel' } // Exclude PG/Hostel from expiry
     });
 
+    const staleDrafts = await Room.countDocuments({
+      isDraft: true,
+      updatedAt: { $lt: new Date(now.getTime() - DRAFT_TTL_DAYS * 24 * 60 * 60 * 1000) }
+    });
+
     return {
       scenario1_expiredNaturally: expiredPostsNaturally,
       scenario2_manuallyDeleted: deletedPostsReady,
@@ -291,6 +262,7 @@ export class AutoCleanupService {
       readyForDeletionChats,
       expiringSoon,
       inGracePeriod,
+      staleDrafts,
       checkDate: now.toISOString()
     };
   }
@@ -307,17 +279,17 @@ export class AutoCleanupService {
         throw new Error('Post not found');
       }
 
-      console.log(`🔧 Force cleanup for post ${postId}`);
+      log.info('Force cleanup for post', { postId });
 
-      // Delete images from B2
+      // Delete images from storage
       let deletedImages = 0;
       if (post.images && post.images.length > 0) {
-        const result = await safelyDeleteImagesFromB2(post.images, postId);
+        const result = await deleteRoomImages(post.images, postId);
         deletedImages = result.successCount;
       }
 
       if (post.thumbnail?.url) {
-        const success = await deleteFromB2(post.thumbnail.url);
+        const success = await storage.deleteByUrl(post.thumbnail.url);
         if (success) deletedImages++;
       }
 
@@ -327,6 +299,8 @@ export class AutoCleanupService {
 
       await Chat.deleteMany({ roomId: { $in: chatRoomIds } }).session(session);
       await ChatRoom.deleteMany({ productId: postId }).session(session);
+      await PhoneReveal.deleteMany({ room: postId }).session(session);
+      await RoomRevision.deleteMany({ room: postId }).session(session);
       await Room.findByIdAndDelete(postId).session(session);
 
       await session.commitTransaction();
@@ -345,6 +319,82 @@ export class AutoCleanupService {
     }
   }
 
+  // 👤 PURGE ACCOUNTS whose deletion grace period has ended
+  // Listings + images are removed, other people's data is kept but no longer points at the user
+  async purgeDeletedAccounts() {
+    const now = new Date();
+
+    const usersToPurge = await User.find({
+      isDeleted: true,
+      deleteExpiresAt: { $lte: now }
+    });
+
+    log.info('Found accounts to purge', { count: usersToPurge.length });
+
+    let purgedCount = 0;
+    let deletedPosts = 0;
+
+    for (const user of usersToPurge) {
+      try {
+        const userId = user._id;
+
+        // Listings (images, chats and messages go with them)
+        const posts = await Room.find({ createdBy: userId }).select('_id');
+        for (const post of posts) {
+          await this.forceCleanupPost(post._id);
+          deletedPosts++;
+        }
+
+        // Profile picture (Google avatars are skipped by deleteByUrl)
+        if (user.picture) {
+          await storage.deleteByUrl(user.picture);
+        }
+
+        // Enquiries on other people's listings - expire like chats of a deleted post
+        await ChatRoom.updateMany(
+          { participants: userId },
+          {
+            isDeleted: true,
+            deletedAt: now,
+            deleteExpiresAt: new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000),
+            status: 'expired'
+          }
+        );
+
+        // Engagement on other listings
+        await Room.updateMany(
+          { $or: [{ favorites: userId }, { likes: userId }, { viewedBy: userId }] },
+          { $pull: { favorites: userId, likes: userId, viewedBy: userId } }
+        );
+
+        // Records we keep, anonymised
+        await BugReport.updateMany({ userId }, { $unset: { userId: 1 } });
+        await Report.updateMany({ reporter: userId }, { $unset: { reporter: 1 } });
+        await Donation.updateMany({ userId }, { $set: { userEmail: null } });
+
+        await SavedSearch.deleteMany({ owner: userId });
+        await PhoneReveal.deleteMany({ $or: [{ owner: userId }, { requester: userId }] });
+        await Session.deleteMany({ userId });
+        await User.findByIdAndDelete(userId);
+
+        purgedCount++;
+        log.info('Purged account', { userId });
+      } catch (error) {
+        log.error('Account purge failed', { err: error, userId: user._id });
+      }
+    }
+
+    const result = {
+      totalFound: usersToPurge.length,
+      purged: purgedCount,
+      deletedPosts,
+      timestamp: new Date().toISOString()
+    };
+
+    log.info('Account purge completed', result);
+    return result;
+  }
+
   // 🔄 AUTO-RENEW POSTS (Temporary - for platform growth)
   // ⚠️ REMOVE THIS FUNCTION ONCE PLATFORM HAS ENOUGH ACTIVE USERS
   // Logic: When posts have 10 days left, extend by 30 more days
@@ -353,10 +403,7 @@ export class AutoCleanupService {
       const now = new Date();
       const tenDaysFromNow = new Date(now.getTime() + 10 * 24 * 60 * 60 * 1000);
 
-      console.log('🔄 Starting auto-renewal for posts with 10 days left...', {
-        now: now.toISOString(),
-        tenDaysFromNow: tenDaysFromNow.toISOString()
-      });
+      log.info('Starting auto-renewal for posts with 10 days left', { expiringBefore: tenDaysFromNow });
 
       // Find posts that will expire in the next 10 days
       const postsToRenew = await Room.find({
@@ -369,7 +416,7 @@ export class AutoCleanupService {
         category: { $ne: 'pg_hostel' } // Exclude PG/Hostel (they don't expire anyway)
       });
 
-      console.log(`📝 Found ${postsToRenew.length} posts with 10 days or less remaining`);
+      log.info('Found posts to auto-renew', { count: postsToRenew.length });
 
       let renewedCount = 0;
 
@@ -384,9 +431,9 @@ export class AutoCleanupService {
           renewedCount++;
 
           const daysRemaining = Math.ceil((currentExpiry - now) / (1000 * 60 * 60 * 24));
-          console.log(`✅ Auto-renewed: ${post.title} (had ${daysRemaining} days left, added 30 more)`);
+          log.debug('Auto-renewed post', { postId: post._id, daysRemaining });
         } catch (error) {
-          console.error(`❌ Failed to renew post ${post._id}:`, error);
+          log.error('Auto-renew post failed', { err: error, postId: post._id });
         }
       }
 
@@ -397,11 +444,11 @@ export class AutoCleanupService {
         timestamp: new Date().toISOString()
       };
 
-      console.log('🎉 Auto-renewal completed:', result);
+      log.info('Auto-renewal completed', result);
       return result;
 
     } catch (error) {
-      console.error('❌ Error in auto-renewal service:', error);
+      log.error('Auto-renewal failed', error);
       throw error;
     }
   }
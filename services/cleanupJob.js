@@ -1,40 +1,65 @@
 import cron from 'node-cron';
 import AutoCleanupService from '../services/autoCleanupService.js';
 import { startNotificationJobs } from './notificationCronJob.js';
+import { startSavedSearchJobs } from './savedSearchCronJob.js';
+import { startImageBackfillJob } from './imageBackfillCronJob.js';
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cron' });
 
 export function startCleanupJob() {
   // Start notification jobs
   startNotificationJobs();
+  startSavedSearchJobs();
+  startImageBackfillJob();
 
   // Run daily cleanup at 3 AM
-  cron.schedule('0 3 * * *', async () => {
-    console.log('🕒 Starting scheduled jobs at 3 AM...');
+  cron.schedule('0 3 * * *', () => runWithLogContext({ requestId: newRequestId(), job: 'daily-cleanup' }, async () => {
+    log.info('Starting scheduled jobs');
 
     try {
       // ⚠️ TEMPORARY: Auto-renew posts with 10 days left (for platform growth)
       // TODO: Remove this after platform has enough active users
-      console.log('🔄 Running auto-renewal job...');
+      log.info('Running auto-renewal job');
       const renewalResult = await AutoCleanupService.autoRenewExpiredPosts();
-      console.log('✅ Auto-renewal completed:', renewalResult);
+      log.info('Auto-renewal job completed', renewalResult);
     } catch (error) {
-      console.error('❌ Auto-renewal failed:', error);
+      log.error('Auto-renewal job failed', error);
     }
 
     try {
       // Run cleanup job
-      console.log('🧹 Running cleanup job...');
+      log.info('Running cleanup job');
       const statsBefore = await AutoCleanupService.getCleanupStats();
-      console.log('📊 Cleanup stats before:', statsBefore);
+      log.info('Cleanup stats before', statsBefore);
 
       const result = await AutoCleanupService.cleanupExpiredData();
-      console.log('✅ Scheduled cleanup completed:', result);
+      log.info('Scheduled cleanup completed', result);
 
       const statsAfter = await AutoCleanupService.getCleanupStats();
-      console.log('📊 Cleanup stats after:', statsAfter);
+      log.info('Cleanup stats after', statsAfter);
+    } catch (error) {
+      log.error('Scheduled cleanup failed', error);
+    }
+
+    try {
+      // Drop drafts that were abandoned before publishing
+      log.info('Running stale draft cleanup');
+      const draftResult = await AutoCleanupService.cleanupStaleDrafts();
+      log.info('Stale draft cleanup completed', draftResult);
+    } catch (error) {
+      log.error('Stale draft cleanup failed', error);
+    }
+
+    try {
+      // Purge accounts whose deletion grace period has ended
+      log.info('Running account purge job');
+      const purgeResult = await AutoCleanupService.purgeDeletedAccounts();
+      log.info('Account purge job completed', purgeResult);
     } catch (error) {
-      console.error('❌ Scheduled cleanup failed:', error);
+      log.error('Account purge job failed', error);
     }
-  });
+  }));
 
-  console.log('✅ All cron jobs initialized (cleanup + auto-renewal)!');
-}
\ No newline at end of file
+  log.info('All cron jobs initialized', { jobs: ['cleanup', 'auto-renewal', 'draft-cleanup', 'account-purge'] });
+}
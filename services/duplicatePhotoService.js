@@ -0,0 +1,93 @@
+// services/duplicatePhotoService.js - spots listings reusing another user's photos and reports them
+import Room from '../models/RoomSchema.js';
+import Report from '../models/report.js';
+import { hashDistance, hashesMatch } from '../utils/imageHash.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'duplicate-photos' });
+
+// Candidate listings looked at per check - band keys rarely collide, so this is plenty
+const MAX_CANDIDATES = 50;
+
+/**
+ * Other users' listings sharing photos with `room`, as
+ * [{ room, photoMatches: [{ imageUrl, matchedImageUrl, distance }] }], most matches first.
+ * Deleted listings count too - scammers copy photos from old listings.
+ */
+export const findDuplicatePhotos = async (room) => {
+  const hashed = (room.images || []).filter(image => image.phash);
+  if (hashed.length === 0) return [];
+
+  const candidates = await Room.find({
+    _id: { $ne: room._id },
+    createdBy: { $ne: room.createdBy },
+    isDraft: { $ne: true },
+    'images.phashBands': { $in: hashed.flatMap(image => image.phashBands || []) },
+  })
+    .select('images.originalUrl images.phash createdBy title')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const duplicates = [];
+  for (const candidate of candidates) {
+    const photoMatches = [];
+    for (const image of hashed) {
+      const match = candidate.images.find(other => hashesMatch(image.phash, other.phash));
+      if (match) {
+        photoMatches.push({
+          imageUrl: image.originalUrl,
+          matchedImageUrl: match.originalUrl,
+          distance: hashDistance(image.phash, match.phash),
+        });
+      }
+    }
+    if (photoMatches.length > 0) duplicates.push({ room: candidate, photoMatches });
+  }
+
+  return duplicates.sort((a, b) => b.photoMatches.length - a.photoMatches.length);
+};
+
+/**
+ * Files a fake_listing report for each listing `room` shares photos with (once per pair while
+ * the report is open) and flags the room. Returns the number of new reports.
+ */
+export const reportDuplicatePhotos = async (room) => {
+  const duplicates = await findDuplicatePhotos(room);
+  if (duplicates.length === 0) return 0;
+
+  let filed = 0;
+  for (const { room: matchedRoom, photoMatches } of duplicates) {
+    const alreadyReported = await Report.exists({
+      reportedRoom: room._id,
+      'evidence.matchedRoom': matchedRoom._id,
+      status: 'pending',
+    });
+    if (alreadyReported) continue;
+
+    await Report.create({
+      source: 'system',
+      reportedRoom: room._id,
+      reason: 'fake_listing',
+      description: `${photoMatches.length} photo(s) also appear on another user's listing "${matchedRoom.title ?? ''}"`.slice(0, 500),
+      evidence: { matchedRoom: matchedRoom._id, photoMatches },
+    });
+    filed++;
+  }
+
+  // Not an edit by the owner - updatedAt stays as it was
+  await Room.updateOne({ _id: room._id }, { $set: { duplicatePhotosFlagged: true } }, { timestamps: false });
+
+  log.warn('Listing shares photos with other users\' listings', {
+    roomId: room._id,
+    matchedRooms: duplicates.map(duplicate => duplicate.room._id),
+    reportsFiled: filed,
+  });
+  return filed;
+};
+
+// Upload paths call this - the check runs in the background and never fails the upload
+export const checkDuplicatePhotosInBackground = (room) => {
+  reportDuplicatePhotos(room).catch(error =>
+    log.error('Duplicate photo check failed', { roomId: room._id, err: error })
+  );
+};
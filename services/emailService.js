@@ -1,4 +1,7 @@
 import nodemailer from 'nodemailer';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'email' });
 
 const transporter = nodemailer.createTransport({
   service: 'gmail',
@@ -86,10 +89,10 @@ export const sendExpiryWarningEmail = async (user, post, daysLeft) => {
 
   try {
     await transporter.sendMail(mailOptions);
-    console.log(`✅ Expiry warning email sent to ${user.email}`);
+    log.info('Expiry warning email sent', { userId: user._id, postId: post._id });
     return { success: true };
   } catch (error) {
-    console.error('❌ Error sending expiry warning email:', error);
+    log.error('Expiry warning email failed', { err: error, userId: user._id, postId: post._id });
     return { success: false, error: error.message };
   }
 };
@@ -151,10 +154,10 @@ export const sendPostExpiredEmail = async (user, post) => {
 
   try {
     await transporter.sendMail(mailOptions);
-    console.log(`✅ Post expired email sent to ${user.email}`);
+    log.info('Post expired email sent', { userId: user._id, postId: post._id });
     return { success: true };
   } catch (error) {
-    console.error('❌ Error sending post expired email:', error);
+    log.error('Post expired email failed', { err: error, userId: user._id, postId: post._id });
     return { success: false, error: error.message };
   }
 };
@@ -221,10 +224,124 @@ export const sendFinalDeletionWarningEmail = async (user, post, daysLeft) => {
 
   try {
     await transporter.sendMail(mailOptions);
-    console.log(`✅ Final deletion warning email sent to ${user.email}`);
+    log.info('Final deletion warning email sent', { userId: user._id, postId: post._id });
+    return { success: true };
+  } catch (error) {
+    log.error('Final deletion warning email failed', { err: error, userId: user._id, postId: post._id });
+    return { success: false, error: error.message };
+  }
+};
+
+// Listing text written by other users goes into the digest - keep it from becoming markup
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+
+const roomPrice = (room) =>
+  room.category === 'pg_hostel' ? room.priceRange?.min : room.monthlyRent;
+
+/**
+ * Send new listings matching the user's saved searches
+ * @param {Array} matches - [{ search, rooms, total }], rooms newest first
+ */
+export const sendSavedSearchDigestEmail = async (user, matches) => {
+  const total = matches.reduce((sum, match) => sum + match.total, 0);
+
+  const sections = matches.map(({ search, rooms, total: searchTotal }) => `
+            <div style="margin:20px 0;">
+              <div style="font-size:16px;font-weight:bold;color:#333;margin-bottom:8px;">🔍 ${escapeHtml(search.name || 'Your saved search')} (${searchTotal} new)</div>
+              ${rooms.map(room => `
+              <div style="background:white;padding:15px;border-radius:8px;margin:10px 0;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+                <div style="font-size:16px;font-weight:bold;color:#7A5AF8;margin-bottom:6px;">${escapeHtml(room.title)}</div>
+                <p style="margin:4px 0;"><strong>📍</strong> ${escapeHtml(room.location?.fullAddress || 'N/A')}</p>
+                <p style="margin:4px 0;"><strong>💰</strong> ₹${roomPrice(room) ?? 'Contact'}/month</p>
+              </div>`).join('')}
+              ${searchTotal > rooms.length ? `<p style="font-size:14px;color:#666;">+ ${searchTotal - rooms.length} more in the app</p>` : ''}
+            </div>`).join('');
+
+  const mailOptions = {
+    from: `"Steya" <${process.env.EMAIL_USER}>`,
+    to: user.email,
+    subject: `🏠 ${total} new ${total === 1 ? 'listing matches' : 'listings match'} your saved ${matches.length === 1 ? 'search' : 'searches'}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family:Arial,sans-serif;line-height:1.6;color:#333;margin:0;padding:0;">
+        <div style="max-width:600px;margin:0 auto;padding:20px;">
+          <div style="background:linear-gradient(135deg,#7A5AF8,#9B7DF7);padding:30px;text-align:center;border-radius:10px 10px 0 0;">
+            <h1 style="color:white;margin:0;font-size:24px;">🏠 New Listings For You</h1>
+          </div>
+          <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px;">
+            <p>Hi ${escapeHtml(user.name)},</p>
+            <p>These rooms were just listed in areas you're watching:</p>
+            ${sections}
+            ${createAppButton('🔍 See All New Listings')}
+            <p style="margin-top:20px;font-size:14px;color:#666;">You can change how often you get these alerts, or turn them off, from Saved Searches in the app.</p>
+          </div>
+          <div style="text-align:center;padding:20px;color:#666;font-size:12px;">
+            <p>© ${new Date().getFullYear()} Steya</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    log.info('Saved search digest email sent', { userId: user._id, searches: matches.length, total });
+    return { success: true };
+  } catch (error) {
+    log.error('Saved search digest email failed', { err: error, userId: user._id });
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send one-time login / verification code
+ */
+export const sendOtpEmail = async (email, code, expiresInMinutes) => {
+  const mailOptions = {
+    from: `"Steya" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `🔐 Your Steya code is ${code}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family:Arial,sans-serif;line-height:1.6;color:#333;margin:0;padding:0;">
+        <div style="max-width:600px;margin:0 auto;padding:20px;">
+          <div style="background:linear-gradient(135deg,#7A5AF8,#9B7DF7);padding:30px;text-align:center;border-radius:10px 10px 0 0;">
+            <h1 style="color:white;margin:0;font-size:24px;">🔐 Your Login Code</h1>
+          </div>
+          <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px;text-align:center;">
+            <p>Enter this code in the Steya app:</p>
+            <div style="font-size:32px;font-weight:bold;letter-spacing:8px;color:#7A5AF8;margin:20px 0;">${code}</div>
+            <p style="font-size:14px;color:#666;">The code expires in ${expiresInMinutes} minutes. If you didn't request it, you can ignore this email.</p>
+          </div>
+          <div style="text-align:center;padding:20px;color:#666;font-size:12px;">
+            <p>© ${new Date().getFullYear()} Steya</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    log.info('OTP email sent');
     return { success: true };
   } catch (error) {
-    console.error('❌ Error sending final deletion email:', error);
+    log.error('OTP email failed', error);
     return { success: false, error: error.message };
   }
 };
@@ -233,4 +350,6 @@ export default {
   sendExpiryWarningEmail,
   sendPostExpiredEmail,
   sendFinalDeletionWarningEmail,
+  sendSavedSearchDigestEmail,
+  sendOtpEmail,
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+import cron from 'node-cron';
+import { backfillImageVariants } from './imageBackfillService.js';
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cron' });
+
+// A slow run must not overlap the next one - both would encode the same images
+let backfillRunning = false;
+
+export function startImageBackfillJob() {
+
+  // ✅ Responsive variants for older listing images, a batch at a time (Run every hour)
+  cron.schedule('20 * * * *', () => runWithLogContext({ requestId: newRequestId(), job: 'image-variant-backfill' }, async () => {
+    if (backfillRunning) {
+      log.warn('Previous image variant backfill still going - skipping');
+      return;
+    }
+
+    backfillRunning = true;
+    try {
+      await backfillImageVariants();
+    } catch (error) {
+      log.error('Image variant backfill failed', error);
+    } finally {
+      backfillRunning = false;
+    }
+  }));
+
+  log.info('Image variant backfill job started');
+}
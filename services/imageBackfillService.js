@@ -0,0 +1,70 @@
+// services/imageBackfillService.js - responsive variants for listing images uploaded before they existed
+import { v4 as uuidv4 } from 'uuid';
+import Room from '../models/RoomSchema.js';
+import { createImageVariants, deleteRoomImages } from './imageService.js';
+import storage from './storageService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'image-backfill' });
+
+// Rooms fetched per round - each image takes a download and nine encodes
+const ROOMS_PER_BATCH = 10;
+
+const missingVariants = { variants: { $exists: false } };
+
+// Sets the variant fields on one image, unless it was removed (or backfilled) meanwhile
+const saveVariants = async (roomId, imageId, fields) => {
+  const { modifiedCount } = await Room.updateOne(
+    { _id: roomId, images: { $elemMatch: { _id: imageId, ...missingVariants } } },
+    { $set: Object.fromEntries(Object.entries(fields).map(([field, value]) => [`images.$.${field}`, value])) },
+    { timestamps: false } // not an edit - drafts' staleness and "updated" sorting stay as they were
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Makes variants and placeholders for up to `maxImages` older listing images, newest listings
+ * first. originalUrl stays as it was. An image that isn't in our storage (old S3 links) or can't
+ * be downloaded or read gets an empty variants list so it isn't retried every run - the app
+ * keeps showing originalUrl for it.
+ */
+export const backfillImageVariants = async ({ maxImages = 100 } = {}) => {
+  let created = 0;
+  let failed = 0;
+
+  while (created + failed < maxImages) {
+    const rooms = await Room.find({ isDeleted: { $ne: true }, images: { $elemMatch: missingVariants } })
+      .select('images')
+      .sort({ createdAt: -1 })
+      .limit(ROOMS_PER_BATCH)
+      .lean();
+    if (rooms.length === 0) break;
+
+    for (const room of rooms) {
+      for (const image of room.images) {
+        if (image.variants || created + failed >= maxImages) continue;
+
+        let fields = { variants: [] };
+        if (storage.owns(image.originalUrl)) {
+          try {
+            const buffer = await storage.downloadByUrl(image.originalUrl);
+            fields = await createImageVariants(buffer, `properties/${uuidv4()}-${Date.now()}-backfill`);
+          } catch (error) {
+            log.warn('Image variants could not be made', { roomId: room._id, imageId: image._id, err: error });
+          }
+        }
+
+        const saved = await saveVariants(room._id, image._id, fields);
+        if (!saved && fields.variants.length > 0) {
+          await deleteRoomImages([{ variants: fields.variants }], room._id);
+        }
+
+        if (fields.variants.length > 0) created++;
+        else failed++;
+      }
+    }
+  }
+
+  if (created + failed > 0) log.info('Image variants backfilled', { created, failed });
+  return { created, failed };
+};
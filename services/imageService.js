@@ -0,0 +1,217 @@
+// services/imageService.js - sharp processing for listing and profile images (stored via storageService)
+import sharp from "sharp";
+import { v4 as uuidv4 } from 'uuid';
+import { encode as encodeBlurhash } from 'blurhash';
+import exifReader from 'exif-reader';
+import storage from './storageService.js';
+import { hashBands } from '../utils/imageHash.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'images' });
+
+// Every stored file of a listing image - the main JPEG plus its variants
+export const imageFileUrls = (image) =>
+  [...new Set([image.originalUrl, ...(image.variants || []).map(variant => variant.url)].filter(Boolean))];
+
+// Every pipeline starts here. Phone photos are often stored sideways with an EXIF Orientation
+// tag, so that is applied to the pixels first - and nothing is ever written back: sharp drops
+// EXIF (GPS included), XMP and IPTC unless asked to keep them, and no output here asks
+const decode = (buffer) => sharp(buffer).rotate();
+
+const uploadImage = async (buffer, fileName, contentType = "image/jpeg") =>
+  (await storage.upload(buffer, fileName, contentType)).url;
+
+// 🗑️ Deletes listing images (every variant) - one image at a time, its files in parallel
+export async function deleteRoomImages(imagesToDelete, roomId) {
+  let successCount = 0;
+  let failCount = 0;
+
+  for (const image of imagesToDelete) {
+    const results = await Promise.all(imageFileUrls(image).map(url => storage.deleteByUrl(url)));
+    successCount += results.filter(Boolean).length;
+    failCount += results.filter(ok => !ok).length;
+  }
+
+  log.info('Deleted room images', { roomId, successCount, failCount });
+  return { successCount, failCount };
+}
+
+// ===== Responsive variants: every listing image in several widths and formats =====
+
+export const VARIANT_WIDTHS = [320, 640, 1280];
+
+// Listed best first - the app picks the first format it can show; JPEG always works
+export const VARIANT_FORMATS = ['avif', 'webp', 'jpeg'];
+
+const FORMAT_OPTIONS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 80 },
+  jpeg: { quality: 85, mozjpeg: true },
+};
+
+const CONTENT_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' };
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+
+// Placeholders shown while the real image loads
+async function placeholdersFor(pixels, info) {
+  const { data, info: small } = await sharp(pixels, { raw: info })
+    .resize({ width: 32, height: 32, fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const lqipBuffer = await sharp(pixels, { raw: info })
+    .resize({ width: 16 })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    blurhash: encodeBlurhash(new Uint8ClampedArray(data), small.width, small.height, 4, 3),
+    lqip: `data:image/webp;base64,${lqipBuffer.toString('base64')}`,
+  };
+}
+
+// dHash: is each pixel of a 9x8 greyscale copy darker than its right neighbour - 64 bits as hex
+export async function perceptualHash(input, raw) {
+  const { data } = await (raw ? sharp(input, { raw }) : decode(input))
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (data[row * 9 + col] < data[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Stores an image in every width / format under `baseName` (no extension) and returns the
+ * `images[]` fields for it. Small images aren't enlarged - their widths stop at their own size.
+ */
+export async function createImageVariants(fileBuffer, baseName) {
+  // Decode and shrink once; every variant is encoded from these pixels
+  const { data: pixels, info } = await decode(fileBuffer)
+    .resize({ width: Math.max(...VARIANT_WIDTHS), withoutEnlargement: true, fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const widths = [...new Set(VARIANT_WIDTHS.map(width => Math.min(width, info.width)))];
+
+  const variants = await Promise.all(widths.flatMap(width => VARIANT_FORMATS.map(async (format) => {
+    const { data, info: encoded } = await sharp(pixels, { raw: info })
+      .resize({ width })
+      .toFormat(format, FORMAT_OPTIONS[format])
+      .toBuffer({ resolveWithObject: true });
+
+    const url = await uploadImage(data, `${baseName}-${width}w.${EXTENSIONS[format]}`, CONTENT_TYPES[format]);
+    return { url, width: encoded.width, height: encoded.height, format };
+  })));
+
+  const phash = await perceptualHash(pixels, info);
+
+  return {
+    width: info.width,
+    height: info.height,
+    variants,
+    phash,
+    phashBands: hashBands(phash),
+    ...(await placeholdersFor(pixels, info)),
+  };
+}
+
+// ⚡ Process single image (NO WATERMARK) - returns the Room.images entry
+export async function processImage(fileBuffer, timestamp, index) {
+  const image = await createImageVariants(fileBuffer, `properties/${uuidv4()}-${timestamp}-${index}`);
+
+  // Older app versions only know originalUrl - the largest JPEG
+  const largestJpeg = image.variants
+    .filter(variant => variant.format === 'jpeg')
+    .reduce((largest, variant) => (variant.width > largest.width ? variant : largest));
+
+  return { originalUrl: largestJpeg.url, ...image };
+}
+
+// ⚡ OPTIMIZED: Process thumbnail (ONLY for first image)
+export async function processThumbnail(fileBuffer, timestamp) {
+  const thumbBuffer = await decode(fileBuffer)
+    .resize({
+      width: 800,
+      withoutEnlargement: true,
+      fit: 'inside'
+    })
+    .jpeg({ quality: 90, mozjpeg: true })
+    .toBuffer();
+
+  const thumbKey = `properties/thumbs/${uuidv4()}-${timestamp}-thumb.jpg`;
+  const thumbUrl = await uploadImage(thumbBuffer, thumbKey, "image/jpeg");
+
+  return thumbUrl;
+}
+
+// Smaller photos are too blurry to judge a room by (and often thumbnails lifted from elsewhere)
+export const MIN_IMAGE_SIDE = 300;
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'heif', 'gif', 'tiff', 'avif'];
+
+// Why an uploaded file can't be used as a listing photo, or null if it can
+export async function imageProblem(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return 'is not an image';
+  }
+
+  if (!IMAGE_FORMATS.includes(metadata.format)) return 'is not an image';
+  if (Math.min(metadata.width, metadata.height) < MIN_IMAGE_SIDE) {
+    return `must be at least ${MIN_IMAGE_SIDE}px on each side (got ${metadata.width}x${metadata.height})`;
+  }
+  return null;
+}
+
+const toDegrees = ([degrees = 0, minutes = 0, seconds = 0], ref) => {
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+};
+
+// Where a photo says it was taken, as [lng, lat] - read from the upload, since stored copies have no GPS.
+// Null when it doesn't say (or says 0,0 - what some cameras write without a fix)
+export async function photoCoordinates(buffer) {
+  try {
+    const { exif } = await sharp(buffer).metadata();
+    if (!exif) return null;
+
+    const { GPSInfo: gps } = exifReader(exif);
+    if (!Array.isArray(gps?.GPSLatitude) || !Array.isArray(gps?.GPSLongitude)) return null;
+
+    const lat = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const lng = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    if (lat === 0 && lng === 0) return null;
+    return [lng, lat];
+  } catch {
+    return null; // Unreadable EXIF just means no location
+  }
+}
+
+// Profile pictures are square crops
+export async function processProfileImage(fileBuffer, timestamp) {
+  const processedBuffer = await decode(fileBuffer)
+    .resize({
+      width: 800,
+      height: 800,
+      fit: 'cover',
+      position: 'center'
+    })
+    .jpeg({ quality: 90, mozjpeg: true })
+    .toBuffer();
+
+  const fileName = `profiles/${uuidv4()}-${timestamp}.jpg`;
+  const fileUrl = await uploadImage(processedBuffer, fileName, "image/jpeg");
+
+  return fileUrl;
+}
@@ -0,0 +1,122 @@
+// services/listingStatusService.js - a listing's lifecycle: draft → active ⇄ paused → rented, expired, removed
+import ChatRoom from '../models/RoomChatmodal.js';
+import Chat from '../models/chatmodal.js';
+import User from '../models/userModal.js';
+import { sendBatchPushNotifications } from '../utils/pushNotificationService.js';
+import { ConflictError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'listing-status' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where each status may go next - nothing leaves 'removed', and nothing is moved to 'expired' (time does that)
+const TRANSITIONS = {
+  draft: ['active'], // publishDraft only - the my-posts routes don't load drafts
+  active: ['paused', 'rented', 'removed'],
+  paused: ['active', 'rented', 'removed'],
+  rented: ['active', 'removed'],
+  expired: ['active', 'rented', 'removed'],
+  removed: [],
+};
+
+const RENTED_MESSAGE = 'This listing has been marked as rented, so this chat is now closed.';
+
+// The status a room is in right now - also covers posts saved before statuses existed (isActive only)
+export const listingStatus = (room) => {
+  if (room.isDeleted) return 'removed';
+  if (room.isDraft) return 'draft';
+
+  const status = room.status ?? 'active';
+  if (status !== 'active') return status;
+  if (room.isActive === false) return 'paused';
+  // PG/Hostel posts never expire
+  if (room.category !== 'pg_hostel' && room.expiryDate && new Date(room.expiryDate) <= new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * Moves a room document to `to`, keeping isActive / isDraft / isDeleted in step. Throws a
+ * ConflictError for transitions the lifecycle doesn't allow. The caller saves the room;
+ * returns the status it was in.
+ */
+export const applyListingStatus = (room, to) => {
+  const from = listingStatus(room);
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new ConflictError(`A ${from} listing can't be marked ${to}`, {
+      code: 'INVALID_STATUS_TRANSITION',
+      details: { from, to, allowed: TRANSITIONS[from] },
+    });
+  }
+
+  const now = new Date();
+  room.status = to;
+  room.statusChangedAt = now;
+  room.isActive = to === 'active';
+
+  if (from === 'draft') room.isDraft = false;
+  if (from === 'rented') room.relistedAt = now;
+  if (to === 'rented') room.rentedAt = now;
+
+  // Back up with a past expiry would still read as expired - give it a fresh 30 days
+  if (to === 'active' && room.category !== 'pg_hostel' && !(room.expiryDate > now)) {
+    room.expiryDate = new Date(now.getTime() + 30 * DAY_MS);
+  }
+
+  if (to === 'removed') {
+    room.isDeleted = true;
+    room.deletedAt = now;
+    room.deleteExpiresAt = new Date(now.getTime() + 3 * DAY_MS);
+  }
+
+  return from;
+};
+
+/**
+ * Closes the unanswered (pending) chats about a rented room: each gets a system message from
+ * the owner, is marked expired, and its inquirer gets a push. Active chats stay open - one of
+ * them is usually the new tenant. Returns how many chats were closed.
+ */
+export const closeInquiries = async (room) => {
+  const chats = await ChatRoom.find({
+    productId: room._id,
+    status: 'pending',
+    isDeleted: { $ne: true },
+  })
+    .select('inquirerId')
+    .lean();
+  if (chats.length === 0) return 0;
+
+  const now = new Date();
+  const message = {
+    sender: room.createdBy,
+    senderRole: 'owner',
+    messageType: 'system',
+    text: RENTED_MESSAGE,
+    createdAt: now,
+  };
+
+  await Chat.bulkWrite(chats.map(chat => ({
+    updateOne: { filter: { roomId: chat._id }, update: { $push: { messages: message } }, upsert: true },
+  })));
+
+  await ChatRoom.updateMany(
+    { _id: { $in: chats.map(chat => chat._id) } },
+    { status: 'expired', lastMessage: RENTED_MESSAGE, lastMessageSender: room.createdBy, lastMessageAt: now, readBy: [room.createdBy] }
+  );
+
+  const inquirers = await User.find({ _id: { $in: chats.map(chat => chat.inquirerId) }, expoPushToken: { $ne: null } })
+    .select('expoPushToken')
+    .lean();
+
+  await sendBatchPushNotifications(inquirers.map(inquirer => ({
+    pushToken: inquirer.expoPushToken,
+    title: `🏠 ${room.title} has been rented`,
+    body: RENTED_MESSAGE,
+    data: { type: 'listing_rented', roomId: room._id.toString() },
+    channelId: 'chat-messages',
+  })));
+
+  log.info('Chats closed for rented listing', { roomId: room._id, chats: chats.length });
+  return chats.length;
+};
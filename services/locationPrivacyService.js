@@ -0,0 +1,87 @@
+// services/locationPrivacyService.js - approximate listing locations for everyone the owner isn't talking to
+import ChatRoom from '../models/RoomChatmodal.js';
+
+/*
+ * Listings are 'approximate' by default: public responses get the centre of the ~500 m grid
+ * cell the pin is in and only the locality part of the address. Snapping (not random jitter)
+ * means asking again - or averaging many responses - never narrows it down.
+ *
+ * The exact pin and address go to the owner, admins, and users with an active chat with the
+ * owner. Owners can choose 'exact' for places that are public anyway (PGs, hostels).
+ */
+
+export const APPROXIMATE_GRID_DEGREES = 0.005;
+
+// Address parts kept, counted from the end ("Koramangala, Bengaluru, Karnataka 560034, India")
+const LOCALITY_PARTS = 4;
+
+const snap = (value) =>
+  Number(((Math.floor(value / APPROXIMATE_GRID_DEGREES) + 0.5) * APPROXIMATE_GRID_DEGREES).toFixed(6));
+
+export const approximateCoordinates = ([lng, lat]) => [snap(lng), snap(lat)];
+
+// Stored as Room.publicLocation so geo searches never filter or measure on an approximate room's pin
+export const publicPoint = (location, locationPrivacy) => {
+  if (!Array.isArray(location?.coordinates) || location.coordinates.length !== 2) return undefined;
+
+  const coordinates = locationPrivacy === 'exact' ? [...location.coordinates] : approximateCoordinates(location.coordinates);
+  return { type: 'Point', coordinates };
+};
+
+// The first part (house / building / street line) is always dropped
+export const localityAddress = (fullAddress = '') => {
+  const parts = String(fullAddress).split(',').map(part => part.trim()).filter(Boolean);
+  return parts.slice(Math.max(1, parts.length - LOCALITY_PARTS)).join(', ');
+};
+
+export const approximateLocation = (location) => {
+  if (!Array.isArray(location?.coordinates) || location.coordinates.length !== 2) return location;
+
+  return {
+    type: location.type || 'Point',
+    coordinates: approximateCoordinates(location.coordinates),
+    fullAddress: localityAddress(location.fullAddress),
+    isApproximate: true,
+  };
+};
+
+const idOf = (value) => String(value?._id ?? value);
+
+/**
+ * Room ids (as strings) whose exact location `viewer` may see. Rooms need `_id`, `createdBy`
+ * (id or populated) and `locationPrivacy`. One query, however many rooms.
+ */
+export const exactLocationRoomIds = async (rooms, viewer) => {
+  const visible = new Set(rooms.filter(room => room.locationPrivacy === 'exact').map(room => idOf(room._id)));
+  const hidden = rooms.filter(room => !visible.has(idOf(room._id)));
+  if (!viewer || hidden.length === 0) return visible;
+
+  if (viewer.role === 'admin') {
+    hidden.forEach(room => visible.add(idOf(room._id)));
+    return visible;
+  }
+
+  const viewerId = idOf(viewer._id);
+  const owners = [...new Set(hidden.map(room => idOf(room.createdBy)).filter(owner => owner !== viewerId))];
+  const contacts = owners.length === 0 ? [] : await ChatRoom.distinct('participants', {
+    participants: viewer._id,
+    status: 'active',
+    isDeleted: { $ne: true },
+  });
+  const contactIds = new Set(contacts.map(String));
+
+  for (const room of hidden) {
+    const owner = idOf(room.createdBy);
+    if (owner === viewerId || contactIds.has(owner)) visible.add(idOf(room._id));
+  }
+  return visible;
+};
+
+/**
+ * Plain room objects with the location approximated wherever `viewer` (req.user, may be
+ * unset) isn't allowed the exact one.
+ */
+export const withLocationPrivacy = async (rooms, viewer) => {
+  const exact = await exactLocationRoomIds(rooms, viewer);
+  return rooms.map(room => (exact.has(idOf(room._id)) ? room : { ...room, location: approximateLocation(room.location) }));
+};
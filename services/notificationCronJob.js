@@ -11,15 +11,18 @@ import {
   sendPostExpiredPush,
   sendFinalDeletionWarningPush,
 } from '../utils/pushNotificationService.js';
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cron' });
+
+// Each run gets its own correlation id so its log lines can be grouped
+const withJobContext = (job, fn) => () => runWithLogContext({ requestId: newRequestId(), job }, fn);
 
 export function startNotificationJobs() {
   
   // ✅ JOB 1: Check for posts expiring in 3 days (Run daily at 9 AM)
-  cron.schedule('0 9 * * *', async () => {
- 
-    console.log('🔔 Checking for posts expiring in 3 days...');
-
-    
+  cron.schedule('0 9 * * *', withJobContext('expiry-warning', async () => {
+    log.info('Checking for posts expiring in 3 days');
 
     try {
       const threeDaysFromNow = new Date();
@@ -39,7 +42,7 @@ export function startNotificationJobs() {
         isActive: true,
       }).populate('createdBy');
 
-      console.log(`📊 Found ${expiringPosts.length} posts expiring in 3 days`);
+      log.info('Found posts expiring in 3 days', { count: expiringPosts.length });
 
       for (const post of expiringPosts) {
         const user = post.createdBy;
@@ -54,15 +57,15 @@ export function startNotificationJobs() {
         }
       }
 
-      console.log('✅ Expiry warning notifications sent');
+      log.info('Expiry warning notifications sent');
     } catch (error) {
-      console.error('❌ Error in expiry warning job:', error);
+      log.error('Expiry warning job failed', error);
     }
-  });
+  }));
 
     // ✅ JOB 2: Check for posts expired in last 24 hours (Run daily at 10 AM)
-cron.schedule('0 10 * * *', async () => {
-  console.log('🔔 Checking for posts expired in the last 24 hours...');
+cron.schedule('0 10 * * *', withJobContext('post-expired', async () => {
+  log.info('Checking for posts expired in the last 24 hours');
 
   try {
     const now = new Date();
@@ -78,7 +81,7 @@ cron.schedule('0 10 * * *', async () => {
       isActive: true,
     }).populate('createdBy');
 
-    console.log(`📊 Found ${expiredPosts.length} newly expired posts`);
+    log.info('Found newly expired posts', { count: expiredPosts.length });
 
     for (const post of expiredPosts) {
       const user = post.createdBy;
@@ -91,18 +94,17 @@ cron.schedule('0 10 * * *', async () => {
       }
     }
 
-    console.log('✅ Notifications sent only for todays expired posts');
+    log.info('Post expired notifications sent');
   } catch (error) {
-    console.error('❌ Error in expired job:', error);
+    log.error('Post expired job failed', error);
   }
-});
+}));
 
 
   // ✅ JOB 3: Check for posts 3 days before permanent deletion (Run daily at 10 AM)
-  cron.schedule('0 11 * * *', async () => {
-  
-    console.log('🔔 Checking for posts near permanent deletion...');
-    
+  cron.schedule('0 11 * * *', withJobContext('final-deletion-warning', async () => {
+    log.info('Checking for posts near permanent deletion');
+
     try {
       const threeDaysFromNow = new Date();
       threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
@@ -120,7 +122,7 @@ $lt: twentySevenDaysAgo,
         isDeleted: false,
       }).populate('createdBy');
 
-      console.log(`📊 Found ${postsNearDeletion.length} posts near deletion`);
+      log.info('Found posts near permanent deletion', { count: postsNearDeletion.length });
 
       for (const post of postsNearDeletion) {
         const user = post.createdBy;
@@ -137,11 +139,11 @@ $lt: twentySevenDaysAgo,
         }
       }
 
-      console.log('✅ Final deletion warnings sent');
+      log.info('Final deletion warnings sent');
     } catch (error) {
-      console.error('❌ Error in deletion warning job:', error);
+      log.error('Final deletion warning job failed', error);
     }
-  });
+  }));
 
-  console.log('🎯 Notification cron jobs started!');
+  log.info('Notification cron jobs started');
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+// services/otpDelivery.js - pluggable delivery for one-time codes
+import axios from 'axios';
+import { sendOtpEmail } from './emailService.js';
+import logger from '../utils/logger.js';
+
+// Codes "sent" by the local provider, so flows can be tested without SMTP/SMS.
+// Only used when OTP_EMAIL_PROVIDER / OTP_SMS_PROVIDER say "local"
+const localOutbox = new Map();
+
+const localProvider = {
+  async send(target, code) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Local OTP provider is disabled in production');
+    }
+    localOutbox.set(target, code);
+    // Development only - printing the code is the point of this provider
+    logger.info('Local OTP issued', { target, devCode: code });
+    return { success: true };
+  }
+};
+
+const smtpProvider = {
+  async send(target, code, { expiresInMinutes }) {
+    return sendOtpEmail(target, code, expiresInMinutes);
+  }
+};
+
+// Twilio Messages API over plain HTTPS (no SDK needed)
+const twilioProvider = {
+  async send(target, code, { expiresInMinutes }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    try {
+      await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+        new URLSearchParams({
+          To: target,
+          From: process.env.TWILIO_FROM_NUMBER,
+          Body: `${code} is your Steya code. It expires in ${expiresInMinutes} minutes.`
+        }),
+        { auth: { username: sid, password: authToken } }
+      );
+      return { success: true };
+    } catch (error) {
+      logger.error('OTP SMS delivery failed', { err: error, providerMessage: error.response?.data?.message });
+      return { success: false, error: 'SMS delivery failed' };
+    }
+  }
+};
+
+const providers = {
+  email: { local: localProvider, smtp: smtpProvider },
+  phone: { local: localProvider, twilio: twilioProvider }
+};
+
+// Real delivery unless local is asked for - a missing NODE_ENV must not log codes instead of sending them
+const defaultProviders = { email: 'smtp', phone: 'twilio' };
+
+const configuredProvider = (channel) => {
+  const envName = channel === 'email' ? 'OTP_EMAIL_PROVIDER' : 'OTP_SMS_PROVIDER';
+  return process.env[envName] || defaultProviders[channel];
+};
+
+/**
+ * Register another delivery provider, e.g. registerOtpProvider('phone', 'msg91', { send })
+ * and select it with OTP_SMS_PROVIDER=msg91.
+ */
+export const registerOtpProvider = (channel, name, provider) => {
+  if (!providers[channel]) throw new Error(`Unknown OTP channel: ${channel}`);
+  providers[channel][name] = provider;
+};
+
+export const deliverOtp = async (channel, target, code, options) => {
+  const name = configuredProvider(channel);
+  const provider = providers[channel]?.[name];
+
+  if (!provider) {
+    throw new Error(`OTP provider "${name}" not registered for ${channel}`);
+  }
+
+  return provider.send(target, code, options);
+};
+
+// For tests / local development only
+export const getLastLocalOtp = (target) => localOutbox.get(target);
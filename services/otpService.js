@@ -0,0 +1,144 @@
+// services/otpService.js - issue and verify hashed one-time codes
+import crypto from 'crypto';
+import OtpCode from '../models/OtpCode.js';
+import { deliverOtp } from './otpDelivery.js';
+import { BadRequestError, RateLimitedError, UpstreamError } from '../utils/errors.js';
+
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '+91';
+
+/**
+ * Normalise an email / phone number, or return null if it is not valid.
+ * Phone numbers are stored in E.164; 10-digit local numbers get DEFAULT_COUNTRY_CODE.
+ */
+export const normalizeTarget = (channel, raw) => {
+  if (typeof raw !== 'string') return null;
+
+  if (channel === 'email') {
+    const email = raw.trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  }
+
+  if (channel === 'phone') {
+    let phone = raw.replace(/[\s\-()]/g, '');
+    if (/^\d{10}$/.test(phone)) phone = `${DEFAULT_COUNTRY_CODE}${phone}`;
+    return /^\+\d{8,15}$/.test(phone) ? phone : null;
+  }
+
+  return null;
+};
+
+// Keyed with a server secret so a leaked OTP collection can't be brute-forced offline
+const hashCode = (target, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${target}:${code}`)
+    .digest('hex');
+
+/**
+ * Generate, store and deliver a code.
+ * Throws (status 429) when the target is asking too often.
+ */
+export const requestOtp = async ({ channel, target, purpose = 'login', userId = null }) => {
+  const since = new Date(Date.now() - SEND_WINDOW_MS);
+
+  const recent = await OtpCode.find({ channel, target, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+
+  if (recent.length > 0) {
+    const waitMs = recent[0].createdAt.getTime() + RESEND_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      throw new RateLimitedError('Please wait before requesting another code', {
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+  }
+
+  if (recent.length >= MAX_SENDS_PER_WINDOW) {
+    throw new RateLimitedError('Too many codes requested. Try again later.');
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new code replaces any unused earlier one
+  await OtpCode.updateMany(
+    { channel, target, purpose, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+
+  await OtpCode.create({
+    channel,
+    target,
+    purpose,
+    userId,
+    codeHash: hashCode(target, code),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  });
+
+  const delivery = await deliverOtp(channel, target, code, { expiresInMinutes: OTP_TTL_MINUTES });
+  if (!delivery?.success) {
+    throw new UpstreamError('Failed to send code');
+  }
+
+  return { expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+/**
+ * Check a code and consume it. Returns the OtpCode document, or throws (400) if it doesn't match.
+ * Every guess counts; after OTP_MAX_ATTEMPTS the code is burned.
+ */
+export const verifyOtp = async ({ channel, target, code, purpose = 'login', userId = null }) => {
+  const otp = await OtpCode.findOne({
+    channel,
+    target,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+    ...(userId ? { userId } : {})
+  }).sort({ createdAt: -1 });
+
+  if (!otp) {
+    throw new BadRequestError('Code expired or not found');
+  }
+
+  // Take the attempt before comparing, so parallel guesses can't get past OTP_MAX_ATTEMPTS
+  const attempt = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!attempt) {
+    throw new BadRequestError('Code expired or not found');
+  }
+
+  const expected = Buffer.from(attempt.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(target, String(code ?? '')), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    if (attempt.attempts >= OTP_MAX_ATTEMPTS) {
+      await OtpCode.updateOne({ _id: attempt._id, consumedAt: null }, { consumedAt: new Date() });
+    }
+    throw new BadRequestError('Invalid code', { details: { attemptsLeft: OTP_MAX_ATTEMPTS - attempt.attempts } });
+  }
+
+  // Atomic consume so the same code can't be used twice in parallel
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: attempt._id, consumedAt: null },
+    { consumedAt: new Date() },
+    { new: true }
+  );
+
+  if (!consumed) {
+    throw new BadRequestError('Code expired or not found');
+  }
+
+  return consumed;
+};
@@ -0,0 +1,150 @@
+// services/phoneRevealService.js - inquirers ask for a listing owner's number, owners approve, every reveal is counted
+import PhoneReveal from '../models/PhoneReveal.js';
+import Room from '../models/RoomSchema.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import User from '../models/userModal.js';
+import { sendBatchPushNotifications } from '../utils/pushNotificationService.js';
+import { BadRequestError, ForbiddenError, NotFoundError, RateLimitedError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'phone-reveal' });
+
+// New requests per user per 24h - enough to contact real listings, too few to harvest numbers
+const REVEALS_PER_DAY = Number(process.env.PHONE_REVEALS_PER_DAY) || 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const notify = (userId, message) => {
+  User.findById(userId)
+    .select('expoPushToken')
+    .lean()
+    .then(user => user?.expoPushToken && sendBatchPushNotifications([{ pushToken: user.expoPushToken, ...message }]))
+    .catch(error => log.error('Phone reveal notification failed', { userId, err: error }));
+};
+
+// Throws RATE_LIMITED (with retryAfter) once the requester has used up the last 24h
+const assertUnderDailyLimit = async (requesterId, now) => {
+  const recent = await PhoneReveal.find({ requester: requesterId, createdAt: { $gte: new Date(now - DAY_MS) } })
+    .sort({ createdAt: 1 })
+    .limit(REVEALS_PER_DAY)
+    .select('createdAt')
+    .lean();
+
+  if (recent.length >= REVEALS_PER_DAY) {
+    const retryAfter = Math.ceil((recent[0].createdAt.getTime() + DAY_MS - now) / 1000);
+    throw new RateLimitedError(`You can ask for up to ${REVEALS_PER_DAY} phone numbers a day`, { retryAfter, details: { limit: REVEALS_PER_DAY } });
+  }
+};
+
+/**
+ * Asks for the number of `roomId`'s owner. Needs a chat about the listing; asking again returns
+ * the same request. Approved straight away when the owner auto-approves (their setting, or
+ * showPhonePublic on the listing). Returns { reveal, created }.
+ */
+export const requestPhoneReveal = async ({ roomId, requesterId }) => {
+  const room = await Room.findOne({ _id: roomId, isDraft: { $ne: true }, isDeleted: { $ne: true } })
+    .select('createdBy contactPhone showPhonePublic title')
+    .lean();
+  if (!room) throw new NotFoundError('Room not found');
+
+  if (room.createdBy.toString() === requesterId.toString()) throw new BadRequestError('This is your own listing');
+  if (!room.contactPhone) throw new NotFoundError('The owner has not added a phone number', { code: 'NO_PHONE_NUMBER' });
+
+  const existing = await PhoneReveal.findOne({ room: room._id, requester: requesterId });
+  if (existing) return { reveal: existing, created: false };
+
+  const chatRoom = await ChatRoom.findOne({
+    productId: room._id,
+    ownerId: room.createdBy,
+    inquirerId: requesterId,
+    status: { $ne: 'cancelled' },
+    isDeleted: { $ne: true },
+  }).select('_id').lean();
+  if (!chatRoom) throw new ForbiddenError('Start a chat with the owner first', { code: 'CHAT_REQUIRED' });
+
+  const now = Date.now();
+  await assertUnderDailyLimit(requesterId, now);
+
+  const owner = await User.findById(room.createdBy).select('phoneRevealMode').lean();
+  const autoApproved = room.showPhonePublic || owner?.phoneRevealMode === 'auto';
+
+  let reveal;
+  try {
+    reveal = await PhoneReveal.create({
+      room: room._id,
+      chatRoom: chatRoom._id,
+      owner: room.createdBy,
+      requester: requesterId,
+      status: autoApproved ? 'approved' : 'pending',
+      autoApproved,
+      decidedAt: autoApproved ? new Date(now) : null,
+    });
+  } catch (error) {
+    // A parallel request won the race
+    if (error.code !== 11000) throw error;
+    return { reveal: await PhoneReveal.findOne({ room: room._id, requester: requesterId }), created: false };
+  }
+
+  log.info('Phone number requested', { revealId: reveal._id, roomId: room._id, autoApproved });
+
+  if (!autoApproved) {
+    notify(room.createdBy, {
+      title: '📞 Phone number request',
+      body: `Someone chatting about "${room.title}" would like your number`,
+      data: { type: 'phone_reveal_request', revealId: reveal._id.toString(), screen: 'PhoneRequests' },
+    });
+  }
+
+  return { reveal, created: true };
+};
+
+/**
+ * The owner's number for an approved reveal, or null - each call is one reveal in the audit
+ * trail. `via` says where it was shown ('api' or 'chat').
+ */
+export const revealPhone = async (reveal, via) => {
+  if (reveal.status !== 'approved') return null;
+
+  const room = await Room.findById(reveal.room).select('contactPhone').lean();
+  if (!room?.contactPhone) return null;
+
+  const now = new Date();
+  await PhoneReveal.updateOne(
+    { _id: reveal._id },
+    { $inc: { revealCount: 1 }, $set: { lastRevealedAt: now, firstRevealedAt: reveal.firstRevealedAt ?? now } }
+  );
+
+  log.info('Phone number revealed', { revealId: reveal._id, roomId: reveal.room, requesterId: reveal.requester, via });
+  return room.contactPhone;
+};
+
+// The number for a chat's inquirer, if the owner has let them have it
+export const approvedPhoneFor = async ({ roomId, requesterId }) => {
+  const reveal = await PhoneReveal.findOne({ room: roomId, requester: requesterId, status: 'approved' });
+  return reveal ? revealPhone(reveal, 'chat') : null;
+};
+
+// Owners can change their mind either way - declining later stops further reveals
+export const decidePhoneReveal = async ({ revealId, ownerId, approve }) => {
+  const reveal = await PhoneReveal.findOne({ _id: revealId, owner: ownerId });
+  if (!reveal) throw new NotFoundError('Request not found');
+
+  const status = approve ? 'approved' : 'declined';
+  if (reveal.status === status) return reveal;
+
+  reveal.status = status;
+  reveal.autoApproved = false;
+  reveal.decidedAt = new Date();
+  await reveal.save();
+
+  log.info('Phone number request decided', { revealId: reveal._id, status });
+
+  if (approve) {
+    notify(reveal.requester, {
+      title: '📞 Phone number shared',
+      body: 'The owner shared their phone number with you',
+      data: { type: 'phone_reveal_approved', revealId: reveal._id.toString(), roomId: reveal.room.toString() },
+    });
+  }
+
+  return reveal;
+};
@@ -0,0 +1,76 @@
+// services/photoLocationService.js - flags listings whose photos were taken far from the listing's pin
+import Room from '../models/RoomSchema.js';
+import Report from '../models/report.js';
+import { haversineKm } from '../utils/geo.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'photo-location' });
+
+// Photo GPS is off by tens of metres and pins are often placed roughly - only flag real gaps.
+// PHOTO_LOCATION_MAX_KM=0 turns the check off
+const MAX_DISTANCE_KM = Number(process.env.PHOTO_LOCATION_MAX_KM ?? 5);
+
+const hasPin = (room) => Array.isArray(room.location?.coordinates) && room.location.coordinates.length === 2;
+
+/**
+ * Photos taken further than MAX_DISTANCE_KM from the room, as [{ imageUrl, distanceKm }].
+ * `photos` are [{ imageUrl, coordinates: [lng, lat] }] - coordinates read from the uploads.
+ */
+export const findPhotoLocationMismatches = (room, photos) => {
+  if (!(MAX_DISTANCE_KM > 0) || !hasPin(room)) return [];
+
+  return photos
+    .filter(photo => photo.coordinates)
+    .map(photo => ({
+      imageUrl: photo.imageUrl,
+      distanceKm: Math.round(haversineKm(photo.coordinates, room.location.coordinates) * 10) / 10,
+    }))
+    .filter(photo => photo.distanceKm > MAX_DISTANCE_KM);
+};
+
+/**
+ * Files a wrong_info report for photos taken far from the room (one open report per room -
+ * later photos don't pile on) and flags the room. Returns the number of new reports.
+ */
+export const reportPhotoLocationMismatches = async (room, photos) => {
+  const photoLocations = findPhotoLocationMismatches(room, photos);
+  if (photoLocations.length === 0) return 0;
+
+  let filed = 0;
+  const alreadyReported = await Report.exists({
+    reportedRoom: room._id,
+    source: 'system',
+    'evidence.photoLocations': { $exists: true },
+    status: 'pending',
+  });
+  if (!alreadyReported) {
+    const furthest = Math.max(...photoLocations.map(photo => photo.distanceKm));
+    await Report.create({
+      source: 'system',
+      reportedRoom: room._id,
+      reason: 'wrong_info',
+      description: `${photoLocations.length} photo(s) were taken up to ${furthest} km from the listing's location`,
+      evidence: { photoLocations },
+    });
+    filed++;
+  }
+
+  // Not an edit by the owner - updatedAt stays as it was
+  await Room.updateOne({ _id: room._id }, { $set: { photoLocationFlagged: true } }, { timestamps: false });
+
+  log.warn('Listing photos taken far from its location', {
+    roomId: room._id,
+    photos: photoLocations.length,
+    reportsFiled: filed,
+  });
+  return filed;
+};
+
+// Upload paths call this - the check runs in the background and never fails the upload
+export const checkPhotoLocationsInBackground = (room, photos) => {
+  if (!photos.some(photo => photo.coordinates)) return;
+
+  reportPhotoLocationMismatches(room, photos).catch(error =>
+    log.error('Photo location check failed', { roomId: room._id, err: error })
+  );
+};
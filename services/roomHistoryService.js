@@ -0,0 +1,118 @@
+// services/roomHistoryService.js - revision history of published listings, and telling inquirers what changed
+import RoomRevision from '../models/RoomRevision.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import User from '../models/userModal.js';
+import { sendBatchPushNotifications } from '../utils/pushNotificationService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'room-history' });
+
+// Everything an owner can change about a listing - engagement counters and moderation flags aren't edits
+export const TRACKED_FIELDS = [
+  'category', 'title', 'description', 'images', 'location', 'locationPrivacy', 'contactPhone', 'showPhonePublic',
+  'monthlyRent', 'priceRange', 'securityDeposit',
+  'roommatesWanted', 'genderPreference', 'habitPreferences', 'purpose',
+  'availableSpace', 'pgGenderCategory', 'roomTypesAvailable', 'mealsProvided', 'amenities', 'rules',
+  'propertyType', 'furnishedStatus', 'squareFeet', 'bedrooms', 'bathrooms', 'balconies', 'floorNumber',
+  'totalFloors', 'tenantPreference', 'parking', 'isActive', 'status',
+];
+
+// Changes people who already enquired hear about
+const RENT_FIELDS = new Set(['monthlyRent', 'priceRange', 'securityDeposit']);
+const AVAILABILITY_FIELDS = new Set(['status', 'availableSpace', 'roommatesWanted']);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (value?.constructor === Object && Object.values(value).every(isEmpty));
+
+// Stored form of a value: plain JSON, images as URLs, nothing / [] / {} all as null
+const comparable = (field, value) => {
+  if (isEmpty(value)) return null;
+  if (field === 'images') return value.map(image => image.originalUrl);
+  if (field === 'location') return { coordinates: value.coordinates ?? null, fullAddress: value.fullAddress ?? '' };
+  return JSON.parse(JSON.stringify(value));
+};
+
+// [{ field, from, to }] for every tracked field that differs between two versions of a room
+export const diffRoom = (before, after) => TRACKED_FIELDS
+  .map(field => ({ field, from: comparable(field, before[field]), to: comparable(field, after[field]) }))
+  .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+const price = (value) => (value === null ? 'not set' : `₹${value}`);
+
+// One line of the push for a change inquirers care about
+const describeChange = ({ field, from, to }) => {
+  switch (field) {
+    case 'monthlyRent':
+      return `Rent is now ${price(to)} (was ${price(from)})`;
+    case 'securityDeposit':
+      return `Deposit is now ${price(to)} (was ${price(from)})`;
+    case 'priceRange':
+      return `Prices are now ${price(to?.min ?? null)} - ${price(to?.max ?? null)}`;
+    case 'status':
+      if (to === 'active') return 'Available again';
+      return to === 'rented' ? 'Has been rented out' : 'No longer available';
+    case 'availableSpace':
+    case 'roommatesWanted':
+      return `${to ?? 0} place(s) available`;
+    default:
+      return null;
+  }
+};
+
+// Inquirers with an active chat about the room get one push listing the rent / availability changes
+export const notifyInquirers = async (room, changes) => {
+  const lines = changes
+    .filter(change => RENT_FIELDS.has(change.field) || AVAILABILITY_FIELDS.has(change.field))
+    .map(describeChange)
+    .filter(Boolean);
+  if (lines.length === 0) return 0;
+
+  const inquirerIds = await ChatRoom.distinct('inquirerId', {
+    productId: room._id,
+    status: 'active',
+    isDeleted: { $ne: true },
+  });
+  if (inquirerIds.length === 0) return 0;
+
+  const inquirers = await User.find({ _id: { $in: inquirerIds }, expoPushToken: { $ne: null } })
+    .select('expoPushToken')
+    .lean();
+
+  await sendBatchPushNotifications(inquirers.map(inquirer => ({
+    pushToken: inquirer.expoPushToken,
+    title: `🏠 ${room.title} was updated`,
+    body: lines.join(' · '),
+    data: { type: 'listing_updated', roomId: room._id.toString(), fields: changes.map(change => change.field) },
+    channelId: 'property-alerts',
+  })));
+
+  log.info('Inquirers told about listing changes', { roomId: room._id, inquirers: inquirers.length });
+  return inquirers.length;
+};
+
+/**
+ * Stores a revision for whatever changed between `before` and `after` (plain room objects) and
+ * lets inquirers know about rent / availability changes. Returns the revision, or null when
+ * nothing tracked changed.
+ */
+export const recordRoomChanges = async ({ before, after, editedBy = null, action }) => {
+  const changes = diffRoom(before, after);
+  if (changes.length === 0) return null;
+
+  const revision = await RoomRevision.create({ room: after._id, editedBy, action, changes });
+
+  notifyInquirers(after, changes).catch(error =>
+    log.error('Listing change notification failed', { roomId: after._id, err: error })
+  );
+
+  return revision;
+};
+
+// For edits that have already been saved - a failed history write is logged, not returned to the owner
+export const recordRoomChangesInBackground = (edit) => {
+  recordRoomChanges(edit).catch(error =>
+    log.error('Listing revision not recorded', { roomId: edit.after?._id, err: error })
+  );
+};
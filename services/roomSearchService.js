@@ -0,0 +1,335 @@
+// services/roomSearchService.js - geo + text search stages for getRooms, map clusters, autocomplete and the search-field backfill
+import Room from '../models/RoomSchema.js';
+import logger from '../utils/logger.js';
+import { localityAddress } from './locationPrivacyService.js';
+import { sortSpec } from '../utils/pagination.js';
+import { MAX_QUERY_TOKENS, buildSearchFields, normalizeText, tokenize, trigramsFor } from '../utils/searchText.js';
+
+const log = logger.child({ component: 'search' });
+
+// Share of the query a room has to match to be a result at all
+const MIN_TEXT_SCORE = 0.4;
+
+// Final rank = TEXT_WEIGHT * text relevance + (1 - TEXT_WEIGHT) * closeness
+const TEXT_WEIGHT = 0.7;
+
+// Within text relevance: fuzzy trigram overlap vs. whole-word / prefix matches
+const GRAM_WEIGHT = 0.7;
+
+const AUTOCOMPLETE_CANDIDATES = 200;
+
+// Map tiles are 360 / 2^zoom degrees wide; 4 cells per tile is roughly one cluster per 64px
+const CLUSTER_CELLS_PER_TILE = 4;
+const MAX_CLUSTERS = 500;
+
+// At this zoom and closer the map gets individual rooms
+export const CLUSTER_MAX_ZOOM = 13;
+
+// Feed orders for getRooms' sort= (also the cursor keys). Ties go to the closer room.
+const FEED_SORTS = {
+  distance: [['distance', 1], ['_id', -1]],
+  relevance: [['searchScore', -1], ['distance', 1], ['_id', -1]],
+  price_asc: [['hasPrice', -1], ['listedPrice', 1], ['distance', 1], ['_id', -1]],
+  price_desc: [['hasPrice', -1], ['listedPrice', -1], ['distance', 1], ['_id', -1]],
+  newest: [['createdAt', -1], ['_id', -1]],
+  most_viewed: [['viewCount', -1], ['distance', 1], ['_id', -1]],
+  most_favorited: [['favoriteCount', -1], ['distance', 1], ['_id', -1]],
+};
+
+// PGs list a range - compare their cheapest option against the others' monthly rent
+const listedPrice = { $cond: [{ $eq: ['$category', 'pg_hostel'] }, '$priceRange.min', '$monthlyRent'] };
+
+// Sort keys that aren't stored on the room
+const DERIVED_SORT_FIELDS = {
+  hasPrice: { $cond: [{ $isNumber: listedPrice }, 1, 0] }, // unpriced rooms go last either way
+  listedPrice: { $ifNull: [listedPrice, 0] },
+  viewCount: { $ifNull: ['$views', 0] },
+  favoriteCount: { $size: { $ifNull: ['$favorites', []] } },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Share of the query grams the room has
+const gramOverlap = (grams) => ({
+  $divide: [{ $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }, grams.length],
+});
+
+// Share of the query tokens that are a word (or the start of a word) in the room
+const prefixHits = (tokens) => ({
+  $divide: [
+    {
+      $add: tokens.map(token => ({
+        $cond: [
+          {
+            $anyElementTrue: [{
+              $map: {
+                input: { $ifNull: ['$searchTokens', []] },
+                as: 'word',
+                in: { $eq: [{ $substrCP: ['$$word', 0, token.length] }, token] },
+              },
+            }],
+          },
+          1,
+          0,
+        ],
+      })),
+    },
+    tokens.length,
+  ],
+});
+
+// Where the public sees a room (0 = lng, 1 = lat) - the exact pin only if the owner chose that
+const publicCoordinate = (index) => ({ $arrayElemAt: ['$publicLocation.coordinates', index] });
+
+// Great-circle distance in km from centre to where each room is shown
+const distanceFrom = ([lng, lat]) => {
+  const roomLng = { $degreesToRadians: publicCoordinate(0) };
+  const roomLat = { $degreesToRadians: publicCoordinate(1) };
+  const centreLat = (lat * Math.PI) / 180;
+  const halfSin = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] });
+
+  return {
+    $multiply: [2 * 6371, {
+      $asin: {
+        $sqrt: {
+          $add: [
+            halfSin({ $subtract: [roomLat, centreLat] }),
+            {
+              $multiply: [
+                Math.cos(centreLat),
+                { $cos: roomLat },
+                halfSin({ $subtract: [roomLng, (lng * Math.PI) / 180] }),
+              ],
+            },
+          ],
+        },
+      },
+    }],
+  };
+};
+
+/**
+ * First pipeline stages for a room search. Rooms are matched on their public position and come
+ * out with `distance` (km) from centre to it - filtering or measuring on the exact pin would
+ * give approximate rooms away (a small viewport or radius slid over the map, or the distance
+ * sort and cursor keys).
+ * - area (GeoJSON ring): rooms inside it, e.g. the visible map viewport
+ * - otherwise: rooms within radiusKm of centre
+ */
+export const locateStages = ({ centre, area, radiusKm, query }) => {
+  if (area) {
+    return [
+      { $match: { ...query, publicLocation: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [area] } } } } },
+      { $addFields: { distance: distanceFrom(centre) } },
+    ];
+  }
+
+  return [{
+    $geoNear: {
+      near: { type: 'Point', coordinates: centre },
+      key: 'publicLocation',
+      distanceField: 'distance',
+      spherical: true,
+      distanceMultiplier: 0.001, // km
+      query,
+      maxDistance: radiusKm * 1000,
+    },
+  }];
+};
+
+export const clusterCellDegrees = (zoom) => 360 / 2 ** zoom / CLUSTER_CELLS_PER_TILE;
+
+/**
+ * Replaces the room list at low zoom: one entry per grid cell with the room count and the
+ * average position. Cells are fixed to the world grid so clusters don't jump when panning.
+ */
+export const clusterStages = (zoom) => {
+  const cell = clusterCellDegrees(zoom);
+  const lng = publicCoordinate(0);
+  const lat = publicCoordinate(1);
+
+  return [
+    {
+      $group: {
+        _id: { x: { $floor: { $divide: [lng, cell] } }, y: { $floor: { $divide: [lat, cell] } } },
+        count: { $sum: 1 },
+        lng: { $avg: lng },
+        lat: { $avg: lat },
+        roomId: { $first: '$_id' },
+      },
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_CLUSTERS },
+    {
+      $project: {
+        _id: 0,
+        cell: { $concat: [{ $toString: '$_id.x' }, ':', { $toString: '$_id.y' }] },
+        count: 1,
+        lng: 1,
+        lat: 1,
+        // A cell with one room can open it directly
+        roomId: { $cond: [{ $eq: ['$count', 1] }, '$roomId', '$$REMOVE'] },
+      },
+    },
+  ];
+};
+
+/**
+ * Returns { tokens, grams } for a search string, or null if it has nothing searchable
+ * (empty, or only filler words like "near").
+ */
+export const parseSearchQuery = (q) => {
+  const tokens = tokenize(q).slice(0, MAX_QUERY_TOKENS);
+  return tokens.length > 0 ? { tokens, grams: trigramsFor(tokens) } : null;
+};
+
+// Merged into the $geoNear query - rooms sharing no trigram with the query are skipped early
+export const textMatchFilter = (search) => ({ searchGrams: { $in: search.grams } });
+
+/**
+ * Pipeline stages to run right after $geoNear (distance in km): scores every room
+ * (searchScore, a text / distance blend) and drops weak matches.
+ */
+export const textRankStages = (search, maxDistanceKm) => [
+  {
+    $addFields: {
+      textScore: {
+        $add: [
+          { $multiply: [GRAM_WEIGHT, gramOverlap(search.grams)] },
+          { $multiply: [1 - GRAM_WEIGHT, prefixHits(search.tokens)] },
+        ],
+      },
+    },
+  },
+  { $match: { textScore: { $gte: MIN_TEXT_SCORE } } },
+  {
+    $addFields: {
+      searchScore: {
+        $add: [
+          { $multiply: [TEXT_WEIGHT, '$textScore'] },
+          {
+            $multiply: [
+              1 - TEXT_WEIGHT,
+              { $max: [0, { $subtract: [1, { $divide: ['$distance', maxDistanceKm] }] }] },
+            ],
+          },
+        ],
+      },
+    },
+  },
+];
+
+// Relevance is the text / distance blend for searches and plain distance otherwise
+export const feedSort = (mode = 'relevance', search = null) =>
+  mode === 'relevance' && !search ? FEED_SORTS.distance : FEED_SORTS[mode];
+
+// Computes the sort's derived keys (kept on the output for the cursor) and sorts
+export const feedSortStages = (sort) => {
+  const derived = Object.fromEntries(
+    sort.filter(([field]) => DERIVED_SORT_FIELDS[field]).map(([field]) => [field, DERIVED_SORT_FIELDS[field]])
+  );
+
+  return [
+    ...(Object.keys(derived).length > 0 ? [{ $addFields: derived }] : []),
+    { $sort: sortSpec(sort) },
+  ];
+};
+
+/**
+ * Suggestions for a partly typed search: localities (address parts) and listing words
+ * starting with the last word typed, most common first. With coordinates only nearby
+ * rooms are considered.
+ */
+export const autocomplete = async ({ q, lat, lng, maxDistanceMeters, baseQuery, limit = 8 }) => {
+  const words = normalizeText(q).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const prefix = words.pop();
+  if (!prefix || prefix.length < 2) return [];
+
+  const leading = words.join(' ');
+  const query = { ...baseQuery, searchTokens: { $regex: `^${escapeRegex(prefix)}` } };
+
+  const pipeline = lat !== undefined && lng !== undefined
+    ? [{
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'publicLocation',
+        distanceField: 'distance',
+        spherical: true,
+        query,
+        maxDistance: maxDistanceMeters,
+      },
+    }]
+    : [{ $match: query }];
+
+  const rooms = await Room.aggregate([
+    ...pipeline,
+    { $limit: AUTOCOMPLETE_CANDIDATES },
+    { $project: { searchTokens: 1, 'location.fullAddress': 1, locationPrivacy: 1 } },
+  ]);
+
+  const suggestions = new Map();
+  const add = (text, type) => {
+    const key = normalizeText(text);
+    const entry = suggestions.get(key) || { text, type, count: 0 };
+    entry.count += 1;
+    suggestions.set(key, entry);
+  };
+
+  for (const room of rooms) {
+    // Street lines of approximate rooms stay private here too
+    const address = room.locationPrivacy === 'exact' ? room.location?.fullAddress : localityAddress(room.location?.fullAddress);
+    for (const part of (address || '').split(',')) {
+      const locality = part.trim();
+      const normalized = normalizeText(locality);
+      const localityWords = normalized.split(/[^\p{L}\p{N}]+/u);
+      if (localityWords.some(word => word.startsWith(prefix)) && normalized.includes(leading)) {
+        add(locality, 'locality');
+      }
+    }
+
+    for (const token of room.searchTokens || []) {
+      if (token.startsWith(prefix)) add(leading ? `${leading} ${token}` : token, 'term');
+    }
+  }
+
+  return [...suggestions.values()]
+    .sort((a, b) =>
+      (a.type === 'locality' ? 0 : 1) - (b.type === 'locality' ? 0 : 1) ||
+      b.count - a.count ||
+      a.text.length - b.text.length)
+    .slice(0, limit);
+};
+
+// Rooms saved before search (or publicLocation) existed are missing search fields - fill them in batches
+export const backfillSearchFields = async ({ batchSize = 200 } = {}) => {
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Room.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  const cursor = Room.find({
+    $or: [
+      { searchGrams: { $exists: false } },
+      { publicLocation: { $exists: false }, 'location.coordinates.1': { $exists: true } },
+    ],
+  })
+    .select('title description location locationPrivacy amenities')
+    .lean()
+    .cursor();
+
+  for await (const room of cursor) {
+    batch.push({
+      updateOne: { filter: { _id: room._id }, update: { $set: buildSearchFields(room) } },
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  if (updated > 0) log.info('Search fields backfilled', { updated });
+  return updated;
+};
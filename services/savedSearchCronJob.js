@@ -0,0 +1,44 @@
+import cron from 'node-cron';
+import { runSavedSearchAlerts } from './savedSearchService.js';
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cron' });
+
+// Each run gets its own correlation id so its log lines can be grouped
+const withJobContext = (job, fn) => () => runWithLogContext({ requestId: newRequestId(), job }, fn);
+
+// A slow run must not overlap the next one - both would alert the same rooms
+let instantRunning = false;
+
+export function startSavedSearchJobs() {
+
+  // ✅ JOB 1: Instant alerts for new matching listings (Run every 10 minutes)
+  cron.schedule('*/10 * * * *', withJobContext('saved-search-instant', async () => {
+    if (instantRunning) {
+      log.warn('Previous instant saved search run still going - skipping');
+      return;
+    }
+
+    instantRunning = true;
+    try {
+      await runSavedSearchAlerts('instant');
+    } catch (error) {
+      log.error('Instant saved search alerts failed', error);
+    } finally {
+      instantRunning = false;
+    }
+  }));
+
+  // ✅ JOB 2: Daily digest of new matching listings (Run daily at 8 AM)
+  cron.schedule('0 8 * * *', withJobContext('saved-search-daily', async () => {
+    log.info('Sending daily saved search digests');
+
+    try {
+      await runSavedSearchAlerts('daily');
+    } catch (error) {
+      log.error('Daily saved search alerts failed', error);
+    }
+  }));
+
+  log.info('Saved search cron jobs started');
+}
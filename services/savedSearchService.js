@@ -0,0 +1,128 @@
+// services/savedSearchService.js - matches new listings against saved searches and sends the alert digests
+import Room from '../models/RoomSchema.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { sendSavedSearchDigestEmail } from './emailService.js';
+import { localityAddress } from './locationPrivacyService.js';
+import { sendBatchPushNotifications } from '../utils/pushNotificationService.js';
+import logger from '../utils/logger.js';
+import { buildFilterQuery, visibleRoomsQuery } from '../utils/roomQuery.js';
+
+const log = logger.child({ component: 'saved-search' });
+
+// $centerSphere takes the radius in radians
+const EARTH_RADIUS_KM = 6378.1;
+
+// Rooms listed per search in a digest - the rest are only counted
+const ROOMS_PER_SEARCH = 5;
+
+const ownerId = (search) => search.owner?._id ?? search.owner;
+
+export const searchLabel = (search) => search.name || 'your saved search';
+
+/**
+ * Rooms a saved search would show in getRooms (same visibility, category and filter
+ * rules), apart from the owner's own listings.
+ */
+export const roomQueryFor = (search) => {
+  const query = visibleRoomsQuery();
+
+  if (search.category && search.category !== 'all') {
+    query.category = search.category;
+  }
+
+  if (search.filters && Object.keys(search.filters).length > 0) {
+    Object.assign(query, buildFilterQuery(search.filters, search.category));
+  }
+
+  // Same public position getRooms filters on - matching the pin would give approximate rooms away
+  query.publicLocation = {
+    $geoWithin: { $centerSphere: [search.center.coordinates, search.radiusKm / EARTH_RADIUS_KM] },
+  };
+  query.createdBy = { $ne: ownerId(search) };
+
+  return query;
+};
+
+// Rooms published since the search was last alerted, newest first (drafts count from publishing)
+export const findNewMatches = async (search, until) => {
+  const query = {
+    ...roomQueryFor(search),
+    publishedAt: { $gt: search.lastNotifiedAt, $lte: until },
+  };
+
+  const [rooms, total] = await Promise.all([
+    Room.find(query)
+      .select('title category monthlyRent priceRange location.fullAddress locationPrivacy thumbnail publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(ROOMS_PER_SEARCH)
+      .lean(),
+    Room.countDocuments(query),
+  ]);
+
+  // Alerts go to strangers - only the locality of approximate listings
+  const visibleRooms = rooms.map(room => (room.locationPrivacy === 'exact' ? room : {
+    ...room,
+    location: { ...room.location, fullAddress: localityAddress(room.location?.fullAddress) },
+  }));
+
+  return { rooms: visibleRooms, total };
+};
+
+const digestPush = (user, matches) => {
+  const total = matches.reduce((sum, match) => sum + match.total, 0);
+  const [first] = matches;
+
+  return {
+    pushToken: user.expoPushToken,
+    title: `🏠 ${total} new ${total === 1 ? 'listing' : 'listings'} for ${matches.length === 1 ? searchLabel(first.search) : 'your saved searches'}`,
+    body: total === 1 ? first.rooms[0].title : `${first.rooms[0].title} and ${total - 1} more`,
+    data: {
+      type: 'saved_search_alert',
+      searchIds: matches.map(match => match.search._id.toString()),
+      screen: 'SavedSearches',
+    },
+    channelId: 'property-alerts',
+  };
+};
+
+/**
+ * One run of the alert job for a frequency: every search gets the rooms published since
+ * its last run, and each owner gets one push + one email covering all their searches.
+ */
+export const runSavedSearchAlerts = async (frequency) => {
+  const until = new Date();
+  const digests = new Map(); // owner id -> { user, matches: [{ search, rooms, total }] }
+  const checked = [];
+
+  const searches = SavedSearch.find({ frequency, lastNotifiedAt: { $lt: until } })
+    .populate('owner', 'name email expoPushToken isDeleted')
+    .cursor();
+
+  for await (const search of searches) {
+    checked.push(search._id);
+    if (!search.owner || search.owner.isDeleted) continue;
+
+    const { rooms, total } = await findNewMatches(search, until);
+    if (total === 0) continue;
+
+    const key = String(ownerId(search));
+    const digest = digests.get(key) || { user: search.owner, matches: [] };
+    digest.matches.push({ search, rooms, total });
+    digests.set(key, digest);
+  }
+
+  const pushes = [];
+  for (const { user, matches } of digests.values()) {
+    if (user.expoPushToken) pushes.push(digestPush(user, matches));
+    if (user.email) await sendSavedSearchDigestEmail(user, matches);
+  }
+  if (pushes.length > 0) await sendBatchPushNotifications(pushes);
+
+  // Searches without new rooms move forward too, so the next run only looks at newer listings
+  if (checked.length > 0) {
+    await SavedSearch.updateMany({ _id: { $in: checked } }, { $set: { lastNotifiedAt: until } });
+  }
+
+  log.info('Saved search alerts sent', { frequency, searches: checked.length, users: digests.size });
+  return { searches: checked.length, users: digests.size };
+};
@@ -0,0 +1,277 @@
+// services/storageService.js - file storage behind one interface: Backblaze B2 in production,
+// the local filesystem for development and tests (STORAGE_DRIVER=local)
+import fs from 'fs/promises';
+import path from 'path';
+import B2 from 'backblaze-b2';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const log = logger.child({ component: 'storage' });
+
+/*
+ * Every driver has:
+ *
+ *   upload(buffer, fileName, contentType)  -> { fileId, fileName, url }
+ *   find(fileName)                         -> { fileId, fileName, size } | null (latest version)
+ *   download(fileId)                       -> Buffer
+ *   deleteFile({ fileId, fileName })       -> deletes that exact version
+ *   deleteByUrl(url)                       -> true when gone or not ours (Google avatars, old S3 links)
+ *   downloadByUrl(url)                     -> Buffer (our files only - other URLs are never fetched)
+ *   owns(url) / fileNameFromUrl(url)
+ *   supportsDirectUploads, issueUploadTarget(fileName) -> { uploadUrl, headers } for the app
+ */
+
+// Files the app uploads itself may only go under this prefix (the B2 upload key is restricted to it)
+export const DIRECT_UPLOAD_PREFIX = 'uploads/';
+
+// B2 auth tokens last 24h - renew a little earlier
+const AUTH_TTL_MS = 23 * 60 * 60 * 1000;
+
+// Expired auth (401), throttling and server errors are worth another try; bad requests aren't
+const RETRYABLE_STATUSES = new Set([401, 408, 429, 500, 502, 503, 504]);
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK']);
+
+export const isRetryable = (error) =>
+  error.response ? RETRYABLE_STATUSES.has(error.response.status) : NETWORK_ERROR_CODES.has(error.code);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `fn` up to `attempts` times, waiting baseDelayMs, 2x, 4x ... (with jitter) between
+ * tries. Errors that won't go away on their own are thrown straight away.
+ */
+export async function withRetry(fn, { attempts = 4, baseDelayMs = 250, label = 'storage call' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+
+      const delay = baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+      log.warn('Storage call failed - retrying', { label, attempt, delayMs: Math.round(delay), status: error.response?.status, code: error.code });
+      await sleep(delay);
+    }
+  }
+}
+
+// URL helpers and deleteByUrl are the same for every driver
+function withUrlHelpers(driver, publicUrl) {
+  const prefix = `${publicUrl}/`;
+
+  const fileNameFromUrl = (url) => {
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+    return decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+  };
+
+  return {
+    ...driver,
+    publicUrl,
+    urlFor: (fileName) => `${prefix}${fileName}`,
+    fileNameFromUrl,
+    owns: (url) => fileNameFromUrl(url) !== null,
+
+    async downloadByUrl(url) {
+      const fileName = fileNameFromUrl(url);
+      if (!fileName) throw new Error(`Not a file in our storage: ${url}`);
+
+      const file = await driver.find(fileName);
+      if (!file) throw new Error(`File not found: ${fileName}`);
+      return driver.download(file.fileId);
+    },
+
+    async deleteByUrl(url) {
+      const fileName = fileNameFromUrl(url);
+      if (!fileName) {
+        log.debug('Skipping delete of a file that is not ours', { url });
+        return true; // Not a failure - nothing of ours to delete
+      }
+
+      try {
+        const file = await driver.find(fileName);
+        if (!file) {
+          log.warn('File to delete not found', { fileName });
+          return false;
+        }
+
+        await driver.deleteFile(file);
+        log.debug('Deleted file', { fileName });
+        return true;
+      } catch (error) {
+        log.error('File delete failed', { err: error, url });
+        return false;
+      }
+    },
+  };
+}
+
+// Authorizes once per AUTH_TTL_MS (concurrent callers share the request); a 401 drops the token
+function b2Session(client) {
+  let authorizedUntil = 0;
+  let authorizing = null;
+
+  return async (label, fn) => withRetry(async () => {
+    if (Date.now() >= authorizedUntil) {
+      authorizing ||= client.authorize()
+        .then(() => { authorizedUntil = Date.now() + AUTH_TTL_MS; })
+        .finally(() => { authorizing = null; });
+      await authorizing;
+    }
+
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.response?.status === 401) authorizedUntil = 0;
+      throw error;
+    }
+  }, { label });
+}
+
+export function createB2Driver({ keyId, key, bucketId, publicUrl, uploadKeyId, uploadKey }) {
+  if (!keyId || !key || !bucketId || !publicUrl) {
+    throw new Error("Missing required B2 environment variables!");
+  }
+
+  // Retries are ours (for uploads too), not the client's
+  const client = new B2({ applicationKeyId: keyId, applicationKey: key, retry: { retries: 0 } });
+  const call = b2Session(client);
+
+  // Tokens handed to the app can write any file their key may write, so they come from a second
+  // key that B2 restricts to DIRECT_UPLOAD_PREFIX - never from the main key
+  const uploadClient = uploadKeyId && uploadKey
+    ? new B2({ applicationKeyId: uploadKeyId, applicationKey: uploadKey, retry: { retries: 0 } })
+    : null;
+  const uploadCall = uploadClient ? b2Session(uploadClient) : null;
+
+  const driver = {
+    name: 'b2',
+    supportsDirectUploads: Boolean(uploadClient),
+
+    async upload(buffer, fileName, contentType = 'application/octet-stream') {
+      // A fresh upload URL per try - B2 asks for a new one after any failure
+      const { data } = await call('upload', async () => {
+        const { data: target } = await client.getUploadUrl({ bucketId });
+        return client.uploadFile({
+          uploadUrl: target.uploadUrl,
+          uploadAuthToken: target.authorizationToken,
+          fileName,
+          data: buffer,
+          mime: contentType,
+          // ⚡ Names are never reused, so the CDN may cache forever
+          info: { 'Cache-Control': 'public, max-age=31536000, immutable' },
+        });
+      });
+
+      return { fileId: data?.fileId, fileName, url: `${publicUrl}/${fileName}` };
+    },
+
+    async find(fileName) {
+      const { data } = await call('find', () =>
+        client.listFileNames({ bucketId, prefix: fileName, maxFileCount: 1 })
+      );
+      const file = data.files.find(candidate => candidate.fileName === fileName);
+      return file ? { fileId: file.fileId, fileName, size: file.contentLength } : null;
+    },
+
+    async download(fileId) {
+      const { data } = await call('download', () =>
+        client.downloadFileById({ fileId, responseType: 'arraybuffer' })
+      );
+      return Buffer.from(data);
+    },
+
+    async deleteFile({ fileId, fileName }) {
+      await call('delete', () => client.deleteFileVersion({ fileId, fileName }));
+    },
+
+    // One URL per file - a B2 upload URL can't take two uploads at the same time
+    async issueUploadTarget(fileName) {
+      if (!uploadCall) throw new Error('Direct uploads are not configured');
+
+      const { data } = await uploadCall('upload target', () => uploadClient.getUploadUrl({ bucketId }));
+      return {
+        uploadUrl: data.uploadUrl,
+        headers: {
+          Authorization: data.authorizationToken,
+          'X-Bz-File-Name': encodeURIComponent(fileName),
+          'Content-Type': 'b2/x-auto',
+        },
+      };
+    },
+  };
+
+  return withUrlHelpers(driver, publicUrl);
+}
+
+// Files live under `root` with their storage names; the file name doubles as the file id
+export function createLocalDriver({ root, publicUrl }) {
+  const base = path.resolve(root);
+
+  const pathFor = (fileName) => {
+    const filePath = path.resolve(base, fileName);
+    if (!filePath.startsWith(base + path.sep)) throw new Error(`Invalid file name: ${fileName}`);
+    return filePath;
+  };
+
+  const driver = {
+    name: 'local',
+    root: base,
+    supportsDirectUploads: false,
+
+    async upload(buffer, fileName) {
+      const filePath = pathFor(fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { fileId: fileName, fileName, url: `${publicUrl}/${fileName}` };
+    },
+
+    async find(fileName) {
+      try {
+        const { size } = await fs.stat(pathFor(fileName));
+        return { fileId: fileName, fileName, size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async download(fileId) {
+      return fs.readFile(pathFor(fileId));
+    },
+
+    async deleteFile({ fileId, fileName }) {
+      await fs.rm(pathFor(fileId || fileName), { force: true });
+    },
+
+    async issueUploadTarget() {
+      throw new Error('Direct uploads need the B2 driver');
+    },
+  };
+
+  return withUrlHelpers(driver, publicUrl);
+}
+
+function createStorageFromEnv() {
+  if (process.env.STORAGE_DRIVER === 'local') {
+    return createLocalDriver({
+      root: process.env.LOCAL_STORAGE_DIR || 'storage',
+      publicUrl: process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 8080}/storage`,
+    });
+  }
+
+  return createB2Driver({
+    keyId: process.env.B2_APP_KEY_ID,
+    key: process.env.B2_APP_KEY,
+    bucketId: process.env.B2_BUCKET_ID,
+    publicUrl: process.env.CDN_URL,
+    uploadKeyId: process.env.B2_UPLOAD_KEY_ID,
+    uploadKey: process.env.B2_UPLOAD_KEY,
+  });
+}
+
+const storage = createStorageFromEnv();
+
+log.info('Storage ready', { driver: storage.name, directUploads: storage.supportsDirectUploads });
+
+export default storage;
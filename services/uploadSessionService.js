@@ -0,0 +1,304 @@
+// services/uploadSessionService.js - direct-to-B2 uploads: the app uploads originals itself,
+// the worker (services/uploadWorker.js) resizes them and attaches the results
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Room, { MAX_IMAGES } from '../models/RoomSchema.js';
+import User from '../models/userModal.js';
+import UploadSession from '../models/UploadSession.js';
+import { deleteRoomImages, imageProblem, photoCoordinates, processImage, processProfileImage, processThumbnail } from './imageService.js';
+import { checkDuplicatePhotosInBackground } from './duplicatePhotoService.js';
+import { checkPhotoLocationsInBackground } from './photoLocationService.js';
+import storage, { DIRECT_UPLOAD_PREFIX } from './storageService.js';
+import { BadRequestError, ConflictError, NotFoundError, UnavailableError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'uploads' });
+
+// Upload URLs are good for 24h, but a session that long is abandoned
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Same cap as the multipart profile upload (multer's fileSize)
+export const MAX_ORIGINAL_BYTES = 10 * 1024 * 1024;
+
+// How long a worker holds a session before another one may take it over
+const LOCK_MS = 5 * 60 * 1000;
+
+// Download / database failures are retried; a session failing this often is given up
+const MAX_ATTEMPTS = 3;
+
+export const sessionResponse = (session) => ({
+  _id: session._id,
+  purpose: session.purpose,
+  room: session.room,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  error: session.error,
+  files: session.files.map(file => ({ fileName: file.fileName, status: file.status, url: file.url, error: file.error })),
+});
+
+/**
+ * Opens a session with one B2 upload URL per file. The app uploads each original with the
+ * returned headers (plus X-Bz-Content-Sha1), then calls completeUploadSession.
+ */
+export const createUploadSession = async ({ owner, purpose, roomId, count }) => {
+  if (!storage.supportsDirectUploads) {
+    throw new UnavailableError('Direct uploads are not set up - upload the images through the API instead');
+  }
+
+  if (purpose === 'room') {
+    const room = await Room.findOne({ _id: roomId, createdBy: owner, isDeleted: { $ne: true } }).select('images');
+    if (!room) throw new NotFoundError('Room not found');
+
+    if (room.images.length + count > MAX_IMAGES) {
+      throw new ConflictError(`A listing can have up to ${MAX_IMAGES} images`, {
+        details: { limit: MAX_IMAGES, current: room.images.length },
+      });
+    }
+  }
+
+  // Names nobody else can guess, under the only prefix the upload key may write
+  const sessionId = new mongoose.Types.ObjectId();
+  const fileNames = Array.from({ length: count }, (_, index) =>
+    `${DIRECT_UPLOAD_PREFIX}originals/${owner}/${sessionId}/${index}-${uuidv4()}`
+  );
+
+  const targets = await Promise.all(fileNames.map(fileName => storage.issueUploadTarget(fileName)));
+
+  const session = await UploadSession.create({
+    _id: sessionId,
+    owner,
+    purpose,
+    room: purpose === 'room' ? roomId : undefined,
+    files: fileNames.map(fileName => ({ fileName })),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+  });
+
+  log.info('Upload session opened', { sessionId, purpose, count });
+
+  const uploads = fileNames.map((fileName, index) => ({ fileName, ...targets[index] }));
+
+  return { session, uploads };
+};
+
+/**
+ * Checks every original is in B2, pins the uploaded version and queues the session for the
+ * worker. Calling it again for a queued / processed session just returns it.
+ */
+export const completeUploadSession = async (sessionId, owner) => {
+  const session = await UploadSession.findOne({ _id: sessionId, owner });
+  if (!session) throw new NotFoundError('Upload session not found');
+
+  if (session.status !== 'open') {
+    if (session.status === 'expired') {
+      throw new ConflictError('Upload session expired - start a new one', { code: 'UPLOAD_SESSION_EXPIRED' });
+    }
+    return session;
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw new ConflictError('Upload session expired - start a new one', { code: 'UPLOAD_SESSION_EXPIRED' });
+  }
+
+  const found = await Promise.all(session.files.map(file => storage.find(file.fileName)));
+
+  const problems = [];
+  found.forEach((uploaded, index) => {
+    const { fileName } = session.files[index];
+    if (!uploaded) problems.push({ fileName, message: 'not uploaded' });
+    else if (uploaded.size > MAX_ORIGINAL_BYTES) problems.push({ fileName, message: `larger than ${MAX_ORIGINAL_BYTES / (1024 * 1024)}MB` });
+  });
+  if (problems.length > 0) {
+    throw new BadRequestError('Some images were not uploaded correctly', { details: problems });
+  }
+
+  session.files.forEach((file, index) => {
+    file.status = 'uploaded';
+    file.b2FileId = found[index].fileId;
+    file.size = found[index].size;
+  });
+  session.status = 'queued';
+  await session.save();
+
+  log.info('Upload session queued', { sessionId: session._id, files: session.files.length });
+
+  return session;
+};
+
+// Originals are only needed until the processed images exist
+const deleteOriginals = async (session) => {
+  for (const file of session.files) {
+    try {
+      const version = file.b2FileId ? { fileId: file.b2FileId, fileName: file.fileName } : await storage.find(file.fileName);
+      if (version) await storage.deleteFile(version);
+    } catch (error) {
+      log.warn('Failed to delete upload original', { sessionId: session._id, fileName: file.fileName, err: error });
+    }
+  }
+};
+
+const attachToRoom = async (session, images, thumbnailUrl, photos) => {
+  // Atomic, so parallel sessions and form uploads can't overshoot the limit
+  const updated = await Room.findOneAndUpdate(
+    {
+      _id: session.room,
+      createdBy: session.owner,
+      isDeleted: { $ne: true },
+      [`images.${MAX_IMAGES - images.length}`]: { $exists: false },
+    },
+    { $push: { images: { $each: images } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await deleteRoomImages([...images, { originalUrl: thumbnailUrl }], session.room);
+    return 'The listing is gone or already has the maximum number of images';
+  }
+
+  if (thumbnailUrl) {
+    const { modifiedCount } = await Room.updateOne(
+      { _id: session.room, 'thumbnail.url': { $exists: false } },
+      { $set: { thumbnail: { url: thumbnailUrl } } }
+    );
+    // Another upload got there first
+    if (modifiedCount === 0) await storage.deleteByUrl(thumbnailUrl);
+  }
+
+  checkDuplicatePhotosInBackground(updated);
+  checkPhotoLocationsInBackground(updated, photos);
+
+  return null;
+};
+
+const attachToProfile = async (session, [pictureUrl]) => {
+  const user = await User.findOne({ _id: session.owner, isDeleted: { $ne: true } }).select('picture');
+  if (!user) {
+    await storage.deleteByUrl(pictureUrl);
+    return 'Account not found';
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { picture: pictureUrl } });
+
+  // Old picture goes only if it's ours (not a Google profile picture)
+  if (user.picture && storage.owns(user.picture)) {
+    await storage.deleteByUrl(user.picture);
+  }
+
+  return null;
+};
+
+/**
+ * Resizes a claimed session's originals, attaches them and removes the originals. Files are
+ * handled one at a time so a 10-image session never holds more than one original in memory.
+ */
+export const processUploadSession = async (session) => {
+  const timestamp = Date.now();
+  let thumbnailUrl = null;
+  const processed = []; // Room.images entries or the profile picture URL, in upload order
+  const photos = []; // Where each room image was taken, for the location check
+
+  const needsThumbnail = session.purpose === 'room'
+    && !(await Room.exists({ _id: session.room, 'thumbnail.url': { $exists: true } }));
+
+  for (const [index, file] of session.files.entries()) {
+    const buffer = await storage.download(file.b2FileId);
+
+    // A file that can't be used fails on its own; any other error throws and the session is retried
+    const problem = await imageProblem(buffer);
+    if (problem) {
+      file.status = 'failed';
+      file.error = `Image ${problem}`;
+      log.warn('Uploaded file rejected', { sessionId: session._id, fileName: file.fileName, problem });
+      continue;
+    }
+
+    if (session.purpose === 'profile') {
+      file.url = await processProfileImage(buffer, timestamp);
+      processed.push(file.url);
+    } else {
+      const [image, thumbUrl] = await Promise.all([
+        processImage(buffer, timestamp, index),
+        needsThumbnail && !thumbnailUrl ? processThumbnail(buffer, timestamp) : null,
+      ]);
+      file.url = image.originalUrl;
+      processed.push(image);
+      photos.push({ imageUrl: image.originalUrl, coordinates: await photoCoordinates(buffer) });
+      thumbnailUrl ||= thumbUrl;
+    }
+    file.status = 'ready';
+  }
+
+  let error = processed.length === 0 ? 'None of the uploaded files could be used as images' : null;
+  if (!error) {
+    error = session.purpose === 'profile'
+      ? await attachToProfile(session, processed)
+      : await attachToRoom(session, processed, thumbnailUrl, photos);
+  }
+
+  await deleteOriginals(session);
+
+  session.status = error ? 'failed' : 'done';
+  session.error = error ?? undefined;
+  session.lockedUntil = null;
+  await session.save();
+
+  log.info('Upload session processed', { sessionId: session._id, status: session.status, ready: processed.length });
+  return session;
+};
+
+// Takes the oldest queued session (or one whose worker died) so only one worker handles it
+export const claimNextUploadSession = (now = new Date()) =>
+  UploadSession.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'processing', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { updatedAt: 1 }, new: true }
+  );
+
+// Works through the queue; returns how many sessions were handled
+export const processUploadQueue = async () => {
+  let handled = 0;
+
+  for (let session = await claimNextUploadSession(); session; session = await claimNextUploadSession()) {
+    handled++;
+
+    if (session.attempts > MAX_ATTEMPTS) {
+      await deleteOriginals(session);
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: 'failed', error: 'Processing kept failing', lockedUntil: null } }
+      );
+      log.error('Upload session given up', { sessionId: session._id, attempts: session.attempts });
+      continue;
+    }
+
+    try {
+      await processUploadSession(session);
+    } catch (error) {
+      // Back in the queue for the next tick
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'queued', lockedUntil: null } });
+      log.error('Upload session processing failed', { sessionId: session._id, attempts: session.attempts, err: error });
+    }
+  }
+
+  return handled;
+};
+
+// Sessions the app never completed: remove whatever it did upload
+export const expireUploadSessions = async (now = new Date()) => {
+  const sessions = await UploadSession.find({ status: 'open', expiresAt: { $lt: now } }).limit(100);
+
+  for (const session of sessions) {
+    await deleteOriginals(session);
+    await UploadSession.updateOne({ _id: session._id, status: 'open' }, { $set: { status: 'expired' } });
+  }
+
+  if (sessions.length > 0) log.info('Upload sessions expired', { count: sessions.length });
+  return sessions.length;
+};
@@ -0,0 +1,31 @@
+import { expireUploadSessions, processUploadQueue } from './uploadSessionService.js';
+import logger, { newRequestId, runWithLogContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'upload-worker' });
+
+// Completed sessions are picked up within this
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// A slow tick must not overlap the next one
+let running = false;
+
+const tick = () => runWithLogContext({ requestId: newRequestId(), job: 'upload-worker' }, async () => {
+  if (running) return;
+
+  running = true;
+  try {
+    await expireUploadSessions();
+    await processUploadQueue();
+  } catch (error) {
+    log.error('Upload worker tick failed', error);
+  } finally {
+    running = false;
+  }
+});
+
+export function startUploadWorker() {
+  // Doesn't keep the process alive on its own
+  setInterval(tick, POLL_INTERVAL_MS).unref();
+
+  log.info('Upload worker started', { intervalMs: POLL_INTERVAL_MS });
+}
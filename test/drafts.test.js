@@ -0,0 +1,84 @@
+// test/drafts.test.js - step-by-step listing drafts and publishing
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, signIn, startApp, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+
+const alice = user('alice');
+const DRAFT_ID = ids.draft;
+
+const api = startApp();
+const request = (method, path, body) => api(method, path, { user: alice, body });
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(alice);
+});
+
+describe('listing drafts', () => {
+  it('saves a partial listing as a draft with no expiry yet', async () => {
+    mock.method(Room, 'countDocuments', async () => 0);
+    const save = mock.method(Room.prototype, 'save', async function () {
+      await this.validate();
+      return this;
+    });
+
+    const res = await request('POST', '/api/drafts', { category: 'shared', title: 'Room in 3BHK' });
+
+    assert.equal(res.status, 201);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(res.body.draft.isDraft, true);
+    assert.equal(res.body.draft.expiryDate, null);
+    assert.equal(res.body.draft.publishedAt, null);
+  });
+
+  it('refuses to publish until the category\'s required fields and an image are there', async () => {
+    const draft = new Room({ _id: DRAFT_ID, createdBy: alice._id, isDraft: true, category: 'shared', title: 'Room in 3BHK' });
+    mock.method(Room, 'findOne', async () => draft);
+    const save = mock.method(Room.prototype, 'save', async function () { return this; });
+
+    const res = await request('POST', `/api/drafts/${DRAFT_ID}/publish`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    const fields = res.body.details.map(problem => problem.field);
+    for (const field of ['images', 'description', 'location.coordinates', 'roommatesWanted']) {
+      assert.ok(fields.includes(field), `expected a problem for ${field}`);
+    }
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('publishes a complete draft', async () => {
+    const draft = new Room({
+      _id: DRAFT_ID,
+      createdBy: alice._id,
+      isDraft: true,
+      publishedAt: null,
+      category: 'shared',
+      title: 'Room in 3BHK',
+      description: 'Sunny room',
+      roommatesWanted: 1,
+      location: { type: 'Point', coordinates: [77.62, 12.93] },
+      images: [{ originalUrl: 'https://cdn.example.com/properties/a.jpg' }],
+      thumbnail: { url: 'https://cdn.example.com/properties/thumbs/a.jpg' },
+    });
+    mock.method(Room, 'findOne', async () => draft);
+    mock.method(Room.prototype, 'save', async function () { return this; });
+
+    const res = await request('POST', `/api/drafts/${DRAFT_ID}/publish`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.room.isDraft, false);
+    assert.ok(res.body.room.publishedAt);
+    assert.ok(new Date(res.body.room.expiryDate) > new Date());
+  });
+
+  it('keeps drafts out of the feed', async () => {
+    const aggregate = mock.method(Room, 'aggregate', async () => []);
+
+    await api('GET', '/api/getrooms?lat=12.97&lng=77.59');
+
+    const [geoNear] = aggregate.mock.calls[0].arguments[0];
+    assert.ok(geoNear.$geoNear.query.$and.some(condition => condition.isDraft?.$ne === true));
+  });
+});
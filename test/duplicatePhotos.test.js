@@ -0,0 +1,155 @@
+// test/duplicatePhotos.test.js - perceptual hashes, duplicate-photo reports and upload checks
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { ids, query, signIn, startApp, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import Report from '../models/report.js';
+import { perceptualHash } from '../services/imageService.js';
+import { reportDuplicatePhotos } from '../services/duplicatePhotoService.js';
+import { hashBands, hashDistance, MAX_HASH_DISTANCE } from '../utils/imageHash.js';
+
+const alice = user('alice');
+const bob = user('bob');
+const ROOM_ID = ids.room;
+const OTHER_ROOM_ID = ids.otherRoom;
+const DRAFT_ID = ids.draft;
+
+// Something with structure to hash - a flat colour hashes to all zeros
+const photo = (width, height, { flip = false } = {}) => sharp(Buffer.from(`
+  <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="100%" height="100%" fill="#eee"/>
+    <circle cx="${flip ? '70%' : '30%'}" cy="40%" r="20%" fill="#246"/>
+    <rect x="${flip ? '10%' : '55%'}" y="55%" width="35%" height="30%" fill="#c63"/>
+  </svg>`)).jpeg().toBuffer();
+
+const request = startApp();
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(alice);
+});
+
+describe('perceptual hashes', () => {
+  it('match a resized, re-compressed copy but not a different photo', async () => {
+    const original = await perceptualHash(await photo(1200, 900));
+    const copy = await perceptualHash(await sharp(await photo(1200, 900)).resize(500).jpeg({ quality: 60 }).toBuffer());
+    const other = await perceptualHash(await photo(1200, 900, { flip: true }));
+
+    assert.ok(hashDistance(original, copy) <= MAX_HASH_DISTANCE);
+    assert.ok(hashDistance(original, other) > MAX_HASH_DISTANCE);
+  });
+
+  it('always share a band key when within the match distance', () => {
+    const hash = 'f0e1d2c3b4a59687';
+    for (let trial = 0; trial < 200; trial++) {
+      let flipped = BigInt(`0x${hash}`);
+      const bits = new Set();
+      while (bits.size < MAX_HASH_DISTANCE) bits.add(Math.floor(Math.random() * 64));
+      for (const bit of bits) flipped ^= 1n << BigInt(bit);
+      const near = flipped.toString(16).padStart(16, '0');
+
+      const shared = hashBands(hash).filter(key => hashBands(near).includes(key));
+      assert.ok(shared.length > 0, `no shared band for ${near}`);
+    }
+  });
+});
+
+describe('duplicate photo reports', () => {
+  const phash = 'f0e1d2c3b4a59687';
+  const room = {
+    _id: ROOM_ID,
+    createdBy: alice._id,
+    images: [{ originalUrl: 'https://cdn.example.com/properties/new.jpg', phash, phashBands: hashBands(phash) }],
+  };
+
+  it('reports a listing whose photos are on another user\'s listing', async () => {
+    const find = mock.method(Room, 'find', () => query([{
+      _id: OTHER_ROOM_ID,
+      createdBy: bob._id,
+      title: 'Sunny 1BHK',
+      images: [{ originalUrl: 'https://cdn.example.com/properties/old.jpg', phash: 'f0e1d2c3b4a59686' }],
+    }]));
+    mock.method(Report, 'exists', async () => null);
+    const create = mock.method(Report, 'create', async (doc) => doc);
+    const updateOne = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const filed = await reportDuplicatePhotos(room);
+
+    assert.equal(filed, 1);
+    assert.deepEqual(find.mock.calls[0].arguments[0].createdBy, { $ne: alice._id });
+    const [report] = create.mock.calls[0].arguments;
+    assert.equal(report.source, 'system');
+    assert.equal(report.reason, 'fake_listing');
+    assert.equal(report.reportedRoom, ROOM_ID);
+    assert.equal(report.evidence.matchedRoom, OTHER_ROOM_ID);
+    assert.deepEqual(report.evidence.photoMatches, [{
+      imageUrl: 'https://cdn.example.com/properties/new.jpg',
+      matchedImageUrl: 'https://cdn.example.com/properties/old.jpg',
+      distance: 1,
+    }]);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { duplicatePhotosFlagged: true } });
+  });
+
+  it('ignores band collisions that are not real matches', async () => {
+    mock.method(Room, 'find', () => query([{
+      _id: OTHER_ROOM_ID,
+      createdBy: bob._id,
+      images: [{ originalUrl: 'https://cdn.example.com/properties/other.jpg', phash: 'f0e10000000000ff' }],
+    }]));
+    const create = mock.method(Report, 'create', async (doc) => doc);
+
+    assert.equal(await reportDuplicatePhotos(room), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('accepts system reports without a reporter', async () => {
+    const report = new Report({ source: 'system', reportedRoom: ROOM_ID, reason: 'fake_listing' });
+    await report.validate();
+  });
+});
+
+describe('upload checks', () => {
+  it('rejects images below the minimum resolution before touching the draft', async () => {
+    const findOne = mock.method(Room, 'findOne', async () => null);
+    const form = new FormData();
+    form.append('image', new Blob([await photo(200, 150)], { type: 'image/jpeg' }), 'small.jpg');
+
+    const { status, body } = await request('POST', `/api/drafts/${DRAFT_ID}/images`, { user: alice, body: form });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.match(body.details[0].message, /at least 300px/);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('rejects files that are not images', async () => {
+    const form = new FormData();
+    form.append('image', new Blob(['%PDF-1.4 not a photo'], { type: 'image/jpeg' }), 'fake.jpg');
+
+    const { status, body } = await request('POST', `/api/drafts/${DRAFT_ID}/images`, { user: alice, body: form });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].message, 'is not an image');
+  });
+});
+
+describe('public responses', () => {
+  it('leave the photo hashes out of the feed and the listing page', async () => {
+    const aggregate = mock.method(Room, 'aggregate', async () => []);
+    let selected;
+    mock.method(Room, 'findOne', () => ({
+      select(fields) {
+        selected = fields;
+        return { populate: async () => null };
+      },
+    }));
+
+    await request('GET', '/api/getrooms?lat=12.97&lng=77.59');
+    await request('GET', `/api/singleroom/${ROOM_ID}`);
+
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0].at(-1), { $project: { 'images.phash': 0, 'images.phashBands': 0 } });
+    assert.equal(selected['images.phash'], 0);
+    assert.equal(selected['images.phashBands'], 0);
+  });
+});
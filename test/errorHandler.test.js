@@ -0,0 +1,67 @@
+// test/errorHandler.test.js - every failure comes back in the same envelope
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, query, SESSION_ID, startApp } from './helpers.js';
+import User from '../models/userModal.js';
+import Session from '../models/Session.js';
+
+const USER_ID = ids.alice;
+
+const request = startApp();
+
+const assertEnvelope = (res, status, code) => {
+  assert.equal(res.status, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+  assert.equal(typeof res.body.message, 'string');
+  assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(Session, 'exists', async () => ({ _id: SESSION_ID }));
+});
+
+describe('error envelope', () => {
+  it('answers unknown routes with NOT_FOUND', async () => {
+    const res = await request('GET', '/api/does-not-exist');
+    assertEnvelope(res, 404, 'NOT_FOUND');
+  });
+
+  it('lists validation failures in details', async () => {
+    const res = await request('GET', '/api/users/not-an-id');
+
+    assertEnvelope(res, 400, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details, [{ location: 'params', field: 'userId', message: 'must be a valid id' }]);
+  });
+
+  it('reports malformed JSON as BAD_REQUEST', async () => {
+    const res = await request('POST', '/api/auth/refresh', { body: '{"refreshToken":' });
+    assertEnvelope(res, 400, 'BAD_REQUEST');
+  });
+
+  it('turns errors thrown in async handlers into their status', async () => {
+    mock.method(User, 'findOne', () => query(null));
+
+    const res = await request('GET', `/api/users/${USER_ID}`);
+
+    assertEnvelope(res, 404, 'NOT_FOUND');
+    assert.equal(res.body.message, 'User not found');
+  });
+
+  it('hides the message of unexpected errors', async () => {
+    mock.method(User, 'findOne', () => query(Promise.reject(new Error('connection pool exhausted'))));
+
+    const res = await request('GET', `/api/users/${USER_ID}`);
+
+    assertEnvelope(res, 500, 'INTERNAL_ERROR');
+    assert.ok(!JSON.stringify(res.body).includes('connection pool'));
+  });
+
+  it('tells the app when a token was revoked', async () => {
+    mock.method(User, 'findById', () => query({ _id: USER_ID, tokensValidAfter: new Date(Date.now() + 60_000) }));
+    const res = await request('GET', '/api/auth/identities', { user: { _id: USER_ID } });
+
+    assertEnvelope(res, 401, 'TOKEN_REVOKED');
+  });
+});
@@ -0,0 +1,139 @@
+// test/getRooms.test.js - radius, viewport and cluster modes of GET /api/getrooms
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+
+const request = startApp();
+
+let aggregate;
+
+const getRooms = (params) => request('GET', `/api/getrooms?${new URLSearchParams(params)}`);
+
+const lastPipeline = () => aggregate.mock.calls.at(-1).arguments[0];
+
+beforeEach(() => {
+  mock.restoreAll();
+  aggregate = mock.method(Room, 'aggregate', async () => []);
+});
+
+describe('GET /api/getrooms', () => {
+  it('searches a caller-chosen radius around lat/lng', async () => {
+    const res = await getRooms({ lat: 12.97, lng: 77.59, radiusKm: 5 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, 'rooms');
+    const [first] = lastPipeline();
+    assert.deepEqual(first.$geoNear.near.coordinates, [77.59, 12.97]);
+    assert.equal(first.$geoNear.maxDistance, 5000);
+  });
+
+  it('rejects radii outside the allowed range', async () => {
+    const res = await getRooms({ lat: 12.97, lng: 77.59, radiusKm: 500 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects latitudes past the poles and pages over 50 rooms', async () => {
+    const polygon = await getRooms({ polygon: JSON.stringify([[77.5, 12.9], [77.7, 120], [77.6, 13.1]]) });
+    assert.equal(polygon.status, 400);
+    assert.deepEqual(polygon.body.details.map(detail => detail.field), ['polygon[1][1]']);
+
+    const limit = await getRooms({ lat: 12.97, lng: 77.59, limit: 51 });
+    assert.equal(limit.status, 400);
+  });
+
+  it('returns rooms inside the viewport without a centre point', async () => {
+    const res = await getRooms({ bbox: '77.5,12.9,77.7,13.1' });
+
+    assert.equal(res.status, 200);
+    const [match, addDistance] = lastPipeline();
+    assert.deepEqual(match.$match.publicLocation.$geoWithin.$geometry.coordinates[0], [
+      [77.5, 12.9], [77.7, 12.9], [77.7, 13.1], [77.5, 13.1], [77.5, 12.9],
+    ]);
+    assert.ok(addDistance.$addFields.distance);
+  });
+
+  it('closes polygons and refuses ones wider than a hemisphere', async () => {
+    const ok = await getRooms({ polygon: JSON.stringify([[77.5, 12.9], [77.7, 12.9], [77.6, 13.1]]) });
+    assert.equal(ok.status, 200);
+    assert.equal(lastPipeline()[0].$match.publicLocation.$geoWithin.$geometry.coordinates[0].length, 4);
+
+    const huge = await getRooms({ polygon: JSON.stringify([[-170, 0], [170, 0], [0, 10]]) });
+    assert.equal(huge.status, 400);
+  });
+
+  it('does not accept bbox and polygon together', async () => {
+    const res = await getRooms({ bbox: '77.5,12.9,77.7,13.1', polygon: '[[77.5,12.9],[77.7,12.9],[77.6,13.1]]' });
+    assert.equal(res.status, 400);
+  });
+
+  it('groups rooms per grid cell at low zoom', async () => {
+    aggregate.mock.mockImplementation(async () => [
+      { cell: '1:2', count: 3, lat: 12.95, lng: 77.6 },
+      { cell: '1:3', count: 1, lat: 13.05, lng: 77.6, roomId: '64b0000000000000000000a1' },
+    ]);
+
+    const res = await getRooms({ bbox: '77.5,12.9,77.7,13.1', zoom: 10 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, 'clusters');
+    assert.equal(res.body.totalRooms, 4);
+    assert.ok(lastPipeline().some(stage => stage.$group));
+  });
+
+  it('lists individual rooms once zoomed in', async () => {
+    const res = await getRooms({ bbox: '77.5,12.9,77.7,13.1', zoom: 16 });
+
+    assert.equal(res.body.mode, 'rooms');
+    assert.ok(!lastPipeline().some(stage => stage.$group));
+  });
+
+  it('hands out a cursor that continues after the last room', async () => {
+    aggregate.mock.mockImplementation(async () => [
+      { _id: '64b0000000000000000000a2', distance: 0.4 },
+      { _id: '64b0000000000000000000a1', distance: 0.9 },
+    ]);
+
+    const first = await getRooms({ lat: 12.97, lng: 77.59, limit: 1 });
+    assert.equal(first.body.count, 1);
+    assert.equal(first.body.hasMore, true);
+    assert.ok(first.body.nextCursor);
+
+    await getRooms({ lat: 12.97, lng: 77.59, limit: 1, cursor: first.body.nextCursor });
+    const after = lastPipeline().find(stage => stage.$match?.$or);
+    assert.deepEqual(after.$match.$or[0], { distance: { $gt: 0.4 } });
+    assert.ok(!lastPipeline().some(stage => '$skip' in stage));
+  });
+
+  it('sorts PGs by their cheapest option and other rooms by monthly rent', async () => {
+    const res = await getRooms({ lat: 12.97, lng: 77.59, sort: 'price_asc' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sort, 'price_asc');
+    const pipeline = lastPipeline();
+    const derived = pipeline.find(stage => stage.$addFields?.listedPrice).$addFields;
+    assert.deepEqual(derived.listedPrice.$ifNull[0].$cond, [
+      { $eq: ['$category', 'pg_hostel'] }, '$priceRange.min', '$monthlyRent',
+    ]);
+    assert.deepEqual(pipeline.find(stage => stage.$sort).$sort, { hasPrice: -1, listedPrice: 1, distance: 1, _id: -1 });
+    assert.equal(pipeline.at(-2).$project.distance, 1);
+  });
+
+  it('does not reuse a cursor across sort orders', async () => {
+    aggregate.mock.mockImplementation(async () => [
+      { _id: '64b0000000000000000000a2', distance: 0.4, createdAt: new Date() },
+      { _id: '64b0000000000000000000a1', distance: 0.9, createdAt: new Date() },
+    ]);
+    const first = await getRooms({ lat: 12.97, lng: 77.59, limit: 1, sort: 'newest' });
+
+    const res = await getRooms({ lat: 12.97, lng: 77.59, limit: 1, sort: 'most_viewed', cursor: first.body.nextCursor });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects a tampered cursor', async () => {
+    const res = await getRooms({ lat: 12.97, lng: 77.59, cursor: 'bm90LWEtY3Vyc29y' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+});
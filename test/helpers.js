@@ -0,0 +1,105 @@
+// test/helpers.js - scaffolding shared by the test files: env defaults, the app on a free port,
+// signed-in callers, Mongoose query stubs and fixtures. Import it before anything from the app.
+import { after, before, mock } from 'node:test';
+import jwt from 'jsonwebtoken';
+import B2 from 'backblaze-b2';
+import User from '../models/userModal.js';
+import Session from '../models/Session.js';
+import Room from '../models/RoomSchema.js';
+
+// Modules check these at import time
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET ||= 'test-refresh-secret';
+process.env.LOG_LEVEL ||= 'silent';
+for (const name of ['B2_APP_KEY_ID', 'B2_APP_KEY', 'B2_BUCKET_ID', 'B2_BUCKET_NAME', 'B2_UPLOAD_KEY_ID', 'B2_UPLOAD_KEY', 'RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET']) {
+  process.env[name] ||= 'test';
+}
+process.env.CDN_URL ||= 'https://cdn.example.com';
+
+export const SESSION_ID = '64b0000000000000000000f1';
+
+export const ids = {
+  alice: '64b000000000000000000001',
+  bob: '64b000000000000000000002',
+  moderator: '64b000000000000000000003',
+  room: '64b0000000000000000000a1',
+  otherRoom: '64b0000000000000000000a2',
+  chat: '64b0000000000000000000c1',
+  draft: '64b0000000000000000000e1',
+};
+
+// A fresh user each call, so tests can change one without leaking into the next
+export const user = (name, fields = {}) => ({
+  _id: ids[name],
+  email: `${name}@example.com`,
+  role: name === 'moderator' ? 'moderator' : 'user',
+  ...fields,
+});
+
+// A published flat owned by alice
+export const roomDoc = (fields = {}) => new Room({
+  _id: ids.room,
+  category: 'flat_home',
+  title: '2BHK near Forum',
+  createdBy: ids.alice,
+  ...fields,
+});
+
+export const accessToken = (caller, { sid = SESSION_ID } = {}) =>
+  jwt.sign({ id: caller._id, email: caller.email, sid }, process.env.JWT_SECRET);
+
+// Mongoose queries are awaited directly or after chained modifiers
+export const query = (value) => {
+  const result = Promise.resolve(value);
+  for (const name of ['select', 'lean', 'sort', 'skip', 'limit', 'populate', 'session']) result[name] = () => query(value);
+  return result;
+};
+
+// Access tokens for these users pass authMiddleware - anyone else is unknown
+export const signIn = (...users) => {
+  const byId = new Map(users.map(caller => [String(caller._id), caller]));
+  mock.method(User, 'findById', (id) => query(byId.get(String(id)) ?? null));
+  mock.method(Session, 'exists', async () => ({ _id: SESSION_ID }));
+};
+
+// No real B2 calls - returns the uploadFile mock
+export const stubB2 = () => {
+  mock.method(B2.prototype, 'authorize', async () => ({ data: {} }));
+  mock.method(B2.prototype, 'getUploadUrl', async () => ({ data: { uploadUrl: 'https://b2.example.com/upload', authorizationToken: 'upload-token' } }));
+  return mock.method(B2.prototype, 'uploadFile', async () => ({ data: {} }));
+};
+
+/**
+ * Serves the app on a free port for the file's tests. Returns request(method, path, { user, body, headers })
+ * -> { status, headers, body }, sending user's access token when one is given.
+ */
+export const startApp = () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const { default: app } = await import('../app.js');
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  return async (method, path, { user: caller, body, headers = {} } = {}) => {
+    // Multipart bodies (FormData) set their own Content-Type; strings are sent as they are
+    const json = body !== undefined && typeof body !== 'string' && !(body instanceof FormData);
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(!(body instanceof FormData) && { 'Content-Type': 'application/json' }),
+        ...(caller && { Authorization: `Bearer ${accessToken(caller)}` }),
+        ...headers,
+      },
+      body: json ? JSON.stringify(body) : body,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+};
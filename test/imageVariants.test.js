@@ -0,0 +1,86 @@
+// test/imageVariants.test.js - responsive image variants, placeholders and the backfill
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import B2 from 'backblaze-b2';
+import { ids, query, stubB2 } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import { processImage } from '../services/imageService.js';
+import { backfillImageVariants } from '../services/imageBackfillService.js';
+
+const ROOM_ID = ids.room;
+const IMAGE_ID = '64b0000000000000000000b1';
+
+const photo = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#3a7' } }).jpeg().toBuffer();
+
+let uploadFile;
+
+beforeEach(() => {
+  mock.restoreAll();
+  uploadFile = stubB2();
+});
+
+describe('image variants', () => {
+  it('stores every width in AVIF, WebP and JPEG with placeholders', async () => {
+    const image = await processImage(await photo(2000, 1000), 1700000000000, 0);
+
+    assert.equal(image.variants.length, 9);
+    assert.deepEqual([...new Set(image.variants.map(variant => variant.width))], [320, 640, 1280]);
+    assert.deepEqual(
+      uploadFile.mock.calls.map(call => call.arguments[0].mime).sort(),
+      [...Array(3).fill('image/avif'), ...Array(3).fill('image/jpeg'), ...Array(3).fill('image/webp')]
+    );
+    // Older app versions keep getting the 1280px JPEG
+    assert.ok(image.originalUrl.endsWith('-1280w.jpg'));
+    assert.equal(image.width, 1280);
+    assert.equal(image.height, 640);
+    assert.match(image.blurhash, /^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{6,}$/);
+    assert.ok(image.lqip.startsWith('data:image/webp;base64,'));
+  });
+
+  it('does not enlarge small images', async () => {
+    const image = await processImage(await photo(500, 400), 1700000000000, 1);
+
+    assert.deepEqual([...new Set(image.variants.map(variant => variant.width))], [320, 500]);
+    assert.ok(image.originalUrl.endsWith('-500w.jpg'));
+  });
+});
+
+describe('image variant backfill', () => {
+  it('adds variants to older images without touching originalUrl or updatedAt', async () => {
+    const room = { _id: ROOM_ID, images: [{ _id: IMAGE_ID, originalUrl: 'https://cdn.example.com/properties/old.jpg' }] };
+    const original = await photo(800, 600);
+    let batches = 0;
+    mock.method(Room, 'find', () => query(batches++ === 0 ? [room] : []));
+    mock.method(B2.prototype, 'listFileNames', async () => ({ data: { files: [{ fileName: 'properties/old.jpg', fileId: 'old-1' }] } }));
+    const download = mock.method(B2.prototype, 'downloadFileById', async () => ({ data: original }));
+    const updateOne = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await backfillImageVariants();
+
+    assert.deepEqual(result, { created: 1, failed: 0 });
+    const [filter, update, options] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.images.$elemMatch._id, IMAGE_ID);
+    assert.equal(update.$set['images.$.variants'].length, 9);
+    assert.ok(update.$set['images.$.blurhash']);
+    assert.equal(update.$set['images.$.originalUrl'], undefined);
+    assert.deepEqual(options, { timestamps: false });
+    assert.equal(download.mock.calls[0].arguments[0].fileId, 'old-1');
+  });
+
+  it('never fetches images outside our storage and does not retry them', async () => {
+    // Listings from before B2 point at S3 - and owners could once store any URL
+    const room = { _id: ROOM_ID, images: [{ _id: IMAGE_ID, originalUrl: 'http://169.254.169.254/latest/meta-data' }] };
+    let batches = 0;
+    mock.method(Room, 'find', () => query(batches++ === 0 ? [room] : []));
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('secret'));
+    const updateOne = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await backfillImageVariants();
+
+    assert.deepEqual(result, { created: 0, failed: 1 });
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$set, { 'images.$.variants': [] });
+  });
+});
@@ -0,0 +1,139 @@
+// test/listingStatus.test.js - the listing lifecycle, closing chats on rent and time to rent
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { ids, query, roomDoc, signIn, startApp, user } from './helpers.js';
+import User from '../models/userModal.js';
+import Room from '../models/RoomSchema.js';
+import RoomRevision from '../models/RoomRevision.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import Chat from '../models/chatmodal.js';
+import { listingStatus } from '../services/listingStatusService.js';
+
+const owner = user('alice');
+const ROOM_ID = ids.room;
+const CHAT_ID = ids.chat;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const post = (fields = {}) => roomDoc({ expiryDate: new Date(Date.now() + 10 * DAY_MS), ...fields });
+
+const api = startApp();
+const request = (method, path, body) => api(method, path, { user: owner, body });
+
+// The post a route loads, saved in place
+const loads = (room) => {
+  mock.method(Room, 'findOne', async () => room);
+  mock.method(room, 'save', async () => room);
+  return room;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(owner);
+  mock.method(RoomRevision, 'create', async (doc) => doc);
+  mock.method(ChatRoom, 'distinct', async () => []);
+});
+
+describe('listing status', () => {
+  it('is read off the old flags and the expiry date', () => {
+    const past = new Date(Date.now() - DAY_MS);
+
+    assert.equal(listingStatus(post()), 'active');
+    assert.equal(listingStatus(post({ isActive: false })), 'paused');
+    assert.equal(listingStatus(post({ expiryDate: past })), 'expired');
+    assert.equal(listingStatus(post({ category: 'pg_hostel', expiryDate: past })), 'active');
+    assert.equal(listingStatus(post({ status: 'rented', isActive: false })), 'rented');
+    assert.equal(listingStatus(post({ isDeleted: true })), 'removed');
+  });
+});
+
+describe('PATCH /api/posts/my-posts/:postId/status', () => {
+  it('marks a post rented and closes its pending chats with a system message', async () => {
+    const room = loads(post());
+    const find = mock.method(ChatRoom, 'find', () => query([{ _id: CHAT_ID, inquirerId: ids.bob }]));
+    const bulkWrite = mock.method(Chat, 'bulkWrite', async () => ({}));
+    const updateMany = mock.method(ChatRoom, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'find', () => query([{ expoPushToken: 'ExponentPushToken[abc]' }]));
+    const send = mock.method(Expo.prototype, 'sendPushNotificationsAsync', async (messages) => messages.map(() => ({ status: 'ok' })));
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/status`, { status: 'rented' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.previousStatus, 'active');
+    assert.equal(res.body.closedChats, 1);
+    assert.equal(room.status, 'rented');
+    assert.equal(room.isActive, false);
+    assert.ok(room.rentedAt instanceof Date);
+
+    assert.equal(find.mock.calls[0].arguments[0].status, 'pending');
+    const [{ updateOne }] = bulkWrite.mock.calls[0].arguments[0];
+    assert.equal(updateOne.update.$push.messages.messageType, 'system');
+    assert.equal(updateOne.upsert, true);
+    assert.equal(updateMany.mock.calls[0].arguments[1].status, 'expired');
+    assert.equal(send.mock.calls[0].arguments[0][0].data.type, 'listing_rented');
+  });
+
+  it('relists a rented post and restarts the time-to-rent clock', async () => {
+    const room = loads(post({ status: 'rented', isActive: false, rentedAt: new Date() }));
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/status`, { status: 'active' });
+
+    assert.equal(res.status, 200);
+    assert.equal(room.isActive, true);
+    assert.ok(room.relistedAt instanceof Date);
+  });
+
+  it('rejects transitions the lifecycle does not allow', async () => {
+    loads(post({ status: 'rented', isActive: false }));
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/status`, { status: 'paused' });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+    assert.deepEqual(res.body.details.allowed, ['active', 'removed']);
+  });
+
+  it('leaves drafts to the publish flow', async () => {
+    const findOne = mock.method(Room, 'findOne', async () => null);
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/status`, { status: 'active' });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].isDraft, { $ne: true });
+  });
+
+  it('does not let owners set statuses the system owns', async () => {
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/status`, { status: 'expired' });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('PATCH /api/posts/my-posts/:postId/renew', () => {
+  it('puts an expired post back up for 30 days', async () => {
+    const room = loads(post({ expiryDate: new Date(Date.now() - DAY_MS) }));
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/renew`);
+
+    assert.equal(res.status, 200);
+    assert.equal(listingStatus(room), 'active');
+    assert.ok(room.expiryDate > new Date(Date.now() + 29 * DAY_MS));
+  });
+});
+
+describe('GET /api/posts/my-posts-stats', () => {
+  it('reports how long rented posts took to rent', async () => {
+    const aggregate = mock.method(Room, 'aggregate', async (pipeline) =>
+      pipeline[0].$match.status === 'rented'
+        ? [{ _id: null, rented: 2, averageDays: 4.25, fastestDays: 1.04, slowestDays: 7.46 }]
+        : []
+    );
+    mock.method(Room, 'countDocuments', async () => 0);
+
+    const res = await request('GET', '/api/posts/my-posts-stats');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.stats.rented, 2);
+    assert.deepEqual(res.body.stats.timeToRent, { rented: 2, averageDays: 4.3, fastestDays: 1, slowestDays: 7.5 });
+    assert.equal(String(aggregate.mock.calls[0].arguments[0][0].$match.createdBy), owner._id);
+  });
+});
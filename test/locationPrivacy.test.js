@@ -0,0 +1,100 @@
+// test/locationPrivacy.test.js - approximate listing locations until the owner is chatting with you
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, roomDoc as listing, signIn, startApp, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import { approximateCoordinates, localityAddress } from '../services/locationPrivacyService.js';
+import { buildSearchFields } from '../utils/searchText.js';
+
+const owner = user('alice');
+const bob = user('bob');
+const ROOM_ID = ids.room;
+
+const EXACT = [77.61234, 12.93456];
+const ADDRESS = '42, 3rd Cross, Koramangala 5th Block, Bengaluru, Karnataka 560034, India';
+
+const roomDoc = (fields = {}) => listing({ location: { type: 'Point', coordinates: EXACT, fullAddress: ADDRESS }, ...fields });
+
+const request = startApp();
+const get = (path, caller) => request('GET', path, { user: caller });
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(owner, bob);
+});
+
+describe('approximate locations', () => {
+  it('snap to the centre of a grid cell and keep only the locality', () => {
+    const [lng, lat] = approximateCoordinates(EXACT);
+
+    assert.deepEqual([lng, lat], [77.6125, 12.9325]);
+    assert.deepEqual(approximateCoordinates([77.6101, 12.9301]), [lng, lat]);
+    assert.equal(localityAddress(ADDRESS), 'Koramangala 5th Block, Bengaluru, Karnataka 560034, India');
+    assert.equal(localityAddress('Flat 2, Indiranagar, Bengaluru'), 'Indiranagar, Bengaluru');
+  });
+
+  it('are the stored position searches filter on', () => {
+    assert.deepEqual(buildSearchFields(roomDoc()).publicLocation.coordinates, [77.6125, 12.9325]);
+    assert.deepEqual(buildSearchFields(roomDoc({ locationPrivacy: 'exact' })).publicLocation.coordinates, EXACT);
+  });
+});
+
+describe('GET /api/singleroom/:id', () => {
+  beforeEach(() => {
+    mock.method(Room, 'findOne', () => ({ select: () => ({ populate: async () => roomDoc() }) }));
+  });
+
+  it('gives anonymous callers an approximate pin and address', async () => {
+    const res = await get(`/api/singleroom/${ROOM_ID}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.room.location.coordinates, [77.6125, 12.9325]);
+    assert.equal(res.body.room.location.fullAddress, 'Koramangala 5th Block, Bengaluru, Karnataka 560034, India');
+    assert.equal(res.body.room.location.isApproximate, true);
+  });
+
+  it('keeps it approximate for signed-in users without an active chat', async () => {
+    const distinct = mock.method(ChatRoom, 'distinct', async () => []);
+
+    const res = await get(`/api/singleroom/${ROOM_ID}`, bob);
+
+    assert.equal(res.body.room.location.isApproximate, true);
+    assert.deepEqual(distinct.mock.calls[0].arguments[1], { participants: bob._id, status: 'active', isDeleted: { $ne: true } });
+  });
+
+  it('reveals the exact location once the owner is chatting with the caller', async () => {
+    mock.method(ChatRoom, 'distinct', async () => [bob._id, owner._id]);
+
+    const res = await get(`/api/singleroom/${ROOM_ID}`, bob);
+
+    assert.deepEqual(res.body.room.location.coordinates, EXACT);
+    assert.equal(res.body.room.location.fullAddress, ADDRESS);
+  });
+
+  it('shows owners their own exact location', async () => {
+    const distinct = mock.method(ChatRoom, 'distinct', async () => []);
+
+    const res = await get(`/api/singleroom/${ROOM_ID}`, owner);
+
+    assert.deepEqual(res.body.room.location.coordinates, EXACT);
+    assert.equal(distinct.mock.callCount(), 0);
+  });
+});
+
+describe('GET /api/getrooms', () => {
+  it('approximates rooms and measures distance to the approximate pin', async () => {
+    const aggregate = mock.method(Room, 'aggregate', async () => [
+      { _id: ROOM_ID, createdBy: owner._id, location: { type: 'Point', coordinates: EXACT, fullAddress: ADDRESS }, distance: 1.2 },
+      { _id: '64b0000000000000000000a2', createdBy: owner._id, locationPrivacy: 'exact', location: { type: 'Point', coordinates: EXACT, fullAddress: ADDRESS }, distance: 1.2 },
+    ]);
+
+    const res = await get('/api/getrooms?lat=12.97&lng=77.59');
+
+    const [geoNear] = aggregate.mock.calls[0].arguments[0];
+    assert.equal(geoNear.$geoNear.key, 'publicLocation');
+    const [approximate, exact] = res.body.rooms;
+    assert.deepEqual(approximate.location.coordinates, [77.6125, 12.9325]);
+    assert.deepEqual(exact.location.coordinates, EXACT);
+  });
+});
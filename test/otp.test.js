@@ -0,0 +1,161 @@
+// test/otp.test.js - email / phone code login, lockout after wrong guesses and linking identities
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, query, signIn, startApp } from './helpers.js';
+import User from '../models/userModal.js';
+import Session from '../models/Session.js';
+import OtpCode from '../models/OtpCode.js';
+import { getLastLocalOtp, registerOtpProvider } from '../services/otpDelivery.js';
+
+const EMAIL = 'new.tenant@example.com';
+
+// Codes land in the local outbox instead of going out by email / SMS
+process.env.OTP_EMAIL_PROVIDER = 'local';
+process.env.OTP_SMS_PROVIDER = 'local';
+
+// Codes kept in memory, matched on the fields otpService filters by
+let codes;
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  const value = doc[key] ?? null;
+  if (cond?.$lt !== undefined) return value < cond.$lt;
+  if (cond?.$gt !== undefined) return value > cond.$gt;
+  if (cond?.$gte !== undefined) return value >= cond.$gte;
+  return String(value) === String(cond ?? null);
+});
+const apply = (doc, update) => {
+  const { $inc = {}, ...fields } = update;
+  for (const [key, by] of Object.entries($inc)) doc[key] += by;
+  return Object.assign(doc, fields);
+};
+const newest = (filter) => codes.filter(doc => matches(doc, filter)).sort((a, b) => b.createdAt - a.createdAt);
+
+const request = startApp();
+
+const wrongCode = (code) => (code === '000000' ? '111111' : '000000');
+
+beforeEach(() => {
+  mock.restoreAll();
+  codes = [];
+  mock.method(OtpCode, 'find', (filter) => query(newest(filter)));
+  mock.method(OtpCode, 'findOne', (filter) => query(newest(filter)[0] ?? null));
+  mock.method(OtpCode, 'create', async (doc) => {
+    codes.push({ _id: `otp${codes.length}`, attempts: 0, consumedAt: null, createdAt: new Date(), ...doc });
+  });
+  mock.method(OtpCode, 'updateMany', async (filter, update) => {
+    newest(filter).forEach(doc => apply(doc, update));
+  });
+  mock.method(OtpCode, 'updateOne', async (filter, update) => {
+    const [doc] = newest(filter);
+    if (doc) apply(doc, update);
+  });
+  mock.method(OtpCode, 'findOneAndUpdate', async (filter, update) => {
+    const [doc] = newest(filter);
+    return doc ? apply(doc, update) : null;
+  });
+  mock.method(Session, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Session, 'create', async (doc) => doc);
+});
+
+describe('code login', () => {
+  it('sends a code and signs up on the first correct guess', async () => {
+    mock.method(User, 'findByIdentity', () => query(null));
+    const create = mock.method(User, 'create', async (doc) => ({ _id: ids.bob, ...doc }));
+
+    const sent = await request('POST', '/api/auth/email/request-otp', { body: { email: ' New.Tenant@example.com ' } });
+    assert.equal(sent.status, 200);
+    const code = getLastLocalOtp(EMAIL);
+    assert.match(code, /^\d{6}$/);
+    assert.notEqual(codes[0].codeHash, code);
+
+    const wrong = await request('POST', '/api/auth/email/verify-otp', { body: { email: EMAIL, code: wrongCode(code) } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.details.attemptsLeft, 4);
+
+    const res = await request('POST', '/api/auth/email/verify-otp', { body: { email: EMAIL, code } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isNewUser, true);
+    assert.ok(res.body.accessToken && res.body.refreshToken);
+    assert.deepEqual(create.mock.calls[0].arguments[0].identities, [{ provider: 'email', value: EMAIL }]);
+
+    const replay = await request('POST', '/api/auth/email/verify-otp', { body: { email: EMAIL, code } });
+    assert.equal(replay.status, 400);
+  });
+
+  it('burns the code after five wrong guesses', async () => {
+    await request('POST', '/api/auth/email/request-otp', { body: { email: EMAIL } });
+    const code = getLastLocalOtp(EMAIL);
+
+    const guesses = await Promise.all(Array.from({ length: 6 }, () =>
+      request('POST', '/api/auth/email/verify-otp', { body: { email: EMAIL, code: wrongCode(code) } })
+    ));
+    assert.deepEqual(guesses.map(res => res.status), [400, 400, 400, 400, 400, 400]);
+    assert.equal(codes[0].attempts, 5);
+
+    const res = await request('POST', '/api/auth/email/verify-otp', { body: { email: EMAIL, code } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Code expired or not found');
+  });
+
+  it('makes a target wait before another code is sent', async () => {
+    await request('POST', '/api/auth/email/request-otp', { body: { email: EMAIL } });
+
+    const res = await request('POST', '/api/auth/email/request-otp', { body: { email: EMAIL } });
+
+    assert.equal(res.status, 429);
+    assert.equal(codes.length, 1);
+  });
+
+  it('sends phone codes through the configured SMS provider', async (t) => {
+    const send = mock.fn(async () => ({ success: true }));
+    registerOtpProvider('phone', 'test-sms', { send });
+    process.env.OTP_SMS_PROVIDER = 'test-sms';
+    t.after(() => { process.env.OTP_SMS_PROVIDER = 'local'; });
+
+    const res = await request('POST', '/api/auth/phone/request-otp', { body: { phone: '98765 43210' } });
+
+    assert.equal(res.status, 200);
+    const [target, code] = send.mock.calls[0].arguments;
+    assert.equal(target, '+919876543210');
+    assert.match(code, /^\d{6}$/);
+  });
+});
+
+describe('linking an identity', () => {
+  const googleUser = () => new User({
+    _id: ids.alice,
+    authType: 'google',
+    googleId: 'google-alice',
+    identities: [{ provider: 'google', value: 'google-alice' }],
+  });
+
+  it('attaches an email once its code is verified', async () => {
+    const alice = googleUser();
+    signIn(alice);
+    const save = mock.method(alice, 'save', async () => alice);
+    mock.method(User, 'findByIdentity', () => query(null));
+
+    await request('POST', '/api/auth/link/email/request-otp', { user: alice, body: { email: EMAIL } });
+    assert.equal(String(codes[0].userId), ids.alice);
+
+    const res = await request('POST', '/api/auth/link/email/verify-otp', {
+      user: alice,
+      body: { email: EMAIL, code: getLastLocalOtp(EMAIL) },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.identities.map(identity => identity.provider), ['google', 'email']);
+    assert.equal(alice.email, EMAIL);
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  it('refuses an email another account signs in with', async () => {
+    const alice = googleUser();
+    signIn(alice);
+    mock.method(User, 'findByIdentity', () => query({ _id: new User({ _id: ids.bob })._id }));
+
+    const res = await request('POST', '/api/auth/link/email/request-otp', { user: alice, body: { email: EMAIL } });
+
+    assert.equal(res.status, 409);
+    assert.equal(codes.length, 0);
+  });
+});
@@ -0,0 +1,118 @@
+// test/ownership.test.js - identity comes from the access token, never from the request body
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, query, roomDoc, signIn, startApp, user } from './helpers.js';
+import User from '../models/userModal.js';
+import Room from '../models/RoomSchema.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+
+const alice = user('alice');
+const mallory = user('bob');
+
+const ROOM_ID = ids.room;
+const CHAT_ID = ids.chat;
+
+const request = startApp();
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(alice, mallory);
+});
+
+describe('PUT /api/auth/update-location', () => {
+  it('updates the caller, ignoring a userId in the body', async () => {
+    const update = mock.method(User, 'findByIdAndUpdate', (id, data) => query({ _id: id, ...data }));
+
+    const res = await request('PUT', '/api/auth/update-location', {
+      user: mallory,
+      body: { userId: alice._id, location: { lat: 12.97, lng: 77.59, name: 'Bengaluru' } },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(update.mock.callCount(), 1);
+    assert.equal(String(update.mock.calls[0].arguments[0]), mallory._id);
+  });
+
+  it('requires authentication', async () => {
+    const update = mock.method(User, 'findByIdAndUpdate', () => query(null));
+
+    const res = await request('PUT', '/api/auth/update-location', {
+      body: { userId: alice._id, location: { lat: 12.97, lng: 77.59 } },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe('POST /api/chat/mark-read', () => {
+  it('requires authentication', async () => {
+    const update = mock.method(ChatRoom, 'findOneAndUpdate', () => query(null));
+
+    const res = await request('POST', '/api/chat/mark-read', {
+      body: { roomId: CHAT_ID, userId: alice._id },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('marks the room read for the caller only, and only if they are a participant', async () => {
+    const update = mock.method(ChatRoom, 'findOneAndUpdate', () => query(null));
+
+    const res = await request('POST', '/api/chat/mark-read', {
+      user: mallory,
+      body: { roomId: CHAT_ID, userId: alice._id },
+    });
+
+    assert.equal(res.status, 404);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.equal(filter._id, CHAT_ID);
+    assert.equal(String(filter.participants), mallory._id);
+    assert.equal(String(changes.$addToSet.readBy), mallory._id);
+  });
+});
+
+describe('POST /api/:roomId/view', () => {
+  it('records the authenticated viewer, not a userId from the body', async () => {
+    const update = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Room, 'findById', () => query({ _id: ROOM_ID, views: 3 }));
+
+    const res = await request('POST', `/api/${ROOM_ID}/view`, {
+      user: mallory,
+      body: { userId: alice._id },
+    });
+
+    assert.equal(res.status, 200);
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.equal(String(filter.viewedBy.$ne), mallory._id);
+    assert.equal(String(changes.$push.viewedBy), mallory._id);
+  });
+
+  it('counts anonymous views without touching anyone\'s view history', async () => {
+    const update = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Room, 'findById', () => query({ _id: ROOM_ID, views: 4 }));
+
+    const res = await request('POST', `/api/${ROOM_ID}/view`, { body: { userId: alice._id } });
+
+    assert.equal(res.status, 200);
+    const [, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(changes, { $inc: { views: 1 } });
+  });
+});
+
+describe('PUT /api/update/:roomId', () => {
+  it('keeps only images the room already has, not URLs sent by the app', async () => {
+    const kept = 'https://cdn.example.com/properties/kept-1280w.jpg';
+    const room = roomDoc({ images: [{ originalUrl: kept }], location: { type: 'Point', coordinates: [77.6, 12.9] } });
+    mock.method(Room, 'findOne', async () => room);
+    const update = mock.method(Room, 'findByIdAndUpdate', (id, data) => ({ populate: async () => roomDoc({ ...data }) }));
+
+    const body = new FormData();
+    body.append('existingImages', JSON.stringify([kept, 'http://169.254.169.254/latest/meta-data']));
+    const res = await request('PUT', `/api/update/${ROOM_ID}`, { user: alice, body });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[1].images.map(image => image.originalUrl), [kept]);
+  });
+});
@@ -0,0 +1,48 @@
+// test/pagination.test.js - keyset cursors shared by the feed and list endpoints
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { afterCursor, decodeCursor, encodeCursor, pageOf } from '../utils/pagination.js';
+
+const SORT = [['createdAt', -1], ['_id', -1]];
+
+describe('pagination cursors', () => {
+  it('round-trips dates and ObjectIds', () => {
+    const doc = { createdAt: new Date('2024-05-01T10:00:00Z'), _id: new mongoose.Types.ObjectId() };
+    const [createdAt, id] = decodeCursor(encodeCursor(SORT, doc), SORT);
+
+    assert.ok(createdAt instanceof Date);
+    assert.equal(createdAt.getTime(), doc.createdAt.getTime());
+    assert.ok(id.equals(doc._id));
+  });
+
+  it('builds a strictly-after filter that breaks ties on _id', () => {
+    const doc = { distance: 1.5, _id: new mongoose.Types.ObjectId() };
+    const sort = [['distance', 1], ['_id', -1]];
+    const { $or } = afterCursor(sort, encodeCursor(sort, doc));
+
+    assert.deepEqual($or[0], { distance: { $gt: 1.5 } });
+    assert.equal($or[1].distance, 1.5);
+    assert.ok($or[1]._id.$lt.equals(doc._id));
+  });
+
+  it('rejects garbage and cursors made for another sort order', () => {
+    const cursor = encodeCursor(SORT, { createdAt: new Date(), _id: new mongoose.Types.ObjectId() });
+
+    assert.throws(() => decodeCursor('not-a-cursor', SORT), { code: 'VALIDATION_ERROR' });
+    assert.throws(() => decodeCursor(cursor, [['updatedAt', -1], ['_id', -1]]), { code: 'VALIDATION_ERROR' });
+  });
+
+  it('only returns a next cursor when there are more rows', () => {
+    const rows = [1, 2, 3].map(n => ({ createdAt: new Date(n * 1000), _id: new mongoose.Types.ObjectId() }));
+
+    const full = pageOf(rows, 2, SORT);
+    assert.equal(full.items.length, 2);
+    assert.equal(full.hasMore, true);
+    assert.ok(full.nextCursor);
+
+    const last = pageOf(rows, 3, SORT);
+    assert.equal(last.hasMore, false);
+    assert.equal(last.nextCursor, null);
+  });
+});
@@ -0,0 +1,91 @@
+// test/phoneReveals.test.js - asking for a listing owner's number, approvals and the daily limit
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, query, signIn, startApp, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import PhoneReveal from '../models/PhoneReveal.js';
+
+const owner = user('alice', { phoneRevealMode: 'ask' });
+const bob = user('bob');
+const ROOM_ID = ids.room;
+const CHAT_ID = ids.chat;
+const REVEAL_ID = '64b0000000000000000000d1';
+
+const listing = { _id: ROOM_ID, createdBy: owner._id, contactPhone: '+919800000000', showPhonePublic: false, title: '2BHK' };
+
+const api = startApp();
+const request = (method, path, caller, body) => api(method, path, { user: caller, body });
+
+beforeEach(() => {
+  mock.restoreAll();
+  owner.phoneRevealMode = 'ask';
+  signIn(owner, bob);
+  mock.method(Room, 'findOne', () => query(listing));
+  mock.method(Room, 'findById', () => query(listing));
+  mock.method(PhoneReveal, 'findOne', async () => null);
+  mock.method(PhoneReveal, 'find', () => query([]));
+  mock.method(ChatRoom, 'findOne', () => query({ _id: CHAT_ID }));
+});
+
+describe('POST /api/phone-reveals', () => {
+  it('needs a chat with the owner about the listing', async () => {
+    mock.method(ChatRoom, 'findOne', () => query(null));
+
+    const res = await request('POST', '/api/phone-reveals', bob, { roomId: ROOM_ID });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'CHAT_REQUIRED');
+  });
+
+  it('waits for the owner when they approve each request', async () => {
+    const create = mock.method(PhoneReveal, 'create', async (doc) => new PhoneReveal(doc));
+
+    const res = await request('POST', '/api/phone-reveals', bob, { roomId: ROOM_ID });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.reveal.status, 'pending');
+    assert.equal(res.body.phone, null);
+    assert.equal(String(create.mock.calls[0].arguments[0].chatRoom), CHAT_ID);
+  });
+
+  it('hands the number over straight away for owners who auto-approve, and counts it', async () => {
+    owner.phoneRevealMode = 'auto';
+    mock.method(PhoneReveal, 'create', async (doc) => new PhoneReveal(doc));
+    const updateOne = mock.method(PhoneReveal, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await request('POST', '/api/phone-reveals', bob, { roomId: ROOM_ID });
+
+    assert.equal(res.body.reveal.status, 'approved');
+    assert.equal(res.body.reveal.autoApproved, true);
+    assert.equal(res.body.phone, '+919800000000');
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1].$inc, { revealCount: 1 });
+  });
+
+  it('limits how many numbers a user can ask for in a day', async () => {
+    const createdAt = new Date(Date.now() - 60 * 60 * 1000);
+    mock.method(PhoneReveal, 'find', () => query(Array.from({ length: 10 }, () => ({ createdAt }))));
+    const create = mock.method(PhoneReveal, 'create', async (doc) => doc);
+
+    const res = await request('POST', '/api/phone-reveals', bob, { roomId: ROOM_ID });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.ok(res.body.details.retryAfter > 22 * 60 * 60);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('PATCH /api/phone-reveals/:revealId', () => {
+  it('lets only the owner decide', async () => {
+    const reveal = new PhoneReveal({ _id: REVEAL_ID, room: ROOM_ID, chatRoom: CHAT_ID, owner: owner._id, requester: bob._id });
+    const findOne = mock.method(PhoneReveal, 'findOne', async () => reveal);
+    mock.method(reveal, 'save', async () => reveal);
+
+    const res = await request('PATCH', `/api/phone-reveals/${REVEAL_ID}`, owner, { decision: 'approve' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reveal.status, 'approved');
+    assert.equal(String(findOne.mock.calls[0].arguments[0].owner), owner._id);
+  });
+});
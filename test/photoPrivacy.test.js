@@ -0,0 +1,87 @@
+// test/photoPrivacy.test.js - metadata stripping, auto-orientation and photo location checks
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { ids, stubB2 } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import Report from '../models/report.js';
+import { photoCoordinates, processImage, processThumbnail } from '../services/imageService.js';
+import { reportPhotoLocationMismatches } from '../services/photoLocationService.js';
+
+const ROOM_ID = ids.room;
+
+// Bengaluru (12°58'30"N 77°35'E), shot with the phone on its side
+const phonePhoto = () =>
+  sharp({ create: { width: 600, height: 400, channels: 3, background: '#3a7' } })
+    .jpeg()
+    .withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 58/1 30/1', GPSLongitudeRef: 'E', GPSLongitude: '77/1 35/1 0/1' } })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+
+let uploadFile;
+
+beforeEach(() => {
+  mock.restoreAll();
+  uploadFile = stubB2();
+});
+
+describe('stored photos', () => {
+  it('are upright and carry no EXIF or GPS', async () => {
+    const original = await phonePhoto();
+
+    const image = await processImage(original, 1700000000000, 0);
+    await processThumbnail(original, 1700000000000);
+
+    assert.equal(image.width, 400);
+    assert.equal(image.height, 600);
+    for (const call of uploadFile.mock.calls) {
+      const metadata = await sharp(call.arguments[0].data).metadata();
+      assert.equal(metadata.exif, undefined, call.arguments[0].fileName);
+      assert.equal(metadata.orientation, undefined);
+      assert.ok(metadata.height > metadata.width);
+    }
+  });
+
+  it('keep where the upload was taken readable before processing', async () => {
+    const [lng, lat] = await photoCoordinates(await phonePhoto());
+
+    assert.equal(lat, 12.975);
+    assert.ok(Math.abs(lng - 77.5833) < 0.001);
+    assert.equal(await photoCoordinates(await sharp({ create: { width: 10, height: 10, channels: 3, background: '#fff' } }).jpeg().toBuffer()), null);
+  });
+});
+
+describe('photo location checks', () => {
+  const photos = [
+    { imageUrl: 'https://cdn.example.com/properties/a.jpg', coordinates: [77.5833, 12.975] },
+    { imageUrl: 'https://cdn.example.com/properties/b.jpg', coordinates: null },
+  ];
+
+  it('reports photos taken far from the listing, without their coordinates', async () => {
+    // Listing pinned in Mumbai
+    const room = { _id: ROOM_ID, location: { type: 'Point', coordinates: [72.8777, 19.076] } };
+    mock.method(Report, 'exists', async () => null);
+    const create = mock.method(Report, 'create', async (doc) => doc);
+    const updateOne = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await reportPhotoLocationMismatches(room, photos), 1);
+
+    const [report] = create.mock.calls[0].arguments;
+    assert.equal(report.source, 'system');
+    assert.equal(report.reason, 'wrong_info');
+    assert.equal(report.evidence.photoLocations.length, 1);
+    assert.equal(report.evidence.photoLocations[0].imageUrl, photos[0].imageUrl);
+    assert.ok(report.evidence.photoLocations[0].distanceKm > 800);
+    assert.deepEqual(Object.keys(report.evidence.photoLocations[0]), ['imageUrl', 'distanceKm']);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { photoLocationFlagged: true } });
+    await new Report(report).validate();
+  });
+
+  it('leaves photos taken near the listing alone', async () => {
+    const room = { _id: ROOM_ID, location: { type: 'Point', coordinates: [77.59, 12.97] } };
+    const create = mock.method(Report, 'create', async (doc) => doc);
+
+    assert.equal(await reportPhotoLocationMismatches(room, photos), 0);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,107 @@
+// test/roomHistory.test.js - listing revisions, the history endpoints and change pushes to inquirers
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { ids, query, roomDoc, signIn, startApp, user } from './helpers.js';
+import User from '../models/userModal.js';
+import Room from '../models/RoomSchema.js';
+import RoomRevision from '../models/RoomRevision.js';
+import ChatRoom from '../models/RoomChatmodal.js';
+import { diffRoom, notifyInquirers } from '../services/roomHistoryService.js';
+
+const owner = user('alice');
+const moderator = user('moderator');
+const ROOM_ID = ids.room;
+
+const request = startApp();
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(owner, moderator);
+});
+
+describe('listing revisions', () => {
+  it('record changed fields with old and new values', () => {
+    const changes = diffRoom(
+      { title: '2BHK', monthlyRent: 12000, amenities: [], images: [{ originalUrl: 'a.jpg', blurhash: 'x' }], views: 4 },
+      { title: '2BHK', monthlyRent: 13500, images: [{ originalUrl: 'a.jpg' }, { originalUrl: 'b.jpg' }], views: 9 }
+    );
+
+    assert.deepEqual(changes, [
+      { field: 'images', from: ['a.jpg'], to: ['a.jpg', 'b.jpg'] },
+      { field: 'monthlyRent', from: 12000, to: 13500 },
+    ]);
+  });
+
+  it('are stored when an owner takes a post down', async () => {
+    const post = roomDoc();
+    mock.method(Room, 'findOne', async () => post);
+    mock.method(post, 'save', async () => post);
+    const create = mock.method(RoomRevision, 'create', async (doc) => doc);
+    mock.method(ChatRoom, 'distinct', async () => []);
+
+    const res = await request('PATCH', `/api/posts/my-posts/${ROOM_ID}/toggle-status`, { user: owner });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(res.status, 200);
+    const [revision] = create.mock.calls[0].arguments;
+    assert.equal(revision.action, 'toggle_status');
+    assert.equal(String(revision.editedBy), owner._id);
+    assert.deepEqual(revision.changes, [
+      { field: 'isActive', from: true, to: false },
+      { field: 'status', from: 'active', to: 'paused' },
+    ]);
+  });
+});
+
+describe('history endpoints', () => {
+  it('only show owners their own posts', async () => {
+    mock.method(Room, 'exists', async () => null);
+
+    const res = await request('GET', `/api/posts/my-posts/${ROOM_ID}/history`, { user: owner });
+
+    assert.equal(res.status, 404);
+  });
+
+  it('list revisions newest first for moderators', async () => {
+    mock.method(Room, 'findById', () => query({ _id: ROOM_ID, title: '2BHK' }));
+    const find = mock.method(RoomRevision, 'find', () => query([
+      { _id: '64b0000000000000000000b2', createdAt: new Date(), changes: [{ field: 'monthlyRent', from: 12000, to: 13500 }] },
+    ]));
+
+    const res = await request('GET', `/api/posts/admin/${ROOM_ID}/history`, { user: moderator });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revisions.length, 1);
+    assert.equal(res.body.hasMore, false);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { room: ROOM_ID });
+  });
+
+  it('are not open to regular users', async () => {
+    const res = await request('GET', `/api/posts/admin/${ROOM_ID}/history`, { user: owner });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('inquirer notifications', () => {
+  it('push rent changes to inquirers with an active chat', async () => {
+    const distinct = mock.method(ChatRoom, 'distinct', async () => ['64b000000000000000000002']);
+    mock.method(User, 'find', () => query([{ expoPushToken: 'ExponentPushToken[abc]' }]));
+    const send = mock.method(Expo.prototype, 'sendPushNotificationsAsync', async (messages) => messages.map(() => ({ status: 'ok' })));
+
+    const sent = await notifyInquirers({ _id: ROOM_ID, title: '2BHK' }, [{ field: 'monthlyRent', from: 12000, to: 13500 }]);
+
+    assert.equal(sent, 1);
+    assert.equal(distinct.mock.calls[0].arguments[1].status, 'active');
+    const [message] = send.mock.calls[0].arguments[0];
+    assert.equal(message.body, 'Rent is now ₹13500 (was ₹12000)');
+    assert.equal(message.data.type, 'listing_updated');
+  });
+
+  it('stay quiet about other edits', async () => {
+    const distinct = mock.method(ChatRoom, 'distinct', async () => []);
+
+    assert.equal(await notifyInquirers({ _id: ROOM_ID }, [{ field: 'description', from: 'a', to: 'b' }]), 0);
+    assert.equal(distinct.mock.callCount(), 0);
+  });
+});
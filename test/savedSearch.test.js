@@ -0,0 +1,93 @@
+// test/savedSearch.test.js - saved search CRUD and new-listing matching
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { query, signIn, startApp, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { roomQueryFor, runSavedSearchAlerts } from '../services/savedSearchService.js';
+
+const alice = user('alice');
+const SEARCH_ID = '64b0000000000000000000d1';
+
+const api = startApp();
+const request = (method, path, body) => api(method, path, { user: alice, body });
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(alice);
+});
+
+describe('saved search routes', () => {
+  it('saves lat/lng as the search centre for the caller', async () => {
+    mock.method(SavedSearch, 'countDocuments', async () => 0);
+    const create = mock.method(SavedSearch, 'create', async (doc) => ({ _id: SEARCH_ID, ...doc }));
+
+    const res = await request('POST', '/api/saved-searches', {
+      name: 'Koramangala PGs',
+      lat: 12.93,
+      lng: 77.62,
+      category: 'pg_hostel',
+      frequency: 'instant',
+    });
+
+    assert.equal(res.status, 201);
+    const [doc] = create.mock.calls[0].arguments;
+    assert.equal(String(doc.owner), alice._id);
+    assert.deepEqual(doc.center.coordinates, [77.62, 12.93]);
+  });
+
+  it('rejects unknown alert frequencies', async () => {
+    const res = await request('POST', '/api/saved-searches', { lat: 12.93, lng: 77.62, frequency: 'hourly' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('only finds the caller\'s own searches', async () => {
+    const findOne = mock.method(SavedSearch, 'findOne', () => query(null));
+
+    const res = await request('PATCH', `/api/saved-searches/${SEARCH_ID}`, { frequency: 'off' });
+
+    assert.equal(res.status, 404);
+    assert.equal(String(findOne.mock.calls[0].arguments[0].owner), alice._id);
+  });
+});
+
+describe('saved search matching', () => {
+  const search = {
+    _id: SEARCH_ID,
+    owner: { _id: alice._id, name: 'Alice' },
+    name: 'Near work',
+    center: { coordinates: [77.62, 12.93] },
+    radiusKm: 5,
+    category: 'flat_home',
+    filters: { bedrooms: { selected: true, currentMin: 2, currentMax: 3 } },
+    lastNotifiedAt: new Date('2024-01-01'),
+  };
+
+  it('applies the getRooms category and filter rules within the radius', () => {
+    const roomQuery = roomQueryFor(search);
+
+    assert.equal(roomQuery.category, 'flat_home');
+    assert.deepEqual(roomQuery.bedrooms, { $gte: 2, $lte: 3 });
+    assert.deepEqual(roomQuery.publicLocation.$geoWithin.$centerSphere[0], [77.62, 12.93]);
+    assert.equal(roomQuery.createdBy.$ne, alice._id);
+  });
+
+  it('alerts rooms published since the last run and moves every search forward', async () => {
+    mock.method(SavedSearch, 'find', () => ({
+      populate: () => ({ cursor: () => [search] }),
+    }));
+    const find = mock.method(Room, 'find', () => query([{ _id: 'r1', title: '2BHK near park' }]));
+    mock.method(Room, 'countDocuments', async () => 1);
+    const updateMany = mock.method(SavedSearch, 'updateMany', async () => ({}));
+
+    const result = await runSavedSearchAlerts('daily');
+
+    assert.deepEqual(result, { searches: 1, users: 1 });
+    const { publishedAt } = find.mock.calls[0].arguments[0];
+    assert.equal(publishedAt.$gt, search.lastNotifiedAt);
+    const [filter, update] = updateMany.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, [SEARCH_ID]);
+    assert.equal(update.$set.lastNotifiedAt, publishedAt.$lte);
+  });
+});
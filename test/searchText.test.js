@@ -0,0 +1,51 @@
+// test/searchText.test.js - search fields and query parsing behind text search
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { buildSearchFields, tokenize, trigramsFor } from '../utils/searchText.js';
+import { parseSearchQuery } from '../services/roomSearchService.js';
+
+const room = buildSearchFields({
+  title: 'Attached bathroom near Metro',
+  description: 'Fully furnished, Café downstairs',
+  location: { fullAddress: '14 Hosur Road, Koramangala 5th Block, Bengaluru' },
+  amenities: ['wifi', 'power_backup'],
+});
+
+const gramShare = (query) => {
+  const { grams } = parseSearchQuery(query);
+  const roomGrams = new Set(room.searchGrams);
+  return grams.filter(gram => roomGrams.has(gram)).length / grams.length;
+};
+
+describe('search text', () => {
+  it('indexes title, description, address and amenities without filler words', () => {
+    assert.deepEqual(room.searchTokens, [
+      'attached', 'bathroom', 'metro', 'fully', 'furnished', 'cafe', 'downstairs',
+      'koramangala', '5th', 'block', 'bengaluru', 'wifi', 'power', 'backup',
+    ]);
+  });
+
+  it('keeps the street line of approximate rooms out of the index', () => {
+    const exact = buildSearchFields({ location: { fullAddress: '14 Hosur Road, Koramangala' }, locationPrivacy: 'exact' });
+
+    assert.ok(!room.searchTokens.includes('hosur'));
+    assert.deepEqual(exact.searchTokens, ['14', 'hosur', 'road', 'koramangala']);
+  });
+
+  it('ignores queries made only of filler words', () => {
+    assert.equal(parseSearchQuery('near the'), null);
+    assert.deepEqual(parseSearchQuery('Room near METRO').tokens, ['metro']);
+  });
+
+  it('matches prefixes fully and typos mostly', () => {
+    assert.equal(gramShare('bath'), 1);
+    assert.ok(gramShare('bathrom') >= 0.8);
+    assert.ok(gramShare('koramangla') >= 0.6);
+    assert.ok(gramShare('swimming pool') < 0.2);
+  });
+
+  it('keeps short tokens whole', () => {
+    assert.deepEqual(trigramsFor(tokenize('2 bhk')), ['2', ' bh', 'bhk']);
+  });
+});
@@ -0,0 +1,169 @@
+// test/sessions.test.js - refresh token rotation, reuse detection, logout everywhere and socket handshakes
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { query, startApp, user } from './helpers.js';
+import User from '../models/userModal.js';
+import Session from '../models/Session.js';
+import { createSession } from '../utils/tokenService.js';
+import { authenticateSocket } from '../middlewares/authMiddleware.js';
+
+const alice = user('alice');
+
+// Sessions kept in memory, matched on the plain fields tokenService filters by
+let sessions;
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) => String(doc[key] ?? null) === String(value ?? null));
+const apply = (doc, update) => Object.assign(doc, update.$set ?? update);
+
+const request = startApp();
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+// Signed a minute ago, like a token the app has been holding for a while
+const olderAccessToken = (sid) =>
+  jwt.sign({ id: alice._id, email: alice.email, sid, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessions = [];
+  alice.tokensValidAfter = undefined;
+  mock.method(User, 'findById', (id) => query(String(id) === alice._id ? alice : null));
+  mock.method(Session, 'create', async (doc) => {
+    sessions.push({ revokedAt: null, ...doc });
+    return doc;
+  });
+  mock.method(Session, 'exists', async (filter) => (sessions.some(doc => matches(doc, filter)) ? { _id: filter._id } : null));
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const doc = sessions.find(session => matches(session, filter));
+    return doc ? apply(doc, update) : null;
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const doc = sessions.find(session => matches(session, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Session, 'updateMany', async (filter, update) => {
+    const docs = sessions.filter(session => matches(session, filter));
+    docs.forEach(doc => apply(doc, update));
+    return { modifiedCount: docs.length };
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token and keeps the session', async () => {
+    const { session, refreshToken } = await createSession(alice, { deviceId: 'phone' });
+
+    const res = await refresh(refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.refreshToken, refreshToken);
+    assert.equal(jwt.decode(res.body.accessToken).sid, String(session._id));
+    assert.equal((await refresh(res.body.refreshToken)).status, 200);
+  });
+
+  it('revokes the session when a rotated-away token is replayed', async () => {
+    const { refreshToken } = await createSession(alice, { deviceId: 'phone' });
+    const rotated = await refresh(refreshToken);
+
+    const replay = await refresh(refreshToken);
+
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'INVALID_SESSION');
+    assert.equal(sessions[0].revokedReason, 'reuse_detected');
+    // Whoever holds the newer token is logged out too
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+  });
+
+  it('rejects tokens it did not sign', async () => {
+    const forged = jwt.sign({ id: alice._id, sid: '64b0000000000000000000f1' }, 'not-the-refresh-secret');
+    assert.equal((await refresh(forged)).status, 401);
+  });
+});
+
+describe('POST /api/auth/logout-all', () => {
+  it('revokes every session and the access tokens already handed out', async () => {
+    const phone = await createSession(alice, { deviceId: 'phone' });
+    const laptop = await createSession(alice, { deviceId: 'laptop' });
+    const updateOne = mock.method(User, 'updateOne', async (filter, update) => {
+      alice.tokensValidAfter = update.tokensValidAfter;
+      return { modifiedCount: 1 };
+    });
+
+    const res = await request('POST', '/api/auth/logout-all', {
+      headers: { Authorization: `Bearer ${olderAccessToken(phone.session._id)}` },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revokedSessions, 2);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal((await refresh(laptop.refreshToken)).status, 401);
+
+    const after = await request('GET', '/api/auth/sessions', {
+      headers: { Authorization: `Bearer ${olderAccessToken(laptop.session._id)}` },
+    });
+    assert.equal(after.status, 401);
+  });
+
+  it('rejects access tokens issued before the logout even for a live session', async () => {
+    const { session } = await createSession(alice, { deviceId: 'phone' });
+    alice.tokensValidAfter = new Date();
+
+    const res = await request('GET', '/api/auth/sessions', {
+      headers: { Authorization: `Bearer ${olderAccessToken(session._id)}` },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'TOKEN_REVOKED');
+  });
+});
+
+describe('Socket.IO handshake', () => {
+  let httpServer;
+  let url;
+
+  before(async () => {
+    httpServer = http.createServer();
+    const io = new Server(httpServer);
+    io.use(authenticateSocket);
+    io.on('connection', socket => socket.emit('ready', socket.userId));
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  after(() => {
+    httpServer.closeAllConnections();
+    httpServer.close();
+  });
+
+  // Resolves with the user id the server saw, or rejects with the handshake error
+  const handshake = (auth) => new Promise((resolve, reject) => {
+    const socket = connect(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+    socket.on('ready', (userId) => { socket.close(); resolve(userId); });
+    socket.on('connect_error', (error) => { socket.close(); reject(error); });
+  });
+
+  it('connects with a valid access token', async () => {
+    const { accessToken } = await createSession(alice, { deviceId: 'phone' });
+    assert.equal(await handshake({ token: accessToken }), alice._id);
+  });
+
+  it('refuses connections without a token', async () => {
+    await assert.rejects(handshake({}), { message: 'No token' });
+  });
+
+  it('refuses tokens for a logged-out session', async () => {
+    const { accessToken, session } = await createSession(alice, { deviceId: 'phone' });
+    sessions.find(doc => doc._id === session._id).revokedAt = new Date();
+
+    await assert.rejects(handshake({ token: accessToken }), { message: 'Session revoked' });
+  });
+
+  it('refuses tokens it did not sign', async () => {
+    const forged = jwt.sign({ id: alice._id }, 'not-the-access-secret');
+    await assert.rejects(handshake({ token: forged }), { message: 'Invalid token' });
+  });
+});
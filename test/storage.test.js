@@ -0,0 +1,79 @@
+// test/storage.test.js - storage drivers and retries
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import B2 from 'backblaze-b2';
+import './helpers.js';
+import { createB2Driver, createLocalDriver, withRetry } from '../services/storageService.js';
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+describe('local storage driver', () => {
+  let root;
+  let storage;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalDriver({ root, publicUrl: 'http://localhost:8080/storage' });
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('uploads, finds, downloads and deletes by URL', async () => {
+    const { url, fileId } = await storage.upload(Buffer.from('hello'), 'properties/a.jpg', 'image/jpeg');
+
+    assert.equal(url, 'http://localhost:8080/storage/properties/a.jpg');
+    assert.deepEqual(await storage.find('properties/a.jpg'), { fileId, fileName: 'properties/a.jpg', size: 5 });
+    assert.equal((await storage.download(fileId)).toString(), 'hello');
+    assert.equal(await storage.deleteByUrl(url), true);
+    assert.equal(await storage.find('properties/a.jpg'), null);
+  });
+
+  it('leaves URLs that are not its own alone', async () => {
+    assert.equal(storage.owns('https://lh3.googleusercontent.com/a/photo'), false);
+    assert.equal(await storage.deleteByUrl('https://lh3.googleusercontent.com/a/photo'), true);
+  });
+
+  it('keeps files inside its root', async () => {
+    await assert.rejects(storage.upload(Buffer.from('x'), '../escape.txt'), /Invalid file name/);
+  });
+});
+
+describe('retries', () => {
+  it('retries server errors with backoff and gives up on bad requests', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    }, { baseDelayMs: 1 });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+
+    let badCalls = 0;
+    await assert.rejects(withRetry(async () => { badCalls++; throw httpError(400); }, { baseDelayMs: 1 }), /HTTP 400/);
+    assert.equal(badCalls, 1);
+  });
+
+  it('re-authorizes B2 once the token has expired', async (t) => {
+    const authorize = t.mock.method(B2.prototype, 'authorize', async () => ({ data: {} }));
+    let deletes = 0;
+    t.mock.method(B2.prototype, 'deleteFileVersion', async () => {
+      deletes++;
+      if (deletes === 1) throw httpError(401);
+      return { data: {} };
+    });
+    t.mock.method(global, 'setTimeout', (fn) => { fn(); return 0; });
+
+    const storage = createB2Driver({ keyId: 'k', key: 's', bucketId: 'b', publicUrl: 'https://cdn.example.com' });
+    await storage.deleteFile({ fileId: 'file-1', fileName: 'properties/a.jpg' });
+
+    assert.equal(deletes, 2);
+    assert.equal(authorize.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,132 @@
+// test/uploads.test.js - direct-to-B2 upload sessions and the image worker
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import B2 from 'backblaze-b2';
+import { ids, query, signIn, startApp, stubB2, user } from './helpers.js';
+import Room from '../models/RoomSchema.js';
+import UploadSession from '../models/UploadSession.js';
+import { processUploadSession } from '../services/uploadSessionService.js';
+
+const alice = user('alice');
+const ROOM_ID = ids.room;
+const UPLOAD_ID = '64b0000000000000000000c1';
+
+const api = startApp();
+const request = (method, path, body) => api(method, path, { user: alice, body });
+
+beforeEach(() => {
+  mock.restoreAll();
+  signIn(alice);
+  stubB2();
+});
+
+describe('upload sessions', () => {
+  it('only opens sessions for the caller\'s own listings', async () => {
+    const findOne = mock.method(Room, 'findOne', () => query(null));
+
+    const res = await request('POST', '/api/uploads/sessions', { purpose: 'room', roomId: ROOM_ID, count: 2 });
+
+    assert.equal(res.status, 404);
+    assert.equal(String(findOne.mock.calls[0].arguments[0].createdBy), alice._id);
+  });
+
+  it('hands out one upload URL per image under the upload prefix', async () => {
+    mock.method(Room, 'findOne', () => query({ images: [{}] }));
+    const create = mock.method(UploadSession, 'create', async (doc) => new UploadSession(doc));
+
+    const res = await request('POST', '/api/uploads/sessions', { purpose: 'room', roomId: ROOM_ID, count: 2 });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.uploads.length, 2);
+    for (const upload of res.body.uploads) {
+      assert.ok(upload.fileName.startsWith(`uploads/originals/${alice._id}/`));
+      assert.equal(upload.headers.Authorization, 'upload-token');
+    }
+    assert.equal(create.mock.calls[0].arguments[0].files.length, 2);
+    assert.equal(res.body.session.status, 'open');
+  });
+
+  it('keeps a listing within the image limit', async () => {
+    mock.method(Room, 'findOne', () => query({ images: Array.from({ length: 9 }, () => ({})) }));
+
+    const res = await request('POST', '/api/uploads/sessions', { purpose: 'room', roomId: ROOM_ID, count: 2 });
+
+    assert.equal(res.status, 409);
+  });
+
+  it('refuses to queue a session whose files never arrived', async () => {
+    const session = new UploadSession({
+      _id: UPLOAD_ID,
+      owner: alice._id,
+      purpose: 'profile',
+      files: [{ fileName: 'uploads/originals/x/0-a' }],
+      expiresAt: new Date(Date.now() + 60_000),
+    });
+    mock.method(UploadSession, 'findOne', async () => session);
+    mock.method(B2.prototype, 'listFileNames', async () => ({ data: { files: [] } }));
+
+    const res = await request('POST', `/api/uploads/sessions/${UPLOAD_ID}/complete`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].fileName, 'uploads/originals/x/0-a');
+  });
+
+  it('queues a completed session with the uploaded versions pinned', async () => {
+    const session = new UploadSession({
+      _id: UPLOAD_ID,
+      owner: alice._id,
+      purpose: 'profile',
+      files: [{ fileName: 'uploads/originals/x/0-a' }],
+      expiresAt: new Date(Date.now() + 60_000),
+    });
+    mock.method(UploadSession, 'findOne', async () => session);
+    mock.method(UploadSession.prototype, 'save', async function () { return this; });
+    mock.method(B2.prototype, 'listFileNames', async () => ({
+      data: { files: [{ fileName: 'uploads/originals/x/0-a', fileId: 'file-1', contentLength: 1000 }] },
+    }));
+
+    const res = await request('POST', `/api/uploads/sessions/${UPLOAD_ID}/complete`);
+
+    assert.equal(res.status, 202);
+    assert.equal(res.body.session.status, 'queued');
+    assert.equal(session.files[0].b2FileId, 'file-1');
+  });
+});
+
+describe('upload worker', () => {
+  it('resizes the originals, attaches them to the room and removes the originals', async () => {
+    const image = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#c33' } }).png().toBuffer();
+    mock.method(B2.prototype, 'downloadFileById', async () => ({ data: image }));
+    const uploadFile = mock.method(B2.prototype, 'uploadFile', async () => ({ data: {} }));
+    const deleteFileVersion = mock.method(B2.prototype, 'deleteFileVersion', async () => ({ data: {} }));
+    mock.method(Room, 'exists', async () => null);
+    const findOneAndUpdate = mock.method(Room, 'findOneAndUpdate', async () => ({ _id: ROOM_ID }));
+    const updateOne = mock.method(Room, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const session = new UploadSession({
+      owner: alice._id,
+      purpose: 'room',
+      room: ROOM_ID,
+      status: 'processing',
+      files: [
+        { fileName: 'uploads/originals/x/0-a', status: 'uploaded', b2FileId: 'file-1' },
+        { fileName: 'uploads/originals/x/1-b', status: 'uploaded', b2FileId: 'file-2' },
+      ],
+      expiresAt: new Date(),
+    });
+    mock.method(session, 'save', async () => session);
+
+    await processUploadSession(session);
+
+    assert.equal(session.status, 'done');
+    // A 400px image has two widths (320 and its own): AVIF, WebP and JPEG of each, for both images, plus one thumbnail
+    assert.equal(uploadFile.mock.callCount(), 13);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter['images.8'], { $exists: false });
+    assert.equal(update.$push.images.$each.length, 2);
+    assert.equal(update.$push.images.$each[0].variants.length, 6);
+    assert.ok(updateOne.mock.calls[0].arguments[1].$set.thumbnail.url.includes('/properties/thumbs/'));
+    assert.deepEqual(deleteFileVersion.mock.calls.map(call => call.arguments[0].fileId), ['file-1', 'file-2']);
+  });
+});
@@ -0,0 +1,29 @@
+// test/users.test.js - public profiles
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ids, query, startApp } from './helpers.js';
+import User from '../models/userModal.js';
+
+const request = startApp();
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+describe('GET /api/users/:userId', () => {
+  it('only loads the public profile fields', async () => {
+    let selected;
+    mock.method(User, 'findOne', () => ({
+      select(fields) {
+        selected = fields;
+        return query({ _id: ids.alice, name: 'Alice', picture: 'https://cdn.example.com/alice.jpg' });
+      },
+    }));
+
+    const res = await request('GET', `/api/users/${ids.alice}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.name, 'Alice');
+    assert.deepEqual(selected.split(' ').sort(), ['about', 'createdAt', 'location.name', 'name', 'picture', 'userRole']);
+  });
+});
@@ -0,0 +1,98 @@
+// utils/errors.js - typed API errors, turned into the error envelope by middlewares/errorHandler.js
+
+/*
+ * Every failed API response has the same shape:
+ *
+ *   {
+ *     "success": false,
+ *     "code": "NOT_FOUND",           // stable, switch on this in the app
+ *     "message": "Room not found",   // human readable, may change
+ *     "details": { ... },            // optional, e.g. validation errors or retryAfter
+ *     "requestId": "…"               // quote this when reporting a problem
+ *   }
+ *
+ * Codes:
+ *   400 VALIDATION_ERROR   request failed schema validation (details: [{ location, field, message }])
+ *   400 BAD_REQUEST        request is valid but can't be processed
+ *   401 UNAUTHORIZED       missing / invalid access token
+ *   401 TOKEN_EXPIRED      access token expired - call /api/auth/refresh and retry
+ *   401 TOKEN_REVOKED      token was issued before logout-all / account deletion
+ *   401 SESSION_REVOKED    this device's session was logged out or replaced
+ *   401 INVALID_SESSION    refresh token is unknown, expired or reused
+ *   403 FORBIDDEN          authenticated, but not allowed
+ *   404 NOT_FOUND          resource (or route) does not exist or isn't visible to the caller
+ *   409 CONFLICT           duplicate / already exists / belongs to someone else
+ *   429 RATE_LIMITED       slow down (details.retryAfter in seconds when known)
+ *   502 UPSTREAM_ERROR     payment / email / SMS provider failed
+ *   503 UNAVAILABLE        feature isn't set up on this server - use the fallback (e.g. multipart uploads)
+ *   500 INTERNAL_ERROR     anything else - the real error is only in the logs
+ */
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Not authenticated', { code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', { code = 'FORBIDDEN' } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Already exists', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+export class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests, please try again later', { retryAfter, details } = {}) {
+    super(message, {
+      status: 429,
+      code: 'RATE_LIMITED',
+      details: retryAfter !== undefined ? { retryAfter, ...details } : details,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class UpstreamError extends AppError {
+  constructor(message = 'External service failed', { cause } = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_ERROR', cause });
+  }
+}
+
+export class UnavailableError extends AppError {
+  constructor(message = 'Not available right now') {
+    super(message, { status: 503, code: 'UNAVAILABLE' });
+  }
+}
@@ -0,0 +1,54 @@
+// utils/geo.js - viewport / polygon helpers for map queries (coordinates are [lng, lat])
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// "minLng,minLat,maxLng,maxLat" -> [minLng, minLat, maxLng, maxLat], or null if malformed
+export const parseBbox = (value) => {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null; // also rejects viewports across the antimeridian
+  return parts;
+};
+
+// Edges are great-circle arcs in 2dsphere - at map-viewport sizes the difference from a flat box is negligible
+export const bboxToRing = ([minLng, minLat, maxLng, maxLat]) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat],
+];
+
+// GeoJSON rings must end where they start
+export const closeRing = (points) => {
+  const [first] = points;
+  const last = points[points.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? points : [...points, first];
+};
+
+export const ringBounds = (ring) => {
+  const lngs = ring.map(([lng]) => lng);
+  const lats = ring.map(([, lat]) => lat);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+};
+
+/**
+ * 2dsphere treats a polygon bigger than a hemisphere as its (smaller) complement,
+ * so areas that wide are refused rather than silently inverted.
+ */
+export const fitsHemisphere = ([minLng, minLat, maxLng, maxLat]) =>
+  maxLng - minLng < 180 && maxLat - minLat < 180;
+
+export const boundsCentre = ([minLng, minLat, maxLng, maxLat]) => [(minLng + maxLng) / 2, (minLat + maxLat) / 2];
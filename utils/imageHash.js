@@ -0,0 +1,39 @@
+// utils/imageHash.js - comparing perceptual image hashes (64-bit dHash, as 16 hex chars)
+
+/*
+ * Two photos are "the same" when their hashes differ in at most MAX_HASH_DISTANCE bits -
+ * re-saved, resized or lightly re-compressed copies stay well inside that.
+ *
+ * Hashes can't be range-queried by distance, so each one is also cut into HASH_BANDS bands of
+ * ~13 bits, stored as "<band>:<hex>" keys. Two hashes within MAX_HASH_DISTANCE bits of each
+ * other differ in at most that many bands, so with one band more they always share at least
+ * one key - an indexed $in on the keys finds every candidate, and the distance check does the rest.
+ */
+
+export const MAX_HASH_DISTANCE = 4;
+
+const HASH_BITS = 64;
+const HASH_BANDS = MAX_HASH_DISTANCE + 1;
+const BAND_BITS = Math.ceil(HASH_BITS / HASH_BANDS);
+
+const toBits = (hash) => BigInt(`0x${hash}`).toString(2).padStart(HASH_BITS, '0');
+
+export const hashBands = (hash) => {
+  const bits = toBits(hash);
+  return Array.from({ length: HASH_BANDS }, (_, band) =>
+    `${band}:${parseInt(bits.slice(band * BAND_BITS, (band + 1) * BAND_BITS), 2).toString(16)}`
+  );
+};
+
+// Number of differing bits
+export const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+export const hashesMatch = (a, b) => Boolean(a && b) && hashDistance(a, b) <= MAX_HASH_DISTANCE;
@@ -0,0 +1,115 @@
+// utils/logger.js - leveled JSON logger with per-request / per-socket-event context
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS[DEFAULT_LEVEL];
+
+// Keys whose values never reach the logs (matched case-insensitively, anywhere in the key)
+const SENSITIVE_KEY = /token|secret|password|passwd|authorization|cookie|signature|api[-_]?key|otp|^code$|codeHash/i;
+
+// Values that look like credentials even when logged under an innocent key
+const SENSITIVE_VALUE = [
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,              // JWTs
+  /Bearer\s+[\w.~+/-]+=*/gi,                 // Authorization headers
+  /ExponentPushToken\[[^\]]+\]/g,            // Expo push tokens
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const contextStorage = new AsyncLocalStorage();
+
+// Correlation id for an HTTP request, socket event or cron run
+export const newRequestId = () => crypto.randomUUID();
+
+/**
+ * Run fn with fields (requestId, userId, ...) attached to every log line written inside it,
+ * including lines from async work it starts.
+ */
+export const runWithLogContext = (context, fn) => contextStorage.run({ ...context }, fn);
+
+export const getLogContext = () => contextStorage.getStore() || {};
+
+// Adds fields to the current context, e.g. userId once authMiddleware has run
+export const setLogContext = (fields) => {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+const redactString = (value) =>
+  SENSITIVE_VALUE.reduce((str, pattern) => str.replace(pattern, REDACTED), value);
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: redactString(String(err.message)),
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.status !== undefined && { status: err.status }),
+  stack: err.stack ? redactString(err.stack) : undefined,
+  ...(err.cause instanceof Error && { cause: serializeError(err.cause) }),
+});
+
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString(); // ObjectId
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1, seen));
+
+  // Mongoose documents
+  const source = typeof value.toObject === 'function' ? value.toObject() : value;
+
+  const output = {};
+  for (const [key, entry] of Object.entries(source)) {
+    output[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(entry, depth + 1, seen);
+  }
+  return output;
+};
+
+const write = (level, bindings, msg, meta) => {
+  if (LEVELS[level] < threshold) return;
+
+  // logger.error('Failed', err) is the common case - nest the error under "err"
+  const fields = meta instanceof Error ? { err: meta } : meta;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...redact({ ...getLogContext(), ...bindings, ...fields }),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: 'Unserializable fields' });
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+  debug: (msg, meta) => write('debug', bindings, msg, meta),
+  info: (msg, meta) => write('info', bindings, msg, meta),
+  warn: (msg, meta) => write('warn', bindings, msg, meta),
+  error: (msg, meta) => write('error', bindings, msg, meta),
+  // Fixed fields for a module, e.g. logger.child({ component: 'cleanup' })
+  child: (extra) => createLogger({ ...bindings, ...extra }),
+});
+
+const logger = createLogger();
+
+export default logger;
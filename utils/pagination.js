@@ -0,0 +1,88 @@
+// utils/pagination.js - opaque keyset cursors, so pages don't shift or repeat when new rows arrive
+import mongoose from 'mongoose';
+import { ValidationError } from './errors.js';
+
+/*
+ * A sort is a list of [field, direction] pairs that ends in _id, e.g.
+ *
+ *   const FEED_SORT = [['distance', 1], ['_id', -1]];
+ *
+ * The cursor is base64url JSON with the sort values of the last item on a page; the next
+ * page is everything strictly after that item. Fetch limit + 1 rows and hand them to
+ * pageOf() to find out whether there is a next page.
+ */
+
+const invalidCursor = () =>
+  new ValidationError('Validation failed', [{ location: 'query', field: 'cursor', message: 'is invalid' }]);
+
+const sortKey = (sort) => sort.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Dates and ObjectIds have to come back as the same types to compare correctly
+const serialize = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (typeof value?.toHexString === 'function') return { o: value.toHexString() }; // ObjectId
+  return value ?? null;
+};
+
+const revive = (value) => {
+  if (value === null || typeof value === 'number' || typeof value === 'string') return value;
+
+  if (typeof value?.d === 'string') {
+    const date = new Date(value.d);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (typeof value?.o === 'string' && /^[a-f\d]{24}$/i.test(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw invalidCursor();
+};
+
+export const encodeCursor = (sort, doc) =>
+  Buffer.from(JSON.stringify({
+    k: sortKey(sort),
+    v: sort.map(([field]) => serialize(getPath(doc, field))),
+  })).toString('base64url');
+
+// Throws a VALIDATION_ERROR for tampered cursors and cursors from a different sort order
+export const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+
+  if (parsed?.k !== sortKey(sort) || !Array.isArray(parsed.v) || parsed.v.length !== sort.length) {
+    throw invalidCursor();
+  }
+  return parsed.v.map(revive);
+};
+
+// Matches documents strictly after the cursor: (a > x) or (a = x and b > y) or ...
+export const afterCursor = (sort, cursor) => {
+  const values = decodeCursor(cursor, sort);
+  return {
+    $or: sort.map(([field, direction], i) => ({
+      ...Object.fromEntries(sort.slice(0, i).map(([previous], j) => [previous, values[j]])),
+      [field]: { [direction === 1 ? '$gt' : '$lt']: values[i] },
+    })),
+  };
+};
+
+// For find(): the filter, narrowed to rows after the cursor when there is one
+export const withCursor = (filter, sort, cursor) =>
+  cursor ? { $and: [filter, afterCursor(sort, cursor)] } : filter;
+
+export const sortSpec = (sort) => Object.fromEntries(sort);
+
+export const pageOf = (rows, limit, sort) => {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null,
+  };
+};
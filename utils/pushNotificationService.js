@@ -1,5 +1,8 @@
 // services/pushNotificationService.js
 import { Expo } from 'expo-server-sdk';
+import logger from './logger.js';
+
+const log = logger.child({ component: 'push' });
 
 const expo = new Expo();
 
@@ -11,7 +14,7 @@ const expo = new Expo();
 export const sendPushNotification = async (pushToken, data) => {
   try {
     if (!Expo.isExpoPushToken(pushToken)) {
-      console.error(`❌ Invalid Expo push token: ${pushToken}`);
+      log.warn('Invalid Expo push token');
       return { success: false, error: 'Invalid push token' };
     }
     
@@ -32,13 +35,11 @@ export const sendPushNotification = async (pushToken, data) => {
       channelId: 'chat-messages',
     };
 
-    console.log(message, "sent message");
-    
     const ticketChunk = await expo.sendPushNotificationsAsync([message]);
-    console.log('✅ Push notification sent:', ticketChunk);
+    log.info('Chat push notification sent', { chatId: data.chatId, ticketStatus: ticketChunk[0]?.status });
     return { success: true, ticket: ticketChunk[0] };
   } catch (error) {
-    console.error('❌ Error sending push notification:', error);
+    log.error('Chat push notification failed', { err: error, chatId: data.chatId });
     return { success: false, error: error.message };
   }
 };
@@ -62,7 +63,7 @@ export const sendBatchPushNotifications = async (messages) => {
         data: msg.data || {},
         badge: msg.badge || 1,
         priority: 'high',
-        channelId: 'chat-messages',
+        channelId: msg.channelId || 'chat-messages',
       }));
 
     // Split into chunks (Expo limit: 100 notifications per request)
@@ -74,14 +75,14 @@ export const sendBatchPushNotifications = async (messages) => {
         const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
         tickets.push(...ticketChunk);
       } catch (error) {
-        console.error('❌ Error sending chunk:', error);
+        log.error('Push notification chunk failed', error);
       }
     }
 
-    console.log(`✅ Sent ${tickets.length} push notifications`);
+    log.info('Batch push notifications sent', { count: tickets.length });
     return { success: true, tickets };
   } catch (error) {
-    console.error('❌ Error in batch send:', error);
+    log.error('Batch push notifications failed', error);
     return { success: false, error: error.message };
   }
 };
@@ -100,13 +101,13 @@ export const checkPushNotificationReceipts = async (receiptIds) => {
         const receiptChunk = await expo.getPushNotificationReceiptsAsync(chunk);
         receipts.push(receiptChunk);
       } catch (error) {
-        console.error('❌ Error checking receipts:', error);
+        log.error('Push receipt chunk check failed', error);
       }
     }
 
     return { success: true, receipts };
   } catch (error) {
-    console.error('❌ Error checking receipts:', error);
+    log.error('Push receipt check failed', error);
     return { success: false, error: error.message };
   }
 };
@@ -119,7 +120,7 @@ export const checkPushNotificationReceipts = async (receiptIds) => {
 export const sendExpiryWarningPush = async (pushToken, post, daysLeft) => {
   try {
     if (!Expo.isExpoPushToken(pushToken)) {
-      console.error(`❌ Invalid Expo push token: ${pushToken}`);
+      log.warn('Invalid Expo push token');
       return { success: false, error: 'Invalid push token' };
     }
     
@@ -140,10 +141,10 @@ export const sendExpiryWarningPush = async (pushToken, post, daysLeft) => {
     };
     
     const ticketChunk = await expo.sendPushNotificationsAsync([message]);
-    console.log('✅ Expiry warning push sent');
+    log.info('Expiry warning push sent', { postId: post._id });
     return { success: true, ticket: ticketChunk[0] };
   } catch (error) {
-    console.error('❌ Error sending expiry warning push:', error);
+    log.error('Expiry warning push failed', { err: error, postId: post._id });
     return { success: false, error: error.message };
   }
 };
@@ -175,10 +176,10 @@ export const sendPostExpiredPush = async (pushToken, post) => {
     };
     
     const ticketChunk = await expo.sendPushNotificationsAsync([message]);
-    console.log('✅ Post expired push sent');
+    log.info('Post expired push sent', { postId: post._id });
     return { success: true, ticket: ticketChunk[0] };
   } catch (error) {
-    console.error('❌ Error sending post expired push:', error);
+    log.error('Post expired push failed', { err: error, postId: post._id });
     return { success: false, error: error.message };
   }
 };
@@ -211,10 +212,10 @@ body: `"${post.title}" will be deleted soon. Renew it to keep it visible.`,
     };
     
     const ticketChunk = await expo.sendPushNotificationsAsync([message]);
-    console.log('✅ Final deletion warning push sent');
+    log.info('Final deletion warning push sent', { postId: post._id });
     return { success: true, ticket: ticketChunk[0] };
   } catch (error) {
-    console.error('❌ Error sending final deletion push:', error);
+    log.error('Final deletion warning push failed', { err: error, postId: post._id });
     return { success: false, error: error.message };
   }
 };
@@ -0,0 +1,147 @@
+// utils/roomQuery.js - room conditions shared by the feed, autocomplete and saved-search alerts
+
+// getRooms' `filters` JSON -> Mongo conditions for the category
+export function buildFilterQuery(filterData, category) {
+  const query = {};
+
+  Object.keys(filterData).forEach(key => {
+    const filter = filterData[key];
+    if (!filter.selected) return;
+
+    let filterQuery = null;
+
+    if (category === 'shared') {
+      filterQuery = buildSharedFilter(key, filter);
+    } else if (category === 'pg_hostel') {
+      filterQuery = buildPgFilter(key, filter);
+    } else if (category === 'flat_home') {
+      filterQuery = buildRentalFilter(key, filter);
+    }
+
+    if (filterQuery) {
+      query[key] = filterQuery;
+    }
+  });
+
+  return query;
+}
+
+function buildSharedFilter(key, filter) {
+  switch (key) {
+    case 'monthlyRent':
+    case 'roommatesWanted':
+      return {
+        $gte: filter.currentMin || filter.min,
+        $lte: filter.currentMax || filter.max
+      };
+    case 'genderPreference':
+    case 'habitPreferences':
+    case 'purpose':
+      if (filter.options && Array.isArray(filter.options)) {
+        const selectedOptions = filter.options
+          .filter(opt => opt.selected)
+          .map(opt => opt.value);
+        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
+      }
+      return null;
+    case 'showPhonePublic':
+      return filter.value === true;
+    default:
+      return null;
+  }
+}
+
+function buildPgFilter(key, filter) {
+  switch (key) {
+    case 'priceRange':
+      return {
+        'priceRange.min': { $lte: filter.currentMax || filter.max },
+        'priceRange.max': { $gte: filter.currentMin || filter.min }
+      };
+
+    case 'pgGenderCategory':
+    case 'roomTypesAvailable':
+    case 'mealsProvided':
+    case 'amenities':
+    case 'rules':
+      if (filter.options && Array.isArray(filter.options)) {
+        const selectedOptions = filter.options
+          .filter(opt => opt.selected)
+          .map(opt => opt.value);
+        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+function buildRentalFilter(key, filter) {
+  switch (key) {
+    case 'monthlyRent':
+    case 'securityDeposit':
+    case 'squareFeet':
+    case 'bedrooms':
+    case 'bathrooms':
+      return {
+        $gte: filter.currentMin || filter.min,
+        $lte: filter.currentMax || filter.max
+      };
+    case 'propertyType':
+    case 'furnishedStatus':
+    case 'tenantPreference':
+    case 'parking':
+      if (filter.options && Array.isArray(filter.options)) {
+        const selectedOptions = filter.options
+          .filter(opt => opt.selected)
+          .map(opt => opt.value);
+        return selectedOptions.length > 0 ? { $in: selectedOptions } : null;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Rooms anyone may see: published, not deleted, not blocked, active and not expired
+export const visibleRoomsQuery = () => ({
+  // Exclude deleted rooms
+  $or: [
+    { isDeleted: { $exists: false } },
+    { isDeleted: false }
+  ],
+  // Exclude blocked rooms  
+  $and: [
+    // Drafts stay private until published
+    { isDraft: { $ne: true } },
+    {
+      $or: [
+        { isBlocked: { $exists: false } },
+        { isBlocked: false }
+      ]
+    },
+    // Only active rooms
+    {
+      $or: [
+        { isActive: { $exists: false } },
+        { isActive: true }
+      ]
+    },
+    // Not expired (SKIP expiry check for PG/Hostel)
+    {
+      $or: [
+        { expiryDate: { $exists: false } },
+        { expiryDate: { $gt: new Date() } },
+        { category: 'pg_hostel' } // PG/Hostel posts never expire
+      ]
+    }
+  ]
+});
+
+/*
+ * Photo hashes are for the duplicate-photo check only - with them anyone could tweak a copied
+ * photo until it gets past. Public responses leave them out: exclusion projections spread
+ * PHOTO_HASH_FIELDS, inclusion ones list PUBLIC_IMAGE_FIELDS instead of `images`.
+ */
+export const PHOTO_HASH_FIELDS = { 'images.phash': 0, 'images.phashBands': 0 };
+export const PUBLIC_IMAGE_FIELDS = 'images._id images.originalUrl images.width images.height images.variants images.blurhash images.lqip';
@@ -0,0 +1,59 @@
+// utils/searchText.js - turns listing text into tokens + trigrams for typo-tolerant search
+import { localityAddress, publicPoint } from '../services/locationPrivacyService.js';
+
+/*
+ * "Attached bathroom near Metro" -> tokens ["attached", "bathroom", "metro"]
+ *                                -> grams  [" at", "att", "tta", ..., " ba", "bat", "ath", ...]
+ *
+ * Each token is padded with a leading space before it is cut into trigrams, so a prefix
+ * ("bath") shares all of its grams with the full word and a typo ("bathrom") still shares
+ * most of them. Rooms store both arrays; queries are scored by how many grams they share.
+ */
+
+// Filler words people type in searches ("room near metro with parking")
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'near', 'nearby', 'of', 'on',
+  'or', 'the', 'to', 'with', 'within', 'room', 'rooms',
+]);
+
+export const MAX_QUERY_TOKENS = 8;
+
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .toLowerCase();
+
+export const tokenize = (text) => {
+  const words = normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return [...new Set(words.filter(word => !STOPWORDS.has(word)))];
+};
+
+// Short tokens ("2", "ac") are kept whole - they have no useful trigrams
+export const trigramsFor = (tokens) => {
+  const grams = new Set();
+  for (const token of tokens) {
+    if (token.length < 3) {
+      grams.add(token);
+      continue;
+    }
+    const padded = ` ${token}`;
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  }
+  return [...grams];
+};
+
+// Listing fields the search fields are built from - the model rebuilds them when one changes
+export const SEARCH_SOURCE_FIELDS = ['title', 'description', 'location', 'locationPrivacy', 'amenities'];
+
+// Text arrays plus publicLocation, the point geo searches run on
+export const buildSearchFields = ({ title, description, location, locationPrivacy, amenities } = {}) => {
+  // Approximate rooms are found by locality only - their street line stays private
+  const address = locationPrivacy === 'exact' ? location?.fullAddress : localityAddress(location?.fullAddress);
+  const text = [title, description, address, ...(amenities || [])]
+    .filter(Boolean)
+    .join(' ');
+
+  const searchTokens = tokenize(text);
+  return { searchTokens, searchGrams: trigramsFor(searchTokens), publicLocation: publicPoint(location, locationPrivacy) };
+};
@@ -0,0 +1,117 @@
+// utils/tokenService.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user._id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Every refresh token gets a random jti so two tokens for the same session never collide
+const signRefreshToken = (userId, sessionId) =>
+  jwt.sign(
+    { id: userId, sid: sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+  );
+
+const refreshExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a new session for a device and issue its first token pair.
+ * Logging in again from the same device replaces that device's old session only.
+ */
+export const createSession = async (user, { deviceId, userAgent } = {}) => {
+  const device = deviceId || 'unknown';
+
+  await Session.updateMany(
+    { userId: user._id, deviceId: device, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'replaced' }
+  );
+
+  const sessionId = new Session()._id;
+  const refreshToken = signRefreshToken(user._id, sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    deviceId: device,
+    userAgent: userAgent || '',
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiryDate()
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * A token that was already rotated away is treated as stolen: the whole session is revoked.
+ * Returns null when the token cannot be used.
+ */
+export const rotateSession = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  if (!decoded.sid) return null;
+
+  const nextToken = signRefreshToken(decoded.id, decoded.sid);
+
+  // Only rotates if the presented token is still the current one
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: decoded.sid,
+      userId: decoded.id,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null
+    },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiryDate()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Old token replayed - revoke the session so neither holder can continue
+    await Session.updateOne(
+      { _id: decoded.sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: nextToken };
+};
+
+export const revokeSession = (userId, sessionId, reason = 'user_revoked') =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+export const revokeAllSessions = (userId, reason = 'logout') =>
+  Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
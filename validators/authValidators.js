@@ -0,0 +1,76 @@
+// validators/authValidators.js
+import { legacyUserId, v } from "../middlewares/validate.js";
+
+const channelParams = { channel: v.string({ enum: ["email", "phone"] }) };
+
+// The field matching :channel is required - the controller checks which one
+const otpTarget = {
+  email: v.string({ max: 254 }).optional(),
+  phone: v.string({ max: 20 }).optional(),
+};
+
+const otpCode = v.string({ min: 4, max: 8, pattern: /^\d+$/ });
+const deviceId = v.string({ max: 200 }).optional();
+
+export const googleLoginSchema = {
+  body: { idToken: v.string({ min: 1, max: 4096 }), deviceId },
+};
+
+export const requestLoginOtpSchema = {
+  params: channelParams,
+  body: otpTarget,
+};
+
+export const verifyLoginOtpSchema = {
+  params: channelParams,
+  body: { ...otpTarget, code: otpCode, deviceId },
+};
+
+export const getIdentitiesSchema = {};
+
+export const linkGoogleSchema = {
+  body: { idToken: v.string({ min: 1, max: 4096 }) },
+};
+
+export const requestLinkOtpSchema = {
+  params: channelParams,
+  body: otpTarget,
+};
+
+export const verifyLinkOtpSchema = {
+  params: channelParams,
+  body: { ...otpTarget, code: otpCode },
+};
+
+export const unlinkIdentitySchema = {
+  params: { identityId: v.objectId() },
+};
+
+export const testSchema = {};
+
+export const updateLocationSchema = {
+  body: {
+    ...legacyUserId,
+    location: v.object({
+      lat: v.number({ min: -90, max: 90 }),
+      lng: v.number({ min: -180, max: 180 }),
+      name: v.string({ max: 200 }).optional(),
+    }),
+  },
+};
+
+export const refreshSchema = {
+  body: { refreshToken: v.string({ min: 1, max: 2048 }) },
+};
+
+export const logoutSchema = {
+  body: { pushToken: v.string({ max: 200 }).optional() },
+};
+
+export const logoutAllSchema = {};
+
+export const listSessionsSchema = {};
+
+export const revokeSessionSchema = {
+  params: { sessionId: v.objectId() },
+};
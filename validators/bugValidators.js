@@ -0,0 +1,15 @@
+// validators/bugValidators.js
+import { v } from '../middlewares/validate.js';
+
+export const submitBugSchema = {
+  body: { description: v.string({ min: 1, max: 5000 }) },
+};
+
+export const listBugsSchema = {
+  query: { resolved: v.boolean().optional() },
+};
+
+export const resolveBugSchema = {
+  params: { bugId: v.objectId() },
+  body: { resolved: v.boolean().optional() },
+};
@@ -0,0 +1,41 @@
+// validators/chatRoomValidators.js
+import { legacyUserId, v } from '../middlewares/validate.js';
+
+const roomIdParams = { roomId: v.objectId() };
+
+export const markReadSchema = {
+  body: { roomId: v.objectId(), ...legacyUserId },
+};
+
+export const listChatroomsSchema = {
+  query: {
+    page: v.integer({ min: 1 }).optional(),
+    limit: v.integer({ min: 1, max: 100 }).optional(),
+    // nextCursor from the previous page - takes precedence over page
+    cursor: v.string({ min: 1, max: 512 }).optional(),
+  },
+};
+
+export const checkRoomSchema = {
+  query: { productId: v.objectId() },
+};
+
+export const createRoomSchema = {
+  body: {
+    productId: v.objectId(),
+    ownerId: v.objectId(),
+    productTitle: v.string({ max: 200 }).optional(),
+  },
+};
+
+export const activateRoomSchema = { params: roomIdParams };
+
+export const roomDetailsSchema = { params: roomIdParams };
+
+export const statsSchema = {};
+
+export const cancelRoomSchema = { params: roomIdParams };
+
+export const cleanupSchema = {};
+
+export const healthSchema = {};
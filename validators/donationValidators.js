@@ -0,0 +1,34 @@
+// validators/donationValidators.js
+import { v } from '../middlewares/validate.js';
+
+export const createDonationOrderSchema = {
+  body: {
+    amount: v.integer({ min: 100 }), // paise, minimum ₹1
+    currency: v.string({ enum: ['INR'] }).optional(),
+  },
+};
+
+export const verifyDonationSchema = {
+  body: {
+    paymentId: v.string({ min: 1, max: 100 }),
+    orderId: v.string({ min: 1, max: 100 }),
+    signature: v.string({ min: 1, max: 256 }),
+  },
+};
+
+export const donationHistorySchema = {};
+
+export const appVersionSchema = {
+  query: { currentVersion: v.string({ max: 20, pattern: /^[\w.-]+$/ }).optional() },
+};
+
+export const contactSubmitSchema = {
+  body: {
+    subject: v.string({ min: 1, max: 200 }),
+    message: v.string({ min: 1, max: 5000 }),
+    userEmail: v.email().optional(),
+    userName: v.string({ max: 100 }).optional(),
+  },
+};
+
+export const listContactsSchema = {};
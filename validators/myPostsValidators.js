@@ -0,0 +1,41 @@
+// validators/myPostsValidators.js
+import { v } from '../middlewares/validate.js';
+
+const postIdParams = { postId: v.objectId() };
+
+export const myPostsSchema = {
+  query: {
+    page: v.integer({ min: 1 }).optional(),
+    limit: v.integer({ min: 1, max: 100 }).optional(),
+    // nextCursor from the previous page - takes precedence over page
+    cursor: v.string({ min: 1, max: 512 }).optional(),
+    status: v.string({ enum: ['active', 'inactive', 'paused', 'rented', 'expired', 'all'] }).optional(),
+    category: v.string({ enum: ['shared', 'pg_hostel', 'flat_home', 'all'] }).optional(),
+  },
+};
+
+export const myPostsStatsSchema = {};
+
+export const toggleStatusSchema = { params: postIdParams };
+
+// Statuses an owner can pick - drafts publish, deleting removes, and expiry happens on its own
+export const listingStatusSchema = {
+  params: postIdParams,
+  body: {
+    status: v.string({ enum: ['active', 'paused', 'rented'] }),
+  },
+};
+
+export const renewPostSchema = { params: postIdParams };
+
+export const deletePostSchema = { params: postIdParams };
+
+export const postDetailsSchema = { params: postIdParams };
+
+export const postHistorySchema = {
+  params: postIdParams,
+  query: {
+    limit: v.integer({ min: 1, max: 100 }).optional(),
+    cursor: v.string({ min: 1, max: 512 }).optional(),
+  },
+};
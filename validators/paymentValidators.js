@@ -0,0 +1,10 @@
+// validators/paymentValidators.js
+import { v } from '../middlewares/validate.js';
+
+export const createPaymentOrderSchema = {
+  body: { amount: v.integer({ min: 10, max: 50000 }) }, // rupees
+};
+
+export const verifyPaymentSchema = {
+  body: { orderId: v.string({ min: 1, max: 100 }) },
+};
@@ -0,0 +1,26 @@
+// validators/phoneRevealValidators.js
+import { v } from '../middlewares/validate.js';
+import { PHONE_REVEAL_MODES, REVEAL_STATUSES } from '../models/PhoneReveal.js';
+
+const revealIdParams = { revealId: v.objectId() };
+
+export const requestPhoneRevealSchema = {
+  body: { roomId: v.objectId() },
+};
+
+export const listIncomingRevealsSchema = {
+  query: { status: v.string({ enum: REVEAL_STATUSES }).optional() },
+};
+
+export const phoneRevealByIdSchema = { params: revealIdParams };
+
+export const decidePhoneRevealSchema = {
+  params: revealIdParams,
+  body: { decision: v.string({ enum: ['approve', 'decline'] }) },
+};
+
+export const getPhoneRevealSettingsSchema = {};
+
+export const updatePhoneRevealSettingsSchema = {
+  body: { mode: v.string({ enum: PHONE_REVEAL_MODES }) },
+};
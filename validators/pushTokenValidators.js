@@ -0,0 +1,25 @@
+// validators/pushTokenValidators.js
+import { v } from '../middlewares/validate.js';
+
+const pushToken = v.string({ min: 1, max: 200 });
+
+export const registerTokenSchema = {
+  body: {
+    pushToken,
+    device: v.string({ max: 50 }).optional(),
+  },
+};
+
+export const removeTokenSchema = {
+  body: { pushToken: pushToken.optional() },
+};
+
+export const updateNotificationSettingsSchema = {
+  body: {
+    chatMessages: v.boolean().optional(),
+    sound: v.boolean().optional(),
+    vibration: v.boolean().optional(),
+  },
+};
+
+export const getNotificationSettingsSchema = {};
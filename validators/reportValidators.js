@@ -0,0 +1,48 @@
+// validators/reportValidators.js
+import { v } from '../middlewares/validate.js';
+
+const REPORT_REASONS = [
+  'spam', 'inappropriate', 'misinformation',
+  'fake_listing', 'already_rented', 'wrong_info', 'other'
+];
+
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved', 'dismissed'];
+
+const pagination = {
+  page: v.integer({ min: 1 }).optional(),
+  limit: v.integer({ min: 1, max: 100 }).optional(),
+};
+
+export const reportRoomSchema = {
+  body: {
+    roomId: v.objectId(),
+    reason: v.string({ enum: REPORT_REASONS }),
+    description: v.string({ max: 500 }).optional(),
+  },
+};
+
+export const myReportsSchema = {
+  // cursor: nextCursor from the previous page - takes precedence over page
+  query: { ...pagination, cursor: v.string({ min: 1, max: 512 }).optional() },
+};
+
+export const reportByIdSchema = {
+  params: { reportId: v.objectId() },
+};
+
+// source 'system' = filed automatically (duplicate photos)
+export const allReportsSchema = {
+  query: {
+    ...pagination,
+    status: v.string({ enum: REPORT_STATUSES }).optional(),
+    source: v.string({ enum: ['user', 'system'] }).optional(),
+  },
+};
+
+export const updateReportStatusSchema = {
+  params: { reportId: v.objectId() },
+  body: {
+    status: v.string({ enum: REPORT_STATUSES }),
+    adminNotes: v.string({ max: 1000 }).optional(),
+  },
+};
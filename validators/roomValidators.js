@@ -0,0 +1,168 @@
+// validators/roomValidators.js
+import { formFields, legacyUserId, v } from "../middlewares/validate.js";
+
+const CATEGORIES = ["shared", "pg_hostel", "flat_home"];
+
+const FEED_SORTS = ["relevance", "price_asc", "price_desc", "newest", "most_viewed", "most_favorited"];
+
+const pagination = {
+  page: v.integer({ min: 1 }).optional(),
+  limit: v.integer({ min: 1, max: 100 }).optional(),
+};
+
+const stringList = v.json(v.array(v.string({ max: 100 }), { max: 50 }));
+
+// GeoJSON order - 2dsphere rejects latitudes past ±90
+const lngLat = v.tuple([v.number({ min: -180, max: 180 }), v.number({ min: -90, max: 90 })]);
+
+const locationField = v.json(v.object({
+  type: v.string({ enum: ["Point"] }).optional(),
+  coordinates: lngLat,
+  fullAddress: v.string({ max: 500 }).optional(),
+}, { unknown: "strip" }));
+
+const count = v.integer({ min: 0, max: 1000 }).optional();
+const amount = v.number({ min: 0, max: 10000000 }).optional();
+
+// Fields sent by the create / edit post forms (multipart, everything arrives as strings)
+const roomFormFields = {
+  category: v.string({ enum: CATEGORIES }),
+  title: v.string({ max: 200 }),
+  description: v.string({ max: 5000 }),
+  location: locationField,
+  locationPrivacy: v.string({ enum: ["approximate", "exact"] }).optional(),
+  contactPhone: v.string({ max: 20 }).optional(),
+  showPhonePublic: v.boolean().optional(),
+  monthlyRent: amount,
+  priceRange: v.json(v.object({ min: amount, max: amount })).optional(),
+  securityDeposit: amount,
+  roommatesWanted: count,
+  genderPreference: v.string({ enum: ["male", "female", "any"] }).optional(),
+  habitPreferences: stringList.optional(),
+  purpose: stringList.optional(),
+  availableSpace: count,
+  pgGenderCategory: v.string({ enum: ["gents", "ladies", "coed"] }).optional(),
+  roomTypesAvailable: stringList.optional(),
+  mealsProvided: stringList.optional(),
+  amenities: stringList.optional(),
+  rules: stringList.optional(),
+  propertyType: v.string({ enum: ["Apartment/Flat", "Independent House", "Villa", "Duplex"] }).optional(),
+  furnishedStatus: v.string({ enum: ["furnished", "semi_furnished", "unfurnished"] }).optional(),
+  squareFeet: v.number({ min: 0, max: 1000000 }).optional(),
+  bedrooms: count,
+  bathrooms: count,
+  balconies: count,
+  floorNumber: v.integer({ min: -5, max: 200 }).optional(),
+  totalFloors: v.integer({ min: 0, max: 200 }).optional(),
+  tenantPreference: v.string({ max: 100 }).optional(),
+  parking: v.string({ max: 100 }).optional(),
+  expiryDate: v.date().optional(),
+};
+
+export const uploadRoomSchema = {
+  body: formFields(roomFormFields),
+};
+
+// Every field is optional on edit - the controller keeps the existing value
+export const updateRoomSchema = {
+  params: { roomId: v.objectId() },
+  body: formFields({
+    ...Object.fromEntries(Object.entries(roomFormFields).map(([key, rule]) => [key, rule.optional()])),
+    existingImages: v.json(v.array(v.string({ max: 2048 }), { max: 10 })).optional(),
+  }),
+};
+
+// Drafts take JSON bodies with any subset of the post form; null clears a field.
+// The expiry date is set on publish.
+const draftFields = Object.fromEntries(
+  Object.entries(roomFormFields)
+    .filter(([key]) => key !== "expiryDate")
+    .map(([key, rule]) => [key, rule.optional().nullable()])
+);
+
+const draftParams = { roomId: v.objectId() };
+
+export const listDraftsSchema = {};
+
+export const createDraftSchema = { body: draftFields };
+
+export const updateDraftSchema = { params: draftParams, body: draftFields };
+
+export const draftByIdSchema = { params: draftParams };
+
+// Multipart with a single "image" file and no other fields
+export const addDraftImageSchema = { params: draftParams };
+
+export const removeDraftImageSchema = {
+  params: { ...draftParams, imageId: v.objectId() },
+};
+
+// Client filter state, e.g. { monthlyRent: { selected: true, currentMin: 5000, currentMax: 9000 } }
+const filterOption = v.object({
+  value: v.string({ max: 100 }),
+  selected: v.boolean().optional(),
+}, { unknown: "strip" });
+
+export const filterState = v.object({
+  selected: v.boolean().optional(),
+  value: v.boolean().optional(),
+  min: v.number().optional(),
+  max: v.number().optional(),
+  currentMin: v.number().optional(),
+  currentMax: v.number().optional(),
+  options: v.array(filterOption, { max: 50 }).optional(),
+}, { unknown: "strip" });
+
+// lat/lng are required unless bbox or polygon is sent (checked in getRooms)
+export const getRoomsSchema = {
+  query: {
+    category: v.string({ enum: [...CATEGORIES, "all"] }).optional(),
+    lat: v.number({ min: -90, max: 90 }).optional(),
+    lng: v.number({ min: -180, max: 180 }).optional(),
+    limit: v.integer({ min: 1, max: 50 }).optional(),
+    skip: v.integer({ min: 0 }).optional(),
+    // nextCursor from the previous page - takes precedence over skip
+    cursor: v.string({ min: 1, max: 512 }).optional(),
+    filters: v.json(v.record(filterState)).optional(),
+    q: v.string({ max: 100 }).optional(),
+    radiusKm: v.number({ min: 1, max: 100 }).optional(),
+    // "minLng,minLat,maxLng,maxLat"
+    bbox: v.string({ max: 100, pattern: /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/ }).optional(),
+    // JSON [[lng, lat], ...] - closed automatically
+    polygon: v.json(v.array(lngLat, { min: 3, max: 100 })).optional(),
+    zoom: v.integer({ min: 0, max: 22 }).optional(),
+    sort: v.string({ enum: FEED_SORTS }).optional(),
+  },
+};
+
+export const autocompleteRoomsSchema = {
+  query: {
+    q: v.string({ min: 1, max: 100 }),
+    lat: v.number({ min: -90, max: 90 }).optional(),
+    lng: v.number({ min: -180, max: 180 }).optional(),
+    category: v.string({ enum: [...CATEGORIES, "all"] }).optional(),
+    limit: v.integer({ min: 1, max: 20 }).optional(),
+  },
+};
+
+export const getRoomByIdSchema = {
+  params: { id: v.objectId() },
+};
+
+export const incrementRoomViewSchema = {
+  params: { roomId: v.objectId() },
+  body: legacyUserId,
+};
+
+export const favoriteBodySchema = {
+  body: { roomId: v.objectId() },
+};
+
+export const myFavoritesSchema = {
+  // cursor: nextCursor from the previous page - takes precedence over page
+  query: { ...pagination, cursor: v.string({ min: 1, max: 512 }).optional() },
+};
+
+export const favoriteRoomParamsSchema = {
+  params: { roomId: v.objectId() },
+};
@@ -0,0 +1,37 @@
+// validators/savedSearchValidators.js
+import { v } from '../middlewares/validate.js';
+import { filterState } from './roomValidators.js';
+
+const searchIdParams = { searchId: v.objectId() };
+
+// Same as getRooms' parameters, except filters arrive as an object rather than a JSON string
+const searchFields = {
+  name: v.string({ max: 60 }),
+  lat: v.number({ min: -90, max: 90 }),
+  lng: v.number({ min: -180, max: 180 }),
+  radiusKm: v.number({ min: 1, max: 100 }),
+  category: v.string({ enum: ['shared', 'pg_hostel', 'flat_home', 'all'] }),
+  filters: v.record(filterState),
+  frequency: v.string({ enum: ['instant', 'daily', 'off'] }),
+};
+
+export const listSavedSearchesSchema = {};
+
+export const createSavedSearchSchema = {
+  body: {
+    ...searchFields,
+    name: searchFields.name.optional(),
+    radiusKm: searchFields.radiusKm.optional(),
+    category: searchFields.category.optional(),
+    filters: searchFields.filters.optional(),
+    frequency: searchFields.frequency.optional(),
+  },
+};
+
+// lat and lng move together - checked in the route
+export const updateSavedSearchSchema = {
+  params: searchIdParams,
+  body: Object.fromEntries(Object.entries(searchFields).map(([key, rule]) => [key, rule.optional()])),
+};
+
+export const savedSearchByIdSchema = { params: searchIdParams };
@@ -0,0 +1,16 @@
+// validators/uploadValidators.js
+import { v } from '../middlewares/validate.js';
+import { UPLOAD_PURPOSES } from '../models/UploadSession.js';
+
+const sessionIdParams = { sessionId: v.objectId() };
+
+// roomId goes with purpose 'room', and a profile takes one image - checked in the route
+export const createUploadSessionSchema = {
+  body: {
+    purpose: v.string({ enum: UPLOAD_PURPOSES }),
+    roomId: v.objectId().optional(),
+    count: v.integer({ min: 1, max: 10 }),
+  },
+};
+
+export const uploadSessionByIdSchema = { params: sessionIdParams };
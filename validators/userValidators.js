@@ -0,0 +1,24 @@
+// validators/userValidators.js
+import { formFields, v } from "../middlewares/validate.js";
+
+export const registerSchema = {};
+
+export const publicProfileSchema = {
+  params: { userId: v.objectId() },
+};
+
+export const getProfileSchema = {};
+
+export const updateProfileSchema = {
+  body: formFields({
+    name: v.string({ max: 100 }).optional(),
+    about: v.string({ max: 200 }).optional(),
+    userRole: v.string({ max: 30 }).optional(),
+  }),
+};
+
+export const exportDataSchema = {};
+
+export const deleteAccountSchema = {};
+
+export const cancelDeletionSchema = {};